@@ -0,0 +1,144 @@
+const cors = require("cors");
+const express = require("express");
+const { errorHandler } = require("./middleware/errorMiddleware");
+
+/**
+ * Express app: middleware and every REST route. server.js adds Socket.IO
+ * and starts listening; tests load the app on its own.
+ */
+
+const app = express();
+
+// Behind a proxy (e.g. Render), trust it for the client IP that rate limits
+// and sign-in records use. TRUST_PROXY is the number of proxies in front.
+const trustedProxies = parseInt(process.env.TRUST_PROXY, 10);
+if (trustedProxies > 0) {
+  app.set("trust proxy", trustedProxies);
+}
+
+// Middleware configuration
+// Keep the raw body so webhook signatures can be checked against the exact bytes
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(express.urlencoded({ extended: false }));
+
+// CORS configuration for Express
+const corsOptions = {
+  origin: [
+    "http://localhost:5173",
+    "https://weddingplanning-1-joi4.onrender.com",
+    "https://wedding-front-end-x3cf.onrender.com", // Added new frontend URL
+    "http://localhost:8000",
+  ], // Ensure this matches your frontend URL
+  methods: ["GET", "POST", "PATCH", "PUT", "DELETE"],
+  optionsSuccessStatus: 200,
+};
+
+app.use(cors(corsOptions));
+app.use("/public", express.static("public"));
+app.use("/uploads", express.static("uploads")); // Serve files from the uploads directory
+
+// Auth Routes
+app.use("/api/auth", require("./routes/shared/authRoutes"));
+
+// For debugging purposes, log all requests
+app.use((req, _res, next) => {
+  console.log(`${req.method} ${req.url}`);
+  next();
+});
+
+// User Routes (common for all user types)
+app.use("/api/user", require("./routes/shared/userRoutes"));
+
+// Vendor Routes
+app.use("/api/vendor/account", require("./routes/vendor/account"));
+app.use("/api/vendor", require("./routes/vendor/conversation"));
+app.use("/api/vendor/dashboard", require("./routes/vendor/dashboard"));
+app.use("/api/vendor/payment", require("./routes/vendor/payment"));
+app.use("/api/vendor/services", require("./routes/vendor/services"));
+app.use("/api/vendor/bookings", require("./routes/vendor/bookings"));
+app.use("/api/vendor/availability", require("./routes/vendor/availability"));
+app.use(
+  "/api/vendor/cancellation-policy",
+  require("./routes/vendor/cancellationPolicy")
+);
+app.use("/api/vendor/pricing", require("./routes/vendor/pricing"));
+
+// Admin Routes
+app.use("/api/admin/accounts", require("./routes/admin/accounts"));
+app.use("/api/admin/bookings", require("./routes/admin/bookings"));
+app.use("/api/admin/clients", require("./routes/admin/client"));
+app.use("/api/admin/dashboard", require("./routes/admin/dashboard"));
+app.use("/api/admin/event-planners", require("./routes/admin/eventPlanners"));
+app.use("/api/admin/feedback", require("./routes/admin/feedback"));
+app.use("/api/admin/invitations", require("./routes/admin/invitations"));
+app.use("/api/admin/vendors", require("./routes/admin/vendors"));
+app.use("/api/admin/payments", require("./routes/admin/payment"));
+app.use("/api/admin/roles", require("./routes/admin/roles"));
+app.use("/api/admin/security", require("./routes/admin/security"));
+app.use(
+  "/api/admin/service-categories",
+  require("./routes/admin/serviceCategories")
+);
+
+// Event Planner Routes
+app.use(
+  "/api/eventplanner/dashboard",
+  require("./routes/eventplanner/dashboard")
+);
+app.use("/api/eventplanner/vendors", require("./routes/eventplanner/vendors"));
+app.use("/api/eventplanner/clients", require("./routes/eventplanner/clients"));
+app.use(
+  "/api/eventplanner/feedback",
+  require("./routes/eventplanner/feedback")
+);
+app.use("/api/eventplanner/payments", require("./routes/eventplanner/payment"));
+app.use("/api/eventplanner/account", require("./routes/eventplanner/account"));
+app.use(
+  "/api/eventplanner/conversations",
+  require("./routes/eventplanner/conversations")
+);
+
+// Client Routes
+app.use("/api/client/bookings", require("./routes/client/booking"));
+app.use("/api/client/feedback", require("./routes/client/feedback"));
+app.use("/api/client/services", require("./routes/client/services"));
+app.use(
+  "/api/client/service-categories",
+  require("./routes/client/serviceCategories")
+);
+app.use("/api/client/vendors", require("./routes/client/vendors"));
+app.use("/api/client/payment", require("./routes/client/payment"));
+app.use("/api/client", require("./routes/client/conversation"));
+app.use("/api/client/account", require("./routes/client/account"));
+app.use("/api/client/dashboard", require("./routes/client/dashboard"));
+
+app.get("/", (_req, res) => {
+  res.send("Api Up and Running!");
+});
+
+// Handle 404 errors with a custom message
+app.use((req, res, _next) => {
+  res.status(404).json({
+    message: `Route not found: ${req.method} ${req.originalUrl}`,
+    availableRoutes: [
+      "/api/auth/*",
+      "/api/user/*",
+      "/api/vendor/*",
+      "/api/admin/*",
+      "/api/eventplanner/*",
+      "/api/client/*",
+      "/uploads/*",
+      "/public/*",
+    ],
+  });
+});
+
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,140 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const {
+  loadAccount,
+  setAccountBlock,
+  setAccountReport,
+} = require("../../utils/accountState");
+
+// Fields shown when reviewing an account's state
+const accountStateSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isBlocked: true,
+  blockedReason: true,
+  blockedAt: true,
+  blockedUntil: true,
+  blockedById: true,
+  isReported: true,
+  reportedReason: true,
+  reportedAt: true,
+  reportedById: true,
+  vendorProfile: {
+    select: {
+      id: true,
+      businessName: true,
+      status: true,
+      suspensionReason: true,
+      suspendedAt: true,
+      suspendedUntil: true,
+    },
+  },
+};
+
+// Get blocked, reported and suspended accounts
+const getRestrictedAccounts = asyncHandler(async (req, res) => {
+  const { state } = req.query;
+
+  const filters = {
+    blocked: { isBlocked: true },
+    reported: { isReported: true },
+    suspended: { vendorProfile: { status: "SUSPENDED" } },
+  };
+
+  if (state && !filters[state]) {
+    res.status(400);
+    throw new Error(`State must be one of: ${Object.keys(filters).join(", ")}`);
+  }
+
+  const accounts = await prisma.user.findMany({
+    where: state ? filters[state] : { OR: Object.values(filters) },
+    select: accountStateSelect,
+    orderBy: { updatedAt: "desc" },
+  });
+
+  res.status(200).json(accounts);
+});
+
+// Block or unblock any account
+const updateAccountBlock = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { blocked, reason, until } = req.body;
+
+  if (typeof blocked !== "boolean") {
+    res.status(400);
+    throw new Error("The 'blocked' field is required and must be a boolean");
+  }
+
+  if (!(await loadAccount(userId))) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  try {
+    await setAccountBlock(userId, {
+      blocked,
+      reason,
+      until,
+      blockedById: req.user.id,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const account = await prisma.user.findUnique({
+    where: { id: userId },
+    select: accountStateSelect,
+  });
+
+  res.status(200).json({
+    message: blocked ? "Account blocked" : "Account unblocked",
+    account,
+  });
+});
+
+// Clear a report after review, or report an account
+const updateAccountReport = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reported, reason } = req.body;
+
+  if (typeof reported !== "boolean") {
+    res.status(400);
+    throw new Error("The 'reported' field is required and must be a boolean");
+  }
+
+  if (reported && !reason) {
+    res.status(400);
+    throw new Error("Reason for reporting is required");
+  }
+
+  if (!(await loadAccount(userId))) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  await setAccountReport(userId, {
+    reported,
+    reason,
+    reportedById: req.user.id,
+  });
+
+  const account = await prisma.user.findUnique({
+    where: { id: userId },
+    select: accountStateSelect,
+  });
+
+  res.status(200).json({
+    message: reported ? "Account reported" : "Report cleared",
+    account,
+  });
+});
+
+module.exports = {
+  getRestrictedAccounts,
+  updateAccountBlock,
+  updateAccountReport,
+};
@@ -0,0 +1,48 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const { getBookingHistory } = require("../../utils/bookingHistory");
+
+// Get the status history of any booking
+const viewBookingHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    include: {
+      client: {
+        select: {
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+      service: {
+        select: {
+          name: true,
+          vendor: { select: { id: true, businessName: true } },
+        },
+      },
+      cancellation: true,
+    },
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  const history = await getBookingHistory(booking.id);
+
+  res.status(200).json({
+    id: booking.id,
+    status: booking.status,
+    eventDate: booking.eventDate,
+    clientName: `${booking.client.user.firstName} ${booking.client.user.lastName}`,
+    clientEmail: booking.client.user.email,
+    serviceName: booking.service.name,
+    vendorId: booking.service.vendor.id,
+    vendorName: booking.service.vendor.businessName,
+    cancellation: booking.cancellation,
+    history,
+  });
+});
+
+module.exports = { viewBookingHistory };
@@ -1,6 +1,8 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
 const bcrypt = require("bcryptjs");
+const { revokeAllSessions } = require("../../utils/sessions");
+const { setAccountBlock } = require("../../utils/accountState");
 
 // Get all clients
 const getClients = asyncHandler(async (req, res) => {
@@ -94,6 +96,9 @@ const createClient = asyncHandler(async (req, res) => {
       lastName,
       phone,
       role: "CLIENT",
+      // Created by an admin, who vouches for the address
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -129,7 +134,15 @@ const createClient = asyncHandler(async (req, res) => {
 // Update client
 const updateClient = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { firstName, lastName, phone, isActive, password } = req.body;
+  const {
+    firstName,
+    lastName,
+    phone,
+    isActive,
+    password,
+    blockedReason,
+    blockedUntil,
+  } = req.body;
 
   // Validate input
   if (!firstName || !lastName) {
@@ -160,7 +173,6 @@ const updateClient = asyncHandler(async (req, res) => {
     firstName,
     lastName,
     phone,
-    isBlocked: !isActive,
   };
 
   // If password is provided, hash it and add to update data
@@ -169,12 +181,33 @@ const updateClient = asyncHandler(async (req, res) => {
     updateData.password = await bcrypt.hash(password, salt);
   }
 
+  // Blocking goes through the account-state policy, which keeps the reason
+  // and signs the client out
+  if (!isActive !== client.user.isBlocked) {
+    try {
+      await setAccountBlock(client.userId, {
+        blocked: !isActive,
+        reason: blockedReason,
+        until: blockedUntil,
+        blockedById: req.user.id,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500);
+      throw error;
+    }
+  }
+
   // Update user
   const updatedUser = await prisma.user.update({
     where: { id: client.userId },
     data: updateData,
   });
 
+  // A changed password ends every signed-in session
+  if (password) {
+    await revokeAllSessions(client.userId, "PASSWORD_CHANGED");
+  }
+
   const formattedClient = {
     id: client.id,
     name: `${updatedUser.firstName} ${updatedUser.lastName}`,
@@ -236,6 +269,8 @@ const updateClientPassword = asyncHandler(async (req, res) => {
     data: { password: hashedPassword },
   });
 
+  await revokeAllSessions(client.userId, "PASSWORD_CHANGED");
+
   res.status(200).json({ message: "Password updated successfully" });
 });
 
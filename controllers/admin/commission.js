@@ -0,0 +1,216 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const {
+  DEFAULT_PERCENTAGE,
+  resolveCommission,
+  validateRule,
+} = require("../../utils/commission");
+
+const ruleInclude = {
+  category: { select: { id: true, name: true } },
+  vendor: { select: { id: true, businessName: true } },
+  _count: { select: { payments: true } },
+};
+
+// Format a rule for API responses
+const formatRule = (rule) => {
+  const now = new Date();
+  return {
+    id: rule.id,
+    name: rule.name,
+    scope: rule.scope,
+    percentage: rule.percentage,
+    category: rule.category,
+    vendor: rule.vendor,
+    startsAt: rule.startsAt,
+    endsAt: rule.endsAt,
+    promotional: Boolean(rule.startsAt || rule.endsAt),
+    isActive: rule.isActive,
+    inEffect:
+      rule.isActive &&
+      (!rule.startsAt || rule.startsAt <= now) &&
+      (!rule.endsAt || rule.endsAt > now),
+    paymentCount: rule._count?.payments || 0,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt,
+  };
+};
+
+// List commission rules
+const getCommissionRules = asyncHandler(async (req, res) => {
+  const { scope, vendorId, categoryId } = req.query;
+
+  const where = {};
+  if (scope) {
+    if (!["GLOBAL", "CATEGORY", "VENDOR"].includes(scope.toUpperCase())) {
+      res.status(400);
+      throw new Error("Invalid scope. Must be GLOBAL, CATEGORY, or VENDOR");
+    }
+    where.scope = scope.toUpperCase();
+  }
+  if (vendorId) where.vendorId = vendorId;
+  if (categoryId) where.categoryId = categoryId;
+
+  const rules = await prisma.commissionRule.findMany({
+    where,
+    include: ruleInclude,
+    orderBy: [{ scope: "asc" }, { createdAt: "desc" }],
+  });
+
+  res.status(200).json({
+    defaultPercentage: DEFAULT_PERCENTAGE,
+    rules: rules.map(formatRule),
+  });
+});
+
+// Create a commission rule
+const createCommissionRule = asyncHandler(async (req, res) => {
+  let data;
+  try {
+    data = validateRule(req.body);
+  } catch (error) {
+    res.status(error.statusCode || 400);
+    throw error;
+  }
+
+  if (data.categoryId) {
+    const category = await prisma.serviceCategory.findUnique({
+      where: { id: data.categoryId },
+    });
+    if (!category) {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+  }
+
+  if (data.vendorId) {
+    const vendor = await prisma.vendor.findUnique({
+      where: { id: data.vendorId },
+    });
+    if (!vendor) {
+      res.status(404);
+      throw new Error("Vendor not found");
+    }
+  }
+
+  const rule = await prisma.commissionRule.create({
+    data: { ...data, createdById: req.user.id },
+    include: ruleInclude,
+  });
+
+  res.status(201).json({
+    message: "Commission rule created successfully",
+    rule: formatRule(rule),
+  });
+});
+
+// Update a commission rule (scope and target cannot change)
+const updateCommissionRule = asyncHandler(async (req, res) => {
+  const existing = await prisma.commissionRule.findUnique({
+    where: { id: req.params.ruleId },
+  });
+
+  if (!existing) {
+    res.status(404);
+    throw new Error("Commission rule not found");
+  }
+
+  let data;
+  try {
+    data = validateRule(req.body, existing);
+  } catch (error) {
+    res.status(error.statusCode || 400);
+    throw error;
+  }
+
+  const rule = await prisma.commissionRule.update({
+    where: { id: existing.id },
+    data,
+    include: ruleInclude,
+  });
+
+  res.status(200).json({
+    message: "Commission rule updated successfully",
+    rule: formatRule(rule),
+  });
+});
+
+// Deactivate a commission rule. Rules are kept so payments that used
+// them still show where their split came from.
+const deactivateCommissionRule = asyncHandler(async (req, res) => {
+  const existing = await prisma.commissionRule.findUnique({
+    where: { id: req.params.ruleId },
+  });
+
+  if (!existing) {
+    res.status(404);
+    throw new Error("Commission rule not found");
+  }
+
+  const rule = await prisma.commissionRule.update({
+    where: { id: existing.id },
+    data: { isActive: false },
+    include: ruleInclude,
+  });
+
+  res.status(200).json({
+    message: "Commission rule deactivated successfully",
+    rule: formatRule(rule),
+  });
+});
+
+// Show which rule applies to a vendor (and optionally one of its services)
+const previewCommission = asyncHandler(async (req, res) => {
+  const { vendorId, serviceId, at } = req.query;
+
+  if (!vendorId) {
+    res.status(400);
+    throw new Error("vendorId is required");
+  }
+
+  const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+  if (!vendor) {
+    res.status(404);
+    throw new Error("Vendor not found");
+  }
+
+  let service = null;
+  if (serviceId) {
+    service = await prisma.service.findUnique({ where: { id: serviceId } });
+    if (!service || service.vendorId !== vendor.id) {
+      res.status(404);
+      throw new Error("Service not found");
+    }
+  }
+
+  const date = at ? new Date(at) : new Date();
+  if (isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error("Invalid date");
+  }
+
+  const { rule, percentage } = await resolveCommission({
+    vendor,
+    service,
+    at: date,
+  });
+
+  res.status(200).json({
+    vendorId,
+    serviceId: service?.id || null,
+    at: date,
+    platformPercentage: percentage,
+    vendorPercentage: 100 - percentage,
+    rule: rule
+      ? { id: rule.id, name: rule.name, scope: rule.scope }
+      : null,
+  });
+});
+
+module.exports = {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+  previewCommission,
+};
@@ -1,11 +1,13 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
-const bcrypt = require("bcryptjs");
+const { setAccountBlock } = require("../../utils/accountState");
+const { createInvitation } = require("../../utils/invitations");
 
 //edit event planner details
 const editEventPlanner = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { email, name, phone, isBlocked } = req.body;
+  const { email, name, phone, isBlocked, blockedReason, blockedUntil } =
+    req.body;
 
   // Check if event planner exists
   const eventPlanner = await prisma.eventPlanner.findUnique({
@@ -25,7 +27,6 @@ const editEventPlanner = asyncHandler(async (req, res) => {
 
   if (email) updateData.email = email;
   if (phone) updateData.phone = phone;
-  if (isBlocked !== undefined) updateData.isBlocked = isBlocked;
 
   // Handle name if provided
   if (name) {
@@ -35,6 +36,22 @@ const editEventPlanner = asyncHandler(async (req, res) => {
     updateData.lastName = lastName;
   }
 
+  // Blocking goes through the account-state policy, which keeps the reason
+  // and signs the planner out
+  if (isBlocked !== undefined && isBlocked !== eventPlanner.user.isBlocked) {
+    try {
+      await setAccountBlock(eventPlanner.userId, {
+        blocked: isBlocked,
+        reason: blockedReason,
+        until: blockedUntil,
+        blockedById: req.user.id,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500);
+      throw error;
+    }
+  }
+
   // Update user details
   const updatedUser = await prisma.user.update({
     where: { id: eventPlanner.userId },
@@ -154,81 +171,44 @@ const getEventPlannerById = asyncHandler(async (req, res) => {
   res.status(200).json(formattedEventPlanner);
 });
 
-// Create new event planner
+// Invite a new event planner; they set their own password from the emailed link
 const createEventPlanner = asyncHandler(async (req, res) => {
-  try {
-    const { name, email, password, phone } = req.body;
-
-    // Validate required fields
-    if (!email || !password || !name) {
-      res.status(400);
-      throw new Error("Email, password, and name are required");
-    }
+  const { name, email, phone, companyName } = req.body;
 
-    // Check if user already exists
-    const userExists = await prisma.user.findUnique({
-      where: { email },
-    });
+  // Validate required fields
+  if (!email || !name) {
+    res.status(400);
+    throw new Error("Email and name are required");
+  }
 
-    if (userExists) {
-      res.status(400);
-      throw new Error("User with this email already exists");
-    }
+  const [firstName, ...lastNameParts] = name.split(" ");
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user first
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        firstName: name,
-        lastName: "",
-        phone: phone || null,
-        role: "EVENT_PLANNER",
-      },
-    });
-
-    // Then create event planner
-    const eventPlanner = await prisma.eventPlanner.create({
-      data: {
-        userId: user.id,
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            phone: true,
-            avatar: true,
-            isBlocked: true,
-            createdAt: true,
-          },
-        },
-      },
+  let result;
+  try {
+    result = await createInvitation({
+      email,
+      role: "EVENT_PLANNER",
+      firstName,
+      lastName: lastNameParts.join(" "),
+      phone,
+      companyName,
+      invitedBy: await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, firstName: true, lastName: true },
+      }),
+      req,
     });
-
-    // Format the response
-    const formattedEventPlanner = {
-      id: eventPlanner.id,
-      userId: eventPlanner.userId,
-      email: eventPlanner.user.email,
-      name: eventPlanner.user.firstName,
-      phone: eventPlanner.user.phone,
-      avatar: eventPlanner.user.avatar,
-      isBlocked: eventPlanner.user.isBlocked,
-      createdAt: eventPlanner.user.createdAt,
-    };
-
-    res.status(201).json(formattedEventPlanner);
   } catch (error) {
-    console.error("Error creating event planner:", error);
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500);
+    throw error;
   }
+
+  res.status(201).json({
+    message: result.emailSent
+      ? "Invitation sent to the event planner"
+      : "Invitation created, but the email could not be sent. Resend it from /api/admin/invitations.",
+    ...result,
+  });
 });
 
 module.exports = {
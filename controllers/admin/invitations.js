@@ -0,0 +1,166 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const {
+  INVITABLE_ROLES,
+  formatInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationWithEvents,
+} = require("../../utils/invitations");
+
+// The admin acting, with the name shown in invitation emails
+const getActingAdmin = (req) =>
+  prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, firstName: true, lastName: true },
+  });
+
+// Get invitations, newest first
+const getInvitations = asyncHandler(async (req, res) => {
+  const { status, role, email } = req.query;
+
+  const statuses = ["PENDING", "EXPIRED", "ACCEPTED", "REVOKED"];
+  if (status && !statuses.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${statuses.join(", ")}`);
+  }
+
+  if (role && !INVITABLE_ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Role must be one of: ${INVITABLE_ROLES.join(", ")}`);
+  }
+
+  const where = {};
+  if (role) where.role = role;
+  if (email) where.email = email;
+  if (status === "EXPIRED") {
+    where.status = "PENDING";
+    where.expiresAt = { lt: new Date() };
+  } else if (status === "PENDING") {
+    where.status = "PENDING";
+    where.expiresAt = { gte: new Date() };
+  } else if (status) {
+    where.status = status;
+  }
+
+  const invitations = await prisma.invitation.findMany({
+    where,
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.status(200).json(invitations.map(formatInvitation));
+});
+
+// Get an invitation with its audit log
+const getInvitationById = asyncHandler(async (req, res) => {
+  const invitation = await getInvitationWithEvents(req.params.invitationId);
+
+  if (!invitation) {
+    res.status(404);
+    throw new Error("Invitation not found");
+  }
+
+  res.status(200).json(invitation);
+});
+
+// Get the audit log across all invitations, newest first
+const getInvitationAuditLog = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const take = Math.min(parseInt(limit, 10) || 50, 200);
+  const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * take;
+
+  const [events, total] = await Promise.all([
+    prisma.invitationEvent.findMany({
+      include: {
+        invitation: { select: { id: true, email: true, role: true } },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take,
+    }),
+    prisma.invitationEvent.count(),
+  ]);
+
+  res.status(200).json({ events, total });
+});
+
+// Invite an admin, event planner or staff member
+const inviteUser = asyncHandler(async (req, res) => {
+  const { email, role, firstName, lastName, phone, companyName, staffRoleId } =
+    req.body;
+
+  let result;
+  try {
+    result = await createInvitation({
+      email,
+      role,
+      firstName,
+      lastName,
+      phone,
+      companyName,
+      staffRoleId,
+      invitedBy: await getActingAdmin(req),
+      req,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(201).json({
+    message: result.emailSent
+      ? "Invitation sent"
+      : "Invitation created, but the email could not be sent. Try resending it.",
+    ...result,
+  });
+});
+
+// Send an invitation again with a new link
+const resendInvitationById = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await resendInvitation(
+      req.params.invitationId,
+      await getActingAdmin(req),
+      req
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json({
+    message: result.emailSent
+      ? "Invitation resent"
+      : "Invitation renewed, but the email could not be sent. Try again.",
+    ...result,
+  });
+});
+
+// Revoke a pending invitation
+const revokeInvitationById = asyncHandler(async (req, res) => {
+  let invitation;
+  try {
+    invitation = await revokeInvitation(
+      req.params.invitationId,
+      req.user,
+      req,
+      req.body?.reason
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json({ message: "Invitation revoked", invitation });
+});
+
+module.exports = {
+  getInvitations,
+  getInvitationById,
+  getInvitationAuditLog,
+  inviteUser,
+  resendInvitationById,
+  revokeInvitationById,
+};
@@ -1,5 +1,23 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
+const {
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+} = require("../../utils/refunds");
+const {
+  sendRefundProcessedToClient,
+  sendRefundRejectedToClient,
+} = require("../../utils/emailService");
+const { replayEvent } = require("../../utils/webhooks");
+const { reviewManualPayment } = require("../../utils/paymentStatus");
+const { getPrivateFilePath } = require("../../utils/privateFiles");
+const { recordPayout, summarizeEntries } = require("../../utils/ledger");
+const {
+  getSettings: getReconciliationSettings,
+  runReconciliation,
+  isReconciliationRunning,
+} = require("../../utils/reconciliation");
 
 // Extend Prisma client to include computed fields
 const prismaWithExtensions = prisma.$extends({
@@ -42,13 +60,23 @@ const getPaymentInsights = asyncHandler(async (req, res) => {
     ]
   );
 
-  // Split amounts (admin and vendor)
-  const splitAmounts = await prisma.payment.aggregate({
-    _sum: {
-      adminSplit: true,
-      vendorSplit: true,
-    },
-  });
+  // Split amounts (admin and vendor), net of completed refunds
+  const [splitAmounts, refundReversals] = await Promise.all([
+    prisma.payment.aggregate({
+      _sum: {
+        adminSplit: true,
+        vendorSplit: true,
+      },
+    }),
+    prisma.refund.aggregate({
+      where: { status: "COMPLETED" },
+      _sum: {
+        amount: true,
+        adminSplitReversal: true,
+        vendorSplitReversal: true,
+      },
+    }),
+  ]);
 
   // Recent payments (last 7 days)
   const sevenDaysAgo = new Date();
@@ -120,9 +148,14 @@ const getPaymentInsights = asyncHandler(async (req, res) => {
     paymentStatusBreakdown,
     paymentMethodDistribution,
     splitAmounts: {
-      adminSplit: splitAmounts._sum.adminSplit || 0,
-      vendorSplit: splitAmounts._sum.vendorSplit || 0,
+      adminSplit:
+        (splitAmounts._sum.adminSplit || 0) -
+        (refundReversals._sum.adminSplitReversal || 0),
+      vendorSplit:
+        (splitAmounts._sum.vendorSplit || 0) -
+        (refundReversals._sum.vendorSplitReversal || 0),
     },
+    totalRefunded: refundReversals._sum.amount || 0,
     recentPayments: formattedRecentPayments,
     monthlyTrends,
   });
@@ -226,6 +259,10 @@ const getPayments = asyncHandler(async (req, res) => {
       status: true,
       method: true,
       createdAt: true,
+      adminSplit: true,
+      vendorSplit: true,
+      commissionPercentage: true,
+      commissionRule: { select: { id: true, name: true, scope: true } },
       user: {
         select: {
           firstName: true,
@@ -255,9 +292,575 @@ const getPayments = asyncHandler(async (req, res) => {
     status: payment.status,
     method: payment.method,
     eventName: payment.booking?.service?.name || 'N/A',
+    adminSplit: payment.adminSplit,
+    vendorSplit: payment.vendorSplit,
+    commissionPercentage: payment.commissionPercentage,
+    commissionRule: payment.commissionRule,
   }));
 
   res.status(200).json(formattedPayments);
 });
 
-module.exports = { getPaymentInsights, getPaymentReport, getPayments };
+// Payments waiting for manual confirmation (bank transfers to the
+// platform and transfers recorded as paid to a vendor)
+const getPendingManualPayments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, method } = req.query;
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const methods = ["BANK_TRANSFER", "MANUAL"];
+  if (method && !methods.includes(method.toUpperCase())) {
+    res.status(400);
+    throw new Error("Invalid method. Must be BANK_TRANSFER or MANUAL");
+  }
+
+  const where = {
+    status: "PENDING",
+    method: method ? method.toUpperCase() : { in: methods },
+  };
+
+  const [payments, total] = await Promise.all([
+    prisma.payment.findMany({
+      where,
+      include: {
+        user: { select: { firstName: true, lastName: true, email: true } },
+        vendor: { select: { id: true, businessName: true } },
+        booking: {
+          select: {
+            id: true,
+            eventDate: true,
+            status: true,
+            service: { select: { name: true } },
+          },
+        },
+      },
+      orderBy: { createdAt: "asc" },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+    }),
+    prisma.payment.count({ where }),
+  ]);
+
+  res.status(200).json({
+    payments: payments.map((payment) => ({
+      id: payment.id,
+      amount: payment.amount,
+      method: payment.method,
+      // Bank transfers carry the platform's reference, manual payments the client's
+      reference: payment.bankReference || payment.transactionId,
+      bankName: payment.bankName,
+      paidAt: payment.paidAt,
+      hasReceipt: Boolean(payment.receiptImage),
+      createdAt: payment.createdAt,
+      client: payment.user,
+      vendor: payment.vendor,
+      booking: payment.booking,
+    })),
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  });
+});
+
+// Confirm or reject a manual payment
+const reviewPayment = (approve) =>
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await reviewManualPayment(req.params.paymentId, {
+        approve,
+        reviewer: req.user,
+        note: req.body.note,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500);
+      throw error;
+    }
+
+    res.status(200).json({
+      message: approve ? "Payment confirmed" : "Payment rejected",
+      payment: result.payment,
+      bookingConfirmed: result.bookingConfirmed,
+    });
+  });
+
+const confirmManualPayment = reviewPayment(true);
+const rejectManualPayment = reviewPayment(false);
+
+// Download the receipt image uploaded for a manual payment
+const getTransferReceipt = asyncHandler(async (req, res) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: req.params.paymentId },
+  });
+
+  if (!payment) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  const filePath = getPrivateFilePath(payment.receiptImage);
+  if (!filePath) {
+    res.status(404);
+    throw new Error("No receipt uploaded for this payment");
+  }
+
+  res.sendFile(filePath);
+});
+
+// Booking details needed for refund emails
+const refundPaymentInclude = {
+  booking: {
+    include: {
+      service: { select: { name: true } },
+      client: {
+        include: {
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+    },
+  },
+};
+
+// Get refund requests (optionally filtered by status)
+const getRefunds = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const where = {};
+  if (status) {
+    const validStatuses = [
+      "PENDING",
+      "PROCESSING",
+      "COMPLETED",
+      "REJECTED",
+      "FAILED",
+    ];
+    if (!validStatuses.includes(status.toUpperCase())) {
+      res.status(400);
+      throw new Error(
+        "Invalid status. Must be PENDING, PROCESSING, COMPLETED, REJECTED, or FAILED"
+      );
+    }
+    where.status = status.toUpperCase();
+  }
+
+  const refunds = await prisma.refund.findMany({
+    where,
+    include: {
+      payment: {
+        select: {
+          id: true,
+          amount: true,
+          refundedAmount: true,
+          status: true,
+          transactionId: true,
+          user: { select: { firstName: true, lastName: true, email: true } },
+          booking: {
+            select: {
+              id: true,
+              status: true,
+              eventDate: true,
+              service: {
+                select: {
+                  name: true,
+                  vendor: { select: { businessName: true } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const formattedRefunds = refunds.map((refund) => ({
+    id: refund.id,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status,
+    adminSplitReversal: refund.adminSplitReversal,
+    vendorSplitReversal: refund.vendorSplitReversal,
+    reviewNote: refund.reviewNote,
+    processedAt: refund.processedAt,
+    createdAt: refund.createdAt,
+    paymentId: refund.payment.id,
+    paymentAmount: refund.payment.amount,
+    refundedAmount: refund.payment.refundedAmount,
+    paymentStatus: refund.payment.status,
+    transactionId: refund.payment.transactionId,
+    userName: `${refund.payment.user.firstName} ${refund.payment.user.lastName}`,
+    userEmail: refund.payment.user.email,
+    bookingId: refund.payment.booking?.id,
+    bookingStatus: refund.payment.booking?.status,
+    eventDate: refund.payment.booking?.eventDate,
+    serviceName: refund.payment.booking?.service?.name,
+    vendorName: refund.payment.booking?.service?.vendor?.businessName,
+  }));
+
+  res.status(200).json(formattedRefunds);
+});
+
+// Open a (full or partial) refund request for a payment
+const createRefund = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { amount, reason } = req.body;
+
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+  if (!payment) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  let refund;
+  try {
+    refund = await requestRefund(payment, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      reason,
+      requestedById: req.user.id,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(201).json({
+    message: "Refund request created successfully",
+    refund,
+  });
+});
+
+// Approve a refund and send it to Chapa
+const approveRefundRequest = asyncHandler(async (req, res) => {
+  const { refundId } = req.params;
+  const { amount } = req.body;
+
+  let refund;
+  try {
+    refund = await approveRefund(refundId, req.user.id, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: refund.paymentId },
+    include: refundPaymentInclude,
+  });
+
+  // Send refund email to the client
+  if (payment.booking) {
+    try {
+      await sendRefundProcessedToClient(
+        refund,
+        payment.booking,
+        payment.booking.client
+      );
+      console.log(`Refund email sent to ${payment.booking.client.user.email}`);
+    } catch (emailError) {
+      console.error("Error sending refund email:", emailError);
+      // Continue with the response even if email fails
+    }
+  }
+
+  res.status(200).json({
+    message: "Refund processed successfully",
+    refund,
+    payment: {
+      id: payment.id,
+      amount: payment.amount,
+      refundedAmount: payment.refundedAmount,
+      status: payment.status,
+    },
+  });
+});
+
+// Reject a refund request
+const rejectRefundRequest = asyncHandler(async (req, res) => {
+  const { refundId } = req.params;
+  const { note } = req.body;
+
+  let refund;
+  try {
+    refund = await rejectRefund(refundId, req.user.id, note);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: refund.paymentId },
+    include: refundPaymentInclude,
+  });
+
+  // Let the client know the refund was not approved
+  if (payment.booking) {
+    try {
+      await sendRefundRejectedToClient(
+        refund,
+        payment.booking,
+        payment.booking.client
+      );
+      console.log(
+        `Refund rejection email sent to ${payment.booking.client.user.email}`
+      );
+    } catch (emailError) {
+      console.error("Error sending refund rejection email:", emailError);
+      // Continue with the response even if email fails
+    }
+  }
+
+  res.status(200).json({
+    message: "Refund rejected successfully",
+    refund,
+  });
+});
+
+// List webhook deliveries, newest first
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, txRef, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const where = {};
+  if (status) {
+    const validStatuses = ["RECEIVED", "PROCESSED", "IGNORED", "FAILED"];
+    if (!validStatuses.includes(status.toUpperCase())) {
+      res.status(400);
+      throw new Error(
+        "Invalid status. Must be RECEIVED, PROCESSED, IGNORED, or FAILED"
+      );
+    }
+    where.status = status.toUpperCase();
+  }
+  if (txRef) where.txRef = txRef;
+
+  const [events, total] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where,
+      orderBy: { lastReceivedAt: "desc" },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+    }),
+    prisma.webhookEvent.count({ where }),
+  ]);
+
+  res.status(200).json({
+    events: events.map((event) => ({
+      id: event.id,
+      provider: event.provider,
+      eventKey: event.eventKey,
+      eventType: event.eventType,
+      txRef: event.txRef,
+      status: event.status,
+      result: event.result,
+      deliveries: event.deliveries,
+      replays: event.replays,
+      paymentId: event.paymentId,
+      payload: JSON.parse(event.payload),
+      receivedAt: event.receivedAt,
+      lastReceivedAt: event.lastReceivedAt,
+      processedAt: event.processedAt,
+    })),
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  });
+});
+
+// Process a stored webhook delivery again
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await replayEvent(req.params.eventId);
+
+  if (!event) {
+    res.status(404);
+    throw new Error("Webhook event not found");
+  }
+
+  res.status(200).json({
+    message: "Webhook event replayed",
+    event: {
+      id: event.id,
+      eventKey: event.eventKey,
+      status: event.status,
+      result: event.result,
+      replays: event.replays,
+      processedAt: event.processedAt,
+    },
+  });
+});
+
+// Format a reconciliation run for API responses
+const formatReconciliationRun = (run) => ({
+  id: run.id,
+  trigger: run.trigger,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  checked: run.checked,
+  completed: run.completed,
+  failed: run.failed,
+  expired: run.expired,
+  stillPending: run.stillPending,
+  errors: run.errors,
+  details: run.details ? JSON.parse(run.details) : [],
+});
+
+// Reconciliation report: recent worker runs and the current PENDING backlog
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const settings = getReconciliationSettings();
+
+  const [runs, pendingCount, overdueCount] = await Promise.all([
+    prisma.paymentReconciliationRun.findMany({
+      orderBy: { startedAt: "desc" },
+      take: limit,
+    }),
+    prisma.payment.count({ where: { status: "PENDING" } }),
+    prisma.payment.count({
+      where: {
+        status: "PENDING",
+        createdAt: {
+          lt: new Date(Date.now() - settings.expiryHours * 60 * 60 * 1000),
+        },
+      },
+    }),
+  ]);
+
+  res.status(200).json({
+    settings,
+    running: isReconciliationRunning(),
+    pendingPayments: pendingCount,
+    overduePendingPayments: overdueCount,
+    lastRun: runs[0] ? formatReconciliationRun(runs[0]) : null,
+    runs: runs.map(formatReconciliationRun),
+  });
+});
+
+// Run reconciliation now instead of waiting for the worker
+const runReconciliationNow = asyncHandler(async (req, res) => {
+  if (isReconciliationRunning()) {
+    res.status(409);
+    throw new Error("Reconciliation is already running");
+  }
+
+  const run = await runReconciliation("MANUAL");
+
+  if (!run) {
+    res.status(500);
+    throw new Error("Reconciliation failed");
+  }
+
+  res.status(200).json({
+    message: "Reconciliation completed",
+    run: formatReconciliationRun(run),
+  });
+});
+
+// Total owed to each vendor according to the payout ledger
+const getVendorBalances = asyncHandler(async (req, res) => {
+  // Totals per vendor and entry type; payments made before the ledger
+  // existed are posted by scripts/backfillVendorLedger.js
+  const totalsByType = await prisma.vendorLedgerEntry.groupBy({
+    by: ["vendorId", "type"],
+    _sum: { amount: true },
+    _max: { occurredAt: true },
+  });
+
+  const vendorIds = [...new Set(totalsByType.map((t) => t.vendorId))];
+  const vendors = await prisma.vendor.findMany({
+    where: { id: { in: vendorIds } },
+    select: { id: true, businessName: true, tinNumber: true },
+    orderBy: { businessName: "asc" },
+  });
+
+  const balances = vendors
+    .map((vendor) => {
+      const vendorTotals = totalsByType.filter((t) => t.vendorId === vendor.id);
+      // One summed entry per type adds up the same as the entries themselves
+      const totals = summarizeEntries(
+        vendorTotals.map((t) => ({ type: t.type, amount: t._sum.amount || 0 }))
+      );
+      const payouts = vendorTotals.find((t) => t.type === "PAYOUT");
+
+      return {
+        vendorId: vendor.id,
+        businessName: vendor.businessName,
+        tinNumber: vendor.tinNumber,
+        credits: totals.credits,
+        platformFees: totals.platformFees,
+        refunds: totals.refunds,
+        feeReversals: totals.feeReversals,
+        payouts: totals.payouts,
+        balanceOwed: totals.net,
+        lastPayoutAt: payouts ? payouts._max.occurredAt : null,
+      };
+    })
+    .filter((balance) => balance.credits !== 0 || balance.balanceOwed !== 0);
+
+  res.status(200).json({
+    currency: "ETB",
+    totalOwed:
+      Math.round(balances.reduce((sum, b) => sum + b.balanceOwed, 0) * 100) / 100,
+    vendors: balances,
+  });
+});
+
+// Record a payout to a vendor
+const createVendorPayout = asyncHandler(async (req, res) => {
+  const { vendorId } = req.params;
+  const { amount, reference, note } = req.body;
+
+  const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+
+  if (!vendor) {
+    res.status(404);
+    throw new Error("Vendor not found");
+  }
+
+  let payout;
+  try {
+    payout = await recordPayout(vendorId, {
+      amount,
+      reference,
+      note,
+      recordedById: req.user.id,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(201).json({
+    message: "Payout recorded successfully",
+    payout,
+  });
+});
+
+module.exports = {
+  getPaymentInsights,
+  getPaymentReport,
+  getPayments,
+  getRefunds,
+  createRefund,
+  approveRefundRequest,
+  rejectRefundRequest,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getReconciliationReport,
+  runReconciliationNow,
+  getVendorBalances,
+  createVendorPayout,
+  getPendingManualPayments,
+  confirmManualPayment,
+  rejectManualPayment,
+  getTransferReceipt,
+};
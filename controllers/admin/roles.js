@@ -0,0 +1,201 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const {
+  ROLE_PERMISSIONS,
+  parseStaffPermissions,
+  validateStaffPermissions,
+  listPermissions,
+} = require("../../utils/permissions");
+
+const formatStaffRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: parseStaffPermissions(role),
+  staffCount: role._count?.users,
+  createdById: role.createdById,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+// Get the permission registry
+const getPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json(listPermissions());
+});
+
+// Get built-in roles and custom staff roles with their permissions
+const getRoles = asyncHandler(async (req, res) => {
+  const staffRoles = await prisma.staffRole.findMany({
+    include: { _count: { select: { users: true } } },
+    orderBy: { name: "asc" },
+  });
+
+  res.status(200).json({
+    builtInRoles: Object.entries(ROLE_PERMISSIONS)
+      .filter(([role]) => role !== "STAFF")
+      .map(([role, permissions]) => ({ role, permissions })),
+    staffRoles: staffRoles.map(formatStaffRole),
+  });
+});
+
+// Create a custom staff role
+const createStaffRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  if (!name) {
+    res.status(400);
+    throw new Error("Name is required");
+  }
+
+  let validPermissions;
+  try {
+    validPermissions = validateStaffPermissions(permissions);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const existing = await prisma.staffRole.findUnique({ where: { name } });
+  if (existing) {
+    res.status(400);
+    throw new Error("A staff role with this name already exists");
+  }
+
+  const role = await prisma.staffRole.create({
+    data: {
+      name,
+      description: description || null,
+      permissions: JSON.stringify(validPermissions),
+      createdById: req.user.id,
+    },
+  });
+
+  res.status(201).json(formatStaffRole(role));
+});
+
+// Update a staff role; changes apply to its staff on their next request
+const updateStaffRole = asyncHandler(async (req, res) => {
+  const { roleId } = req.params;
+  const { name, description, permissions } = req.body;
+
+  const role = await prisma.staffRole.findUnique({ where: { id: roleId } });
+  if (!role) {
+    res.status(404);
+    throw new Error("Staff role not found");
+  }
+
+  const updateData = {};
+  if (name && name !== role.name) {
+    const existing = await prisma.staffRole.findUnique({ where: { name } });
+    if (existing) {
+      res.status(400);
+      throw new Error("A staff role with this name already exists");
+    }
+    updateData.name = name;
+  }
+  if (description !== undefined) updateData.description = description || null;
+  if (permissions !== undefined) {
+    try {
+      updateData.permissions = JSON.stringify(
+        validateStaffPermissions(permissions)
+      );
+    } catch (error) {
+      res.status(error.statusCode || 500);
+      throw error;
+    }
+  }
+
+  const updatedRole = await prisma.staffRole.update({
+    where: { id: roleId },
+    data: updateData,
+    include: { _count: { select: { users: true } } },
+  });
+
+  res.status(200).json(formatStaffRole(updatedRole));
+});
+
+// Delete a staff role that no staff member has
+const deleteStaffRole = asyncHandler(async (req, res) => {
+  const { roleId } = req.params;
+
+  const role = await prisma.staffRole.findUnique({
+    where: { id: roleId },
+    include: { _count: { select: { users: true } } },
+  });
+  if (!role) {
+    res.status(404);
+    throw new Error("Staff role not found");
+  }
+
+  if (role._count.users > 0) {
+    res.status(409);
+    throw new Error(
+      "This role is still assigned to staff. Move them to another role first"
+    );
+  }
+
+  await prisma.staffRole.delete({ where: { id: roleId } });
+
+  res.status(200).json({ message: "Staff role deleted" });
+});
+
+// Give a staff member a different staff role
+const assignStaffRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { staffRoleId } = req.body;
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.role !== "STAFF") {
+    res.status(404);
+    throw new Error("Staff member not found");
+  }
+
+  const role = await prisma.staffRole.findUnique({
+    where: { id: staffRoleId || "" },
+  });
+  if (!role) {
+    res.status(400);
+    throw new Error("A valid staffRoleId is required");
+  }
+
+  const updatedUser = await prisma.user.update({
+    where: { id: userId },
+    data: { staffRoleId },
+  });
+
+  res.status(200).json({
+    id: updatedUser.id,
+    email: updatedUser.email,
+    name: `${updatedUser.firstName} ${updatedUser.lastName}`,
+    staffRole: formatStaffRole(role),
+  });
+});
+
+// Get staff members and their roles
+const getStaff = asyncHandler(async (req, res) => {
+  const staff = await prisma.user.findMany({
+    where: { role: "STAFF" },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      isBlocked: true,
+      createdAt: true,
+      staffRole: { select: { id: true, name: true } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.status(200).json(staff);
+});
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  getStaff,
+  assignStaffRole,
+};
@@ -0,0 +1,174 @@
+const asyncHandler = require("express-async-handler");
+const prisma = require("../../prisma/client");
+const {
+  TWO_FACTOR_ROLES,
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  resetTwoFactor,
+} = require("../../utils/twoFactor");
+const { unlockAccount } = require("../../utils/loginProtection");
+
+const FAILED_LOGIN_REASONS = [
+  "UNKNOWN_EMAIL",
+  "BAD_PASSWORD",
+  "BAD_TWO_FACTOR_CODE",
+  "ACCOUNT_LOCKED",
+  "RATE_LIMITED",
+];
+
+// Get the two-factor policy and how many users of each role have enrolled
+const getTwoFactorSettings = asyncHandler(async (req, res) => {
+  const policy = await getTwoFactorPolicy();
+
+  const counts = await prisma.user.groupBy({
+    by: ["role", "twoFactorEnabled"],
+    where: { role: { in: TWO_FACTOR_ROLES } },
+    _count: { _all: true },
+  });
+
+  const enrollment = TWO_FACTOR_ROLES.map((role) => {
+    const countFor = (enabled) =>
+      counts.find(
+        (count) => count.role === role && count.twoFactorEnabled === enabled
+      )?._count._all || 0;
+    return { role, enabled: countFor(true), notEnabled: countFor(false) };
+  });
+
+  res.status(200).json({
+    availableRoles: TWO_FACTOR_ROLES,
+    ...policy,
+    enrollment,
+  });
+});
+
+// Choose the roles two-factor authentication is mandatory for
+const updateTwoFactorSettings = asyncHandler(async (req, res) => {
+  let policy;
+  try {
+    policy = await setTwoFactorPolicy(req.body.requiredRoles, req.user.id);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json({
+    message: "Two-factor policy updated",
+    ...policy,
+  });
+});
+
+// Reset two-factor for a user who lost their authenticator and backup codes
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    await resetTwoFactor(userId);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json({
+    message:
+      "Two-factor authentication reset. The user can sign in with their password and enroll again.",
+  });
+});
+
+// Get failed and refused sign-ins, newest first
+// (?email=&ipAddress=&userId=&reason=&from=&to=&page=&limit=)
+const getFailedLogins = asyncHandler(async (req, res) => {
+  const { email, ipAddress, userId, reason, from, to } = req.query;
+  const { page = 1, limit = 50 } = req.query;
+  const take = Math.min(parseInt(limit, 10) || 50, 200);
+  const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * take;
+
+  if (reason && !FAILED_LOGIN_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(
+      `Reason must be one of: ${FAILED_LOGIN_REASONS.join(", ")}`
+    );
+  }
+
+  const createdAt = {};
+  for (const [bound, value] of [
+    ["gte", from],
+    ["lte", to],
+  ]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error(`Invalid date: ${value}`);
+    }
+    createdAt[bound] = date;
+  }
+
+  const where = {
+    ...(email && { email }),
+    ...(ipAddress && { ipAddress }),
+    ...(userId && { userId }),
+    ...(reason && { reason }),
+    ...(Object.keys(createdAt).length > 0 && { createdAt }),
+  };
+
+  const [attempts, total] = await Promise.all([
+    prisma.failedLoginAttempt.findMany({
+      where,
+      include: {
+        user: {
+          select: { id: true, firstName: true, lastName: true, role: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take,
+    }),
+    prisma.failedLoginAttempt.count({ where }),
+  ]);
+
+  res.status(200).json({ attempts, total });
+});
+
+// Get accounts locked after repeated failed sign-ins
+const getLockedAccounts = asyncHandler(async (req, res) => {
+  const accounts = await prisma.user.findMany({
+    where: { lockedUntil: { gt: new Date() } },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      role: true,
+      failedLoginCount: true,
+      lastFailedLoginAt: true,
+      lockedUntil: true,
+    },
+    orderBy: { lockedUntil: "desc" },
+  });
+
+  res.status(200).json(accounts);
+});
+
+// Lift a sign-in lock early
+const unlockUserAccount = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  await unlockAccount(userId);
+
+  res.status(200).json({ message: "Account unlocked" });
+});
+
+module.exports = {
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  resetUserTwoFactor,
+  getFailedLogins,
+  getLockedAccounts,
+  unlockUserAccount,
+};
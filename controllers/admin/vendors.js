@@ -1,7 +1,11 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
-const { createVendorSubaccount } = require("../../utils/chapa");
+const { createProviderSubaccounts } = require("../../utils/paymentProviders");
 const { sendVendorApprovalEmail } = require("../../utils/emailService");
+const {
+  setAccountBlock,
+  setVendorSuspension,
+} = require("../../utils/accountState");
 
 // Approve Vendor
 const approveVendor = asyncHandler(async (req, res) => {
@@ -20,11 +24,11 @@ const approveVendor = asyncHandler(async (req, res) => {
     throw new Error("Vendor is already approved");
   }
 
-  // Create Chapa subaccount for vendor
+  // Create payment provider subaccounts (Chapa) for vendor
   try {
-    await createVendorSubaccount(id);
+    await createProviderSubaccounts(id);
   } catch (error) {
-    console.error("Chapa Subaccount Creation Error:", error.message);
+    console.error("Subaccount Creation Error:", error.message);
     res.status(500);
     throw new Error(
       `Failed to create vendor payment account: ${error.message}`
@@ -80,8 +84,17 @@ const deleteVendor = asyncHandler(async (req, res) => {
 
 const editVendor = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { businessName, serviceType, isActive, isBlocked, name, email, phone } =
-    req.body;
+  const {
+    businessName,
+    serviceType,
+    isActive,
+    isBlocked,
+    blockedReason,
+    blockedUntil,
+    name,
+    email,
+    phone,
+  } = req.body;
 
   // Check if vendor exists
   const vendor = await prisma.vendor.findUnique({
@@ -100,14 +113,10 @@ const editVendor = asyncHandler(async (req, res) => {
   const vendorUpdateData = {};
   if (businessName) vendorUpdateData.businessName = businessName;
   if (serviceType) vendorUpdateData.serviceType = serviceType;
-  if (isActive !== undefined) {
-    vendorUpdateData.status = isActive ? "APPROVED" : "SUSPENDED";
-  }
 
   // Prepare update data for user
   const userUpdateData = {};
   if (email) userUpdateData.email = email;
-  if (isBlocked !== undefined) userUpdateData.isBlocked = isBlocked;
   if (phone) userUpdateData.phone = phone;
 
   // Handle name if provided
@@ -118,6 +127,25 @@ const editVendor = asyncHandler(async (req, res) => {
     userUpdateData.lastName = lastName;
   }
 
+  // Suspending and blocking go through the account-state policy, which
+  // keeps the reason and signs the vendor out
+  try {
+    if (isActive !== undefined && isActive !== (vendor.status === "APPROVED")) {
+      await setVendorSuspension(id, { suspended: !isActive });
+    }
+    if (isBlocked !== undefined && isBlocked !== vendor.user.isBlocked) {
+      await setAccountBlock(vendor.userId, {
+        blocked: isBlocked,
+        reason: blockedReason,
+        until: blockedUntil,
+        blockedById: req.user.id,
+      });
+    }
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
   // Update vendor and user details
   const [updatedVendor, updatedUser] = await Promise.all([
     prisma.vendor.update({
@@ -146,6 +174,7 @@ const editVendor = asyncHandler(async (req, res) => {
 // Suspend Vendor
 const suspendVendor = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { reason, until } = req.body;
 
   // Check if vendor exists
   const vendor = await prisma.vendor.findUnique({ where: { id } });
@@ -160,10 +189,16 @@ const suspendVendor = asyncHandler(async (req, res) => {
     throw new Error("Vendor is already suspended");
   }
 
-  // Update vendor status to SUSPENDED
-  const updatedVendor = await prisma.vendor.update({
+  // Suspend with an optional reason and end date
+  try {
+    await setVendorSuspension(id, { suspended: true, reason, until });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const updatedVendor = await prisma.vendor.findUnique({
     where: { id },
-    data: { status: "SUSPENDED" },
     include: {
       user: { select: { email: true, firstName: true, lastName: true } },
     },
@@ -178,6 +213,8 @@ const suspendVendor = asyncHandler(async (req, res) => {
       firstName: updatedVendor.user.firstName,
       lastName: updatedVendor.user.lastName,
       status: updatedVendor.status,
+      suspensionReason: updatedVendor.suspensionReason,
+      suspendedUntil: updatedVendor.suspendedUntil,
     },
   });
 });
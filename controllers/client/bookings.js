@@ -1,10 +1,49 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
+const {
+  checkServiceAvailability,
+  holdServiceSlot,
+} = require("../../utils/availability");
+const {
+  getCancellationPolicy,
+  getRefundPercentage,
+} = require("../../utils/cancellationPolicy");
+const { getRefundableAmount, requestRefund } = require("../../utils/refunds");
+const {
+  bookingEventData,
+  getBookingHistory,
+} = require("../../utils/bookingHistory");
+const {
+  paymentScheduleData,
+  ensurePaymentSchedule,
+  getPayableInstallment,
+  rescheduleInstallments,
+  cancelOutstandingInstallments,
+  formatSchedule,
+} = require("../../utils/paymentSchedule");
+const {
+  parseAttendees,
+  priceBooking,
+  claimDiscountRedemption,
+  releaseDiscountRedemption,
+  getBookingQuote,
+} = require("../../utils/pricing");
+const {
+  sendBookingCancelledByClientToVendor,
+  sendBookingRescheduledToVendor,
+} = require("../../utils/emailService");
 
 // Book Event
 const bookEvent = asyncHandler(async (req, res) => {
-  const { serviceId, eventDate, location, attendees, specialRequests } =
-    req.body;
+  const {
+    serviceId,
+    eventDate,
+    location,
+    attendees,
+    specialRequests,
+    addOnIds,
+    discountCode,
+  } = req.body;
   const userId = req.user.id; // Assumes user ID from auth middleware
 
   // Validate required fields
@@ -48,28 +87,84 @@ const bookEvent = asyncHandler(async (req, res) => {
     throw new Error("Client profile not found");
   }
 
-  // Create booking
-  const booking = await prisma.booking.create({
-    data: {
-      clientId: client.id,
-      serviceId,
-      eventDate: eventDateObj,
-      location,
-      attendees: attendees ? parseInt(attendees) : undefined,
-      specialRequests,
-      status: "PENDING",
-    },
-    include: {
-      service: {
-        select: {
-          name: true,
-          price: true,
-          category: true,
-          vendor: { select: { businessName: true, rating: true, id: true } },
+  // Make sure the vendor still has room on the requested date
+  const availability = await checkServiceAvailability(service, eventDateObj);
+  if (!availability.available) {
+    res.status(409);
+    throw new Error(availability.reason);
+  }
+
+  // Price the booking from the service, add-ons and discount code
+  let guests;
+  let pricing;
+  try {
+    guests = parseAttendees(attendees);
+    pricing = await priceBooking(service, {
+      attendees: guests,
+      addOnIds,
+      discountCode,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+  const { quote, addOns, discount } = pricing;
+
+  // Create the booking, counting it against the discount code's redemptions
+  let booking;
+  try {
+    booking = await prisma.$transaction(async (tx) => {
+      // Another booking may have taken the day since the check above
+      await holdServiceSlot(tx, service, eventDateObj);
+      if (discount) await claimDiscountRedemption(discount, tx);
+
+      return tx.booking.create({
+        data: {
+          clientId: client.id,
+          serviceId,
+          eventDate: eventDateObj,
+          location,
+          attendees: guests ?? undefined,
+          specialRequests,
+          status: "PENDING",
+          ...paymentScheduleData(service.vendor, quote.total, eventDateObj),
+          priceBreakdown: JSON.stringify(quote),
+          discountId: discount ? discount.id : undefined,
+          addOns: {
+            create: addOns.map((addOn) => ({
+              addOnId: addOn.id,
+              name: addOn.name,
+              price: addOn.price,
+              perGuest: addOn.perGuest,
+            })),
+          },
+          events: {
+            create: bookingEventData({
+              toStatus: "PENDING",
+              user: req.user,
+              source: "CLIENT",
+              reason: "Booking created",
+            }),
+          },
         },
-      },
-    },
-  });
+        include: {
+          service: {
+            select: {
+              name: true,
+              price: true,
+              category: true,
+              vendor: {
+                select: { businessName: true, rating: true, id: true },
+              },
+            },
+          },
+        },
+      });
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
 
   // Removed payment creation code - payment will be created during payment initiation
 
@@ -82,6 +177,9 @@ const bookEvent = asyncHandler(async (req, res) => {
       status: booking.status,
       attendees: booking.attendees,
       specialRequests: booking.specialRequests,
+      totalAmount: booking.totalAmount,
+      balanceDue: booking.balanceDue,
+      quote,
       service: {
         id: service.id,
         name: booking.service.name,
@@ -178,6 +276,9 @@ const viewBookings = asyncHandler(async (req, res) => {
     status: booking.status,
     attendees: booking.attendees,
     specialRequests: booking.specialRequests,
+    totalAmount: booking.totalAmount,
+    amountPaid: booking.amountPaid,
+    balanceDue: booking.balanceDue,
     service: {
       id: booking.service.id,
       name: booking.service.name,
@@ -206,4 +307,425 @@ const viewBookings = asyncHandler(async (req, res) => {
   });
 });
 
-module.exports = { bookEvent, viewBookings };
+// Booking relations needed to notify the vendor
+const vendorNotificationInclude = {
+  service: {
+    include: {
+      vendor: {
+        include: {
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+    },
+  },
+};
+
+// Cancel a booking
+const cancelBooking = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // Find client profile
+  const client = await prisma.client.findUnique({
+    where: { userId },
+  });
+
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findFirst({
+    where: { id, clientId: client.id },
+    include: vendorNotificationInclude,
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+    res.status(400);
+    throw new Error("Only pending or confirmed bookings can be cancelled");
+  }
+
+  if (booking.eventDate < new Date()) {
+    res.status(400);
+    throw new Error("Cannot cancel a booking after the event date");
+  }
+
+  // Work out how much of the payment the policy gives back
+  const policy = await getCancellationPolicy(booking.service);
+  const { daysBeforeEvent, refundPercentage } = getRefundPercentage(
+    policy.rules,
+    booking.eventDate
+  );
+
+  const updatedBooking = await prisma.$transaction(async (tx) => {
+    // Claim the cancellation, so a second request at the same time stops here
+    const { count } = await tx.booking.updateMany({
+      where: { id: booking.id, status: { in: ["PENDING", "CONFIRMED"] } },
+      data: { status: "CANCELLED" },
+    });
+    if (count === 0) return null;
+
+    await cancelOutstandingInstallments(booking.id, tx);
+    if (booking.discountId) {
+      await releaseDiscountRedemption(booking.discountId, tx);
+    }
+
+    return tx.booking.update({
+      where: { id: booking.id },
+      data: {
+        cancellation: {
+          create: {
+            cancelledById: userId,
+            cancelledByRole: "CLIENT",
+            reason: reason || null,
+            daysBeforeEvent,
+            refundPercentage,
+          },
+        },
+        events: {
+          create: bookingEventData({
+            fromStatus: booking.status,
+            toStatus: "CANCELLED",
+            user: req.user,
+            source: "CLIENT",
+            reason,
+          }),
+        },
+      },
+      include: { ...vendorNotificationInclude, cancellation: true },
+    });
+  });
+
+  if (!updatedBooking) {
+    res.status(409);
+    throw new Error("Booking was already cancelled or has changed status");
+  }
+
+  // Queue refunds for completed payments according to the policy
+  const refunds = [];
+  if (refundPercentage > 0) {
+    const completedPayments = await prisma.payment.findMany({
+      where: { bookingId: booking.id, status: "COMPLETED" },
+    });
+
+    for (const payment of completedPayments) {
+      const refundable = await getRefundableAmount(payment);
+      const amount = Math.round(refundable * refundPercentage) / 100;
+      if (amount <= 0) continue;
+
+      try {
+        refunds.push(
+          await requestRefund(payment, {
+            amount,
+            reason: `Booking cancelled by client (${refundPercentage}% refund)`,
+            requestedById: userId,
+          })
+        );
+      } catch (refundError) {
+        console.error(
+          `Error requesting refund for payment ${payment.id}:`,
+          refundError.message
+        );
+      }
+    }
+  }
+
+  // Send email notification to the vendor
+  try {
+    await sendBookingCancelledByClientToVendor(
+      updatedBooking,
+      updatedBooking.service.vendor,
+      reason
+    );
+    console.log(
+      `Booking cancellation email sent to ${updatedBooking.service.vendor.user.email}`
+    );
+  } catch (emailError) {
+    console.error("Error sending booking cancellation email:", emailError);
+    // Continue with the response even if email fails
+  }
+
+  res.status(200).json({
+    message: "Booking cancelled successfully",
+    booking: {
+      id: updatedBooking.id,
+      eventDate: updatedBooking.eventDate,
+      status: updatedBooking.status,
+      cancellation: updatedBooking.cancellation,
+    },
+    policy: {
+      source: policy.source,
+      rules: policy.rules,
+    },
+    refunds,
+  });
+});
+
+// Move a booking to a new date
+const rescheduleBooking = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const { eventDate } = req.body;
+
+  if (!eventDate) {
+    res.status(400);
+    throw new Error("New event date is required");
+  }
+
+  const eventDateObj = new Date(eventDate);
+  if (isNaN(eventDateObj.getTime())) {
+    res.status(400);
+    throw new Error("Invalid event date");
+  }
+
+  // Validate event date is in the future
+  const today = new Date();
+  today.setHours(0, 0, 0, 0); // Normalize to start of day
+  if (eventDateObj < today) {
+    res.status(400);
+    throw new Error("Event date must be in the future");
+  }
+
+  // Find client profile
+  const client = await prisma.client.findUnique({
+    where: { userId },
+  });
+
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findFirst({
+    where: { id, clientId: client.id },
+    include: vendorNotificationInclude,
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+    res.status(400);
+    throw new Error("Only pending or confirmed bookings can be rescheduled");
+  }
+
+  // Make sure the vendor has room on the new date
+  const availability = await checkServiceAvailability(
+    booking.service,
+    eventDateObj,
+    { excludeBookingId: booking.id }
+  );
+  if (!availability.available) {
+    res.status(409);
+    throw new Error(availability.reason);
+  }
+
+  const previousDate = booking.eventDate;
+
+  // Unpaid installments are due relative to the event date, so they move
+  // with it
+  let updatedBooking;
+  try {
+    updatedBooking = await prisma.$transaction(async (tx) => {
+      // Another booking may have taken the day since the check above
+      await holdServiceSlot(tx, booking.service, eventDateObj, {
+        excludeBookingId: booking.id,
+      });
+      await rescheduleInstallments(
+        booking.id,
+        {
+          eventDate: eventDateObj,
+          balanceDueDays: booking.service.vendor.balanceDueDays,
+        },
+        tx
+      );
+
+      return tx.booking.update({
+        where: { id: booking.id },
+        data: {
+          eventDate: eventDateObj,
+          events: {
+            create: bookingEventData({
+              fromStatus: booking.status,
+              toStatus: booking.status,
+              user: req.user,
+              source: "CLIENT",
+              reason: `Rescheduled from ${previousDate.toISOString()} to ${eventDateObj.toISOString()}`,
+            }),
+          },
+        },
+        include: vendorNotificationInclude,
+      });
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Send email notification to the vendor
+  try {
+    await sendBookingRescheduledToVendor(
+      updatedBooking,
+      updatedBooking.service.vendor,
+      previousDate
+    );
+    console.log(
+      `Booking reschedule email sent to ${updatedBooking.service.vendor.user.email}`
+    );
+  } catch (emailError) {
+    console.error("Error sending booking reschedule email:", emailError);
+    // Continue with the response even if email fails
+  }
+
+  res.status(200).json({
+    message: "Booking rescheduled successfully",
+    booking: {
+      id: updatedBooking.id,
+      previousDate,
+      eventDate: updatedBooking.eventDate,
+      location: updatedBooking.location,
+      status: updatedBooking.status,
+    },
+  });
+});
+
+// Get the status history of a booking
+const viewBookingHistory = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  // Find client profile
+  const client = await prisma.client.findUnique({
+    where: { userId },
+  });
+
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findFirst({
+    where: { id, clientId: client.id },
+    select: { id: true, status: true },
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  const history = await getBookingHistory(booking.id);
+
+  res.status(200).json({
+    message: "Booking history retrieved successfully",
+    bookingId: booking.id,
+    status: booking.status,
+    history,
+  });
+});
+
+// Get the deposit and installment plan for a booking
+const viewPaymentSchedule = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  // Find client profile
+  const client = await prisma.client.findUnique({
+    where: { userId },
+  });
+
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findFirst({
+    where: { id, clientId: client.id },
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  const schedule = await ensurePaymentSchedule(booking.id);
+  const updatedBooking = await prisma.booking.findUnique({
+    where: { id: booking.id },
+  });
+
+  res.status(200).json({
+    message: "Payment schedule retrieved successfully",
+    bookingId: booking.id,
+    schedule: formatSchedule(schedule, updatedBooking),
+  });
+});
+
+// Get the server-calculated price of a booking and the amount due now
+const viewQuote = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  // Find client profile
+  const client = await prisma.client.findUnique({
+    where: { userId },
+  });
+
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findFirst({
+    where: { id, clientId: client.id },
+    include: { service: true },
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  const quote = await getBookingQuote(booking);
+  const schedule = await ensurePaymentSchedule(booking.id);
+  const updatedBooking = await prisma.booking.findUnique({
+    where: { id: booking.id },
+  });
+  const nextInstallment = ["PENDING", "CONFIRMED"].includes(booking.status)
+    ? getPayableInstallment(schedule)
+    : null;
+
+  res.status(200).json({
+    message: "Quote retrieved successfully",
+    bookingId: booking.id,
+    quote,
+    amountPaid: updatedBooking.amountPaid,
+    balanceDue: updatedBooking.balanceDue,
+    amountDueNow: nextInstallment ? nextInstallment.amount : 0,
+    nextInstallment: nextInstallment
+      ? {
+          id: nextInstallment.id,
+          type: nextInstallment.type,
+          amount: nextInstallment.amount,
+          dueDate: nextInstallment.dueDate,
+        }
+      : null,
+  });
+});
+
+module.exports = {
+  bookEvent,
+  viewBookings,
+  cancelBooking,
+  rescheduleBooking,
+  viewBookingHistory,
+  viewPaymentSchedule,
+  viewQuote,
+};
@@ -1,37 +1,171 @@
 const asyncHandler = require("express-async-handler");
-const prisma = require("../../prisma/client");
+const {
+  findOrStartConversation,
+  listConversations,
+  getMessagePage,
+  sendMessage,
+  markConversationRead,
+} = require("../../utils/conversations");
+const {
+  listClientJoinRequests,
+  respondToJoinRequest,
+} = require("../../utils/conversationJoinRequests");
+const { userRoom } = require("../../utils/presence");
+const { emitReadReceipts } = require("../../sockets/chat");
 
-// Start a new conversation with a vendor
+// Start a conversation with a vendor, or return the existing one
 const startConversation = asyncHandler(async (req, res) => {
-  const { vendorId } = req.body;
+  const { vendorId } = req.body; // The vendor's user ID
   const clientId = req.user.id;
-  console.log("req.user:", req.user);
-  console.log("vendorId:", vendorId);
-  console.log("clientId:", clientId);
-  const conversation = await prisma.conversation.create({
-    data: {
-      participants: {
-        connect: [{ id: clientId }, { id: vendorId }],
-      },
-    },
-    include: { participants: true },
-  });
 
-  res.status(201).json(conversation);
+  let result;
+  try {
+    result = await findOrStartConversation(clientId, vendorId, "VENDOR");
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(result.created ? 201 : 200).json(result.conversation);
 });
 
-// Get all conversations for the client
+// Get all conversations for the client, with last messages and unread counts
 const getConversations = asyncHandler(async (req, res) => {
-  const clientId = req.user.id;
-
-  const conversations = await prisma.conversation.findMany({
-    where: {
-      participants: { some: { id: clientId } },
-    },
-    include: { participants: true, messages: true },
-  });
+  const conversations = await listConversations(req.user.id);
 
   res.status(200).json(conversations);
 });
 
-module.exports = { startConversation, getConversations };
+// Get a page of a conversation's messages, newest first
+const getMessages = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  let page;
+  try {
+    page = await getMessagePage(req.params.conversationId, req.user.id, {
+      cursor,
+      limit,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json(page);
+});
+
+// Send a message in a conversation, with optional attachments
+const sendConversationMessage = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+  const { content, toUserId } = req.body;
+
+  let message;
+  try {
+    message = await sendMessage(conversationId, req.user.id, {
+      content,
+      toUserId,
+      files: req.files,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Deliver it to participants connected to the chat socket
+  req.app.get("io")?.to(conversationId).emit("receiveMessage", message);
+
+  res.status(201).json(message);
+});
+
+// Mark every message from others in a conversation as read
+const markConversationAsRead = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+
+  let result;
+  try {
+    result = await markConversationRead(conversationId, req.user.id);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Send read receipts to the senders over the chat socket
+  const io = req.app.get("io");
+  if (io) {
+    emitReadReceipts(io, {
+      conversationId,
+      readBy: req.user.id,
+      readAt: result.readAt,
+      messages: result.messages,
+    });
+  }
+
+  res
+    .status(200)
+    .json({ message: "Conversation marked as read", count: result.count });
+});
+
+// Get event planners' requests to join the client's conversations
+const getJoinRequests = asyncHandler(async (req, res) => {
+  let requests;
+  try {
+    requests = await listClientJoinRequests(req.user.id, req.query.status);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json(requests);
+});
+
+// Approve or decline a planner's request to join a conversation
+const answerJoinRequest = (approve) =>
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await respondToJoinRequest(
+        req.params.requestId,
+        req.user.id,
+        approve
+      );
+    } catch (error) {
+      res.status(error.statusCode || 500);
+      throw error;
+    }
+    const { request, conversation } = result;
+
+    // Tell the planner, and on approval everyone in the conversation
+    const io = req.app.get("io");
+    if (io) {
+      io.to(userRoom(request.plannerId)).emit("joinRequestAnswered", {
+        id: request.id,
+        conversationId: request.conversationId,
+        status: request.status,
+      });
+      if (conversation) {
+        io.to([
+          conversation.id,
+          ...conversation.participants.map(({ id }) => userRoom(id)),
+        ]).emit("participantJoined", {
+          conversationId: conversation.id,
+          participant: request.planner,
+        });
+      }
+    }
+
+    res.status(200).json({ request, conversation });
+  });
+
+const approveJoinRequest = answerJoinRequest(true);
+const declineJoinRequest = answerJoinRequest(false);
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendConversationMessage,
+  markConversationAsRead,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest,
+};
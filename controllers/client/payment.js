@@ -1,19 +1,63 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
-const { chapa } = require("../../utils/chapa");
-const uuid = require("uuid").v4;
 const axios = require("axios"); // Add axios for API calls
-const { sendPaymentCompletionToVendor, sendNewBookingToVendor } = require("../../utils/emailService");
+const {
+  ensurePaymentSchedule,
+  getPayableInstallment,
+  findPendingInstallmentPayment,
+} = require("../../utils/paymentSchedule");
+const { getBookingQuote } = require("../../utils/pricing");
+const { resolveCommission, splitAmount } = require("../../utils/commission");
+const { applyPaymentStatus } = require("../../utils/paymentStatus");
+const {
+  savePrivateFile,
+  getPrivateFilePath,
+  deletePrivateFile,
+} = require("../../utils/privateFiles");
+const {
+  issueDocument,
+  getDocumentPdf,
+} = require("../../utils/paymentDocuments");
+const { recordDelivery, processEvent } = require("../../utils/webhooks");
+const {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders,
+} = require("../../utils/paymentProviders");
+
+// List the payment providers clients can choose from
+const getPaymentProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    defaultProvider: DEFAULT_PROVIDER,
+    providers: listProviders(),
+  });
+});
 
 // Initiate Payment
 const initiatePayment = asyncHandler(async (req, res) => {
-  const { amount, vendorId, bookingId } = req.body;
+  const {
+    vendorId,
+    bookingId,
+    installmentId,
+    amount: requestedAmount,
+    provider: providerName,
+  } = req.body;
   const userId = req.user.id; // Use authenticated user ID
 
   // Validate input
-  if (!amount || !vendorId || !bookingId || !userId) {
+  if (!vendorId || !bookingId || !userId) {
+    res.status(400);
+    throw new Error("Vendor ID, booking ID, and user ID are required");
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider || !provider.isEnabled()) {
     res.status(400);
-    throw new Error("Amount, vendor ID, booking ID, and user ID are required");
+    throw new Error(
+      `Unsupported payment provider. Available providers: ${listProviders()
+        .map((p) => p.name)
+        .join(", ")}`
+    );
   }
 
   // Verify user and client profile
@@ -44,102 +88,325 @@ const initiatePayment = asyncHandler(async (req, res) => {
     throw new Error("Vendor ID does not match the booking's vendor");
   }
 
-  // Get vendor and admin subaccounts
+  if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+    res.status(400);
+    throw new Error("Payments can only be made for pending or confirmed bookings");
+  }
+
+  // The amount comes from the booking's quote and payment schedule
+  // (deposit first), never from the request
+  const quote = await getBookingQuote(booking);
+  const schedule = await ensurePaymentSchedule(booking.id);
+  const installment = getPayableInstallment(schedule, installmentId);
+
+  if (!installment) {
+    res.status(400);
+    throw new Error(
+      installmentId
+        ? "Installment not found, already paid, or the deposit must be paid first"
+        : "This booking has no outstanding installments"
+    );
+  }
+
+  // One payment per installment at a time; an abandoned checkout is expired
+  // by reconciliation
+  if (await findPendingInstallmentPayment(installment.id)) {
+    res.status(409);
+    throw new Error("A payment for this installment is already in progress");
+  }
+
+  const amount = installment.amount;
+
+  if (requestedAmount !== undefined && Number(requestedAmount) !== amount) {
+    res.status(400);
+    throw new Error(
+      `Payment amount is calculated by the server; ${amount} ETB is due for this installment`
+    );
+  }
+
   const vendor = await prisma.vendor.findUnique({
     where: { id: vendorId },
     include: { user: true },
   });
 
-  const adminAccount = await prisma.chapaSubaccount.findFirst({
-    where: { type: "ADMIN" },
-  });
-
-  if (!vendor?.chapaSubaccountId || !adminAccount) {
-    res.status(500);
-    throw new Error("Payment accounts not configured");
+  // e.g. Chapa needs the platform and vendor subaccounts
+  try {
+    await provider.assertReady({ vendor });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
   }
 
+  // Platform share for this vendor and service
+  const commission = await resolveCommission({ vendor, service: booking.service });
+
   // Create payment record
-  const payment = await prisma.payment.create({
-    data: {
-      amount,
-      status: "PENDING",
-      method: "CHAPA",
-      userId,
-      recipientId: vendor.userId,
-      vendorId,
-      adminSplit: amount * 0.1,
-      vendorSplit: amount * 0.9,
-      bookingId,
-      clientId: client.id,
-    },
-  });
+  let payment;
+  try {
+    payment = await prisma.payment.create({
+      data: {
+        amount,
+        status: "PENDING",
+        method: provider.name,
+        userId,
+        recipientId: vendor.userId,
+        vendorId,
+        ...splitAmount(amount, commission.percentage),
+        commissionRuleId: commission.rule?.id || null,
+        commissionPercentage: commission.percentage,
+        bookingId,
+        clientId: client.id,
+        installmentId: installment.id,
+        openInstallmentId: installment.id,
+      },
+    });
+  } catch (error) {
+    // Another payment for the installment was opened at the same time
+    if (error.code === "P2002") {
+      res.status(409);
+      throw new Error("A payment for this installment is already in progress");
+    }
+    throw error;
+  }
 
-  // Create Chapa payment
+  // Start the payment with the provider
   try {
-    const tx_ref = `payment-${payment.id}-${uuid()}`;
-
-    // Get URLs from environment variables with fallbacks
-   const frontendBaseUrl =  "https://wedding-front-end-x3cf.onrender.com";
-    const backendBaseUrl = process.env.BACKEND_URL || "http://localhost:5000";
-
-    // Properly encode URL parameters to avoid HTML entity issues
-    const encodedTxRef = encodeURIComponent(tx_ref);
-    const encodedPaymentId = encodeURIComponent(payment.id);
-
-    // Ensure the return URL includes both tx_ref and payment_id for verification
-    const returnUrl = `${frontendBaseUrl}/dashboard/payment/status?tx_ref=${encodedTxRef}&payment_id=${encodedPaymentId}`;
-
-    const response = await chapa.post("/transaction/initialize", {
-      amount: amount.toString(),
-      currency: "ETB",
-      email: req.user.email,
-      tx_ref,
-      callback_url: `${backendBaseUrl}/api/client/payment/verify`,
-      return_url: returnUrl,
-      split: {
-        type: "percentage",
-        subaccounts: [
-          { id: adminAccount.accountId, share: 10 },
-          { id: vendor.chapaSubaccountId, share: 90 },
-        ],
+    const { txRef, checkoutUrl, instructions } = await provider.initialize({
+      payment,
+      amount,
+      commission,
+      vendor,
+      customer: {
+        email: req.user.email,
+        firstName: client.firstName || req.user.firstName,
+        lastName: client.lastName || req.user.lastName,
+        phone: client.phoneNumber,
       },
-      // Add customer information
-      first_name: client.firstName || req.user.firstName || "",
-      last_name: client.lastName || req.user.lastName || "",
-      phone_number: client.phoneNumber || "",
-      title: `Payment for ${booking.service.name}`,
-      description: `Wedding service booking payment for ${booking.service.name}`,
+      title: `${installment.type === "DEPOSIT" ? "Deposit" : "Payment"} for ${booking.service.name}`,
+      description: `Wedding service booking payment ${installment.sequence} of ${schedule.installments.length} for ${booking.service.name}`,
     });
 
     // Update payment with transaction ID
     await prisma.payment.update({
       where: { id: payment.id },
-      data: { transactionId: tx_ref },
+      data: { transactionId: txRef },
     });
 
     res.status(200).json({
-      checkoutUrl: response.data.data.checkout_url,
+      provider: provider.name,
+      checkoutUrl: checkoutUrl || null,
+      instructions: instructions || null,
       paymentId: payment.id,
-      tx_ref, // Return tx_ref for polling
+      tx_ref: txRef, // Return tx_ref for polling
+      amount,
+      bookingTotal: quote.total,
+      installment: {
+        id: installment.id,
+        sequence: installment.sequence,
+        type: installment.type,
+        dueDate: installment.dueDate,
+      },
     });
   } catch (error) {
     await prisma.payment.update({
       where: { id: payment.id },
-      data: { status: "FAILED" },
+      data: { status: "FAILED", openInstallmentId: null },
     });
 
-    console.error(
-      "Chapa payment error:",
-      error.response?.data,
-      adminAccount.accountId,
-      vendor.chapaSubaccountId
-    );
+    console.error(`${provider.name} payment initiation error:`, error.message);
     res.status(500);
     throw new Error("Payment initiation failed");
   }
 });
 
+// Record a transfer the client already paid to the vendor, with its receipt.
+// It counts toward the booking once the vendor or an admin verifies it.
+const recordManualPayment = asyncHandler(async (req, res) => {
+  const {
+    bookingId,
+    installmentId,
+    amount: requestedAmount,
+    transactionReference,
+    bankName,
+    paidAt,
+  } = req.body;
+  const userId = req.user.id;
+
+  if (!bookingId || !transactionReference) {
+    res.status(400);
+    throw new Error("Booking ID and transaction reference are required");
+  }
+
+  if (!req.file) {
+    res.status(400);
+    throw new Error("Receipt image is required");
+  }
+
+  const paidAtDate = paidAt ? new Date(paidAt) : new Date();
+  if (isNaN(paidAtDate.getTime()) || paidAtDate > new Date()) {
+    res.status(400);
+    throw new Error("paidAt must be a valid date that is not in the future");
+  }
+
+  const client = await prisma.client.findUnique({ where: { userId } });
+  if (!client) {
+    res.status(400);
+    throw new Error("Client profile not found");
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: { service: { include: { vendor: true } } },
+  });
+
+  if (!booking) {
+    res.status(404);
+    throw new Error("Booking not found");
+  }
+
+  if (booking.clientId !== client.id) {
+    res.status(403);
+    throw new Error("Unauthorized: Booking does not belong to this client");
+  }
+
+  if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+    res.status(400);
+    throw new Error("Payments can only be made for pending or confirmed bookings");
+  }
+
+  // Manual payments settle an installment, the same as online payments
+  const schedule = await ensurePaymentSchedule(booking.id);
+  const installment = getPayableInstallment(schedule, installmentId);
+
+  if (!installment) {
+    res.status(400);
+    throw new Error(
+      installmentId
+        ? "Installment not found, already paid, or the deposit must be paid first"
+        : "This booking has no outstanding installments"
+    );
+  }
+
+  const amount = installment.amount;
+
+  if (requestedAmount !== undefined && Number(requestedAmount) !== amount) {
+    res.status(400);
+    throw new Error(
+      `A manual payment must cover the whole installment; ${amount} ETB is due`
+    );
+  }
+
+  // Includes a Chapa checkout that is still open for the installment
+  const awaitingReview = await findPendingInstallmentPayment(installment.id);
+
+  if (awaitingReview) {
+    res.status(409);
+    throw new Error("A payment for this installment is already awaiting verification");
+  }
+
+  const vendor = booking.service.vendor;
+  const commission = await resolveCommission({ vendor, service: booking.service });
+  const receiptImage = savePrivateFile(req.file, "receipts");
+
+  let payment;
+  try {
+    payment = await prisma.payment.create({
+      data: {
+        amount,
+        status: "PENDING",
+        method: "MANUAL",
+        bankReference: transactionReference,
+        receiptImage,
+        bankName: bankName || null,
+        paidAt: paidAtDate,
+        userId,
+        recipientId: vendor.userId,
+        vendorId: vendor.id,
+        ...splitAmount(amount, commission.percentage),
+        commissionRuleId: commission.rule?.id || null,
+        commissionPercentage: commission.percentage,
+        bookingId,
+        clientId: client.id,
+        installmentId: installment.id,
+        openInstallmentId: installment.id,
+      },
+    });
+  } catch (error) {
+    deletePrivateFile(receiptImage);
+    // Another payment for the installment was opened at the same time
+    if (error.code === "P2002") {
+      res.status(409);
+      throw new Error("A payment for this installment is already awaiting verification");
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    message: "Payment recorded and waiting for verification",
+    payment: {
+      id: payment.id,
+      amount: payment.amount,
+      status: payment.status,
+      method: payment.method,
+      transactionReference: payment.bankReference,
+      bankName: payment.bankName,
+      paidAt: payment.paidAt,
+    },
+    installment: {
+      id: installment.id,
+      sequence: installment.sequence,
+      type: installment.type,
+      dueDate: installment.dueDate,
+    },
+  });
+});
+
+// Download the receipt image uploaded for one of the client's payments
+const getTransferReceipt = asyncHandler(async (req, res) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: req.params.paymentId },
+  });
+
+  if (!payment || payment.userId !== req.user.id) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  const filePath = getPrivateFilePath(payment.receiptImage);
+  if (!filePath) {
+    res.status(404);
+    throw new Error("No receipt uploaded for this payment");
+  }
+
+  res.sendFile(filePath);
+});
+
+// Download the numbered receipt for one of the client's completed payments
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: req.params.paymentId },
+  });
+
+  if (!payment || payment.userId !== req.user.id) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  let receipt;
+  let pdf;
+  try {
+    receipt = await issueDocument(payment.id, "RECEIPT");
+    pdf = await getDocumentPdf(receipt);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${receipt.number}.pdf"`);
+  res.send(pdf);
+});
+
 // Verify Payment (New Endpoint for Polling)
 const verifyPayment = asyncHandler(async (req, res) => {
   const { paymentId, tx_ref } = req.body;
@@ -171,82 +438,39 @@ const verifyPayment = asyncHandler(async (req, res) => {
     throw new Error("Unauthorized: Payment does not belong to this user");
   }
 
-  // Query Chapa's verify transaction endpoint
-  try {
-    const response = await chapa.get(`/transaction/verify/${tx_ref}`);
-    const { status, data } = response.data;
-
-    // Map Chapa status to your PaymentStatus enum
-    let paymentStatus;
-    switch (status.toLowerCase()) {
-      case "success":
-        paymentStatus = "COMPLETED";
-        break;
-      case "failed":
-      case "fail":
-        paymentStatus = "FAILED";
-        break;
-      case "pending":
-        paymentStatus = "PENDING";
-        break;
-      default:
-        paymentStatus = "FAILED";
-    }
+  // Manual and bank transfer payments are confirmed by a person, never here
+  const provider = getProvider(payment.method);
+  if (!provider?.automaticVerification) {
+    res.status(400);
+    throw new Error(
+      "This payment is confirmed once the transfer has been checked"
+    );
+  }
 
-    // Update payment status
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: paymentStatus,
-        updatedAt: new Date(),
-      },
-    });
+  if (payment.transactionId !== tx_ref) {
+    res.status(400);
+    throw new Error("Transaction reference does not match this payment");
+  }
 
-    // Update booking status if payment is successful
-    if (
-      paymentStatus === "COMPLETED" &&
-      payment.booking?.status === "PENDING"
-    ) {
-      await prisma.booking.update({
-        where: { id: payment.booking.id },
-        data: { status: "CONFIRMED" },
-      });
-    }
+  // Ask the payment's provider for the transaction status
+  try {
+    const { status: paymentStatus, data } = await provider.verify(payment);
 
-    // Get updated payment with booking details
-    const updatedPayment = await prisma.payment.findUnique({
+    // Only forward transitions are applied; completing a payment also
+    // updates its installment, confirms the booking and notifies the vendor
+    await applyPaymentStatus(payment, paymentStatus, {
+      user: req.user,
+      source: "PAYMENT_VERIFY",
+    });
+    const currentPayment = await prisma.payment.findUnique({
       where: { id: payment.id },
       include: {
         booking: {
           include: {
-            client: {
-              include: {
-                user: {
-                  select: {
-                    firstName: true,
-                    lastName: true,
-                    email: true,
-                  },
-                },
-              },
-            },
             service: {
               select: {
                 name: true,
-                price: true,
-                vendor: {
-                  select: {
-                    businessName: true,
-                    id: true,
-                    user: {
-                      select: {
-                        firstName: true,
-                        lastName: true,
-                        email: true,
-                      },
-                    },
-                  },
-                },
+                vendor: { select: { businessName: true } },
               },
             },
           },
@@ -254,200 +478,77 @@ const verifyPayment = asyncHandler(async (req, res) => {
       },
     });
 
-    // Send email notifications if payment is completed
-    if (paymentStatus === "COMPLETED" && updatedPayment.booking) {
-      try {
-        // Send payment completion email to vendor
-        await sendPaymentCompletionToVendor(
-          updatedPayment,
-          updatedPayment.booking,
-          updatedPayment.booking.service.vendor
-        );
-
-        // Send new booking notification to vendor
-        await sendNewBookingToVendor(
-          updatedPayment.booking,
-          updatedPayment.booking.service.vendor
-        );
-
-        console.log(`Payment notification emails sent for payment ID: ${payment.id}`);
-      } catch (emailError) {
-        console.error('Error sending payment notification emails:', emailError);
-        // Continue with the response even if email fails
-      }
-    }
-
     res.status(200).json({
       message: "Payment verified",
       paymentId: payment.id,
-      status: paymentStatus,
-      amount: updatedPayment.amount,
-      createdAt: updatedPayment.createdAt,
-      updatedAt: updatedPayment.updatedAt,
-      booking: updatedPayment.booking
+      status: currentPayment.status,
+      amount: currentPayment.amount,
+      createdAt: currentPayment.createdAt,
+      updatedAt: currentPayment.updatedAt,
+      booking: currentPayment.booking
         ? {
-            id: updatedPayment.booking.id,
-            status: updatedPayment.booking.status,
-            eventDate: updatedPayment.booking.eventDate,
+            id: currentPayment.booking.id,
+            status: currentPayment.booking.status,
+            eventDate: currentPayment.booking.eventDate,
             service: {
-              name: updatedPayment.booking.service.name,
+              name: currentPayment.booking.service.name,
               vendor: {
                 businessName:
-                  updatedPayment.booking.service.vendor.businessName,
+                  currentPayment.booking.service.vendor.businessName,
               },
             },
           }
         : null,
-      chapaData: data, // Optional: return Chapa's response for debugging
+      method: currentPayment.method,
+      providerData: data, // Optional: return the provider's response for debugging
     });
   } catch (error) {
-    console.error("Chapa verify error:", error.response?.data);
+    console.error(
+      `${payment.method} verify error:`,
+      error.response?.data || error.message
+    );
     res.status(500);
     throw new Error("Payment verification failed");
   }
 });
 
-// Existing Webhook Handler (Optional, for when public URL is available)
+// Provider webhook (Chapa unless the route names another provider).
+// Deliveries are verified against the raw body, stored once per event and
+// processed once; retries of a handled event are only counted.
 const handleWebhook = asyncHandler(async (req, res) => {
-  try {
-    const chapaSignature = req.headers["chapa-signature"];
-    const webhookSecret = process.env.CHAPA_WEBHOOK_SECRET;
-
-    if (!chapaSignature || !webhookSecret) {
-      console.error("Missing signature or webhook secret");
-      return res.status(401).send("Unauthorized");
-    }
-
-    // Create the expected signature using the webhook secret
-    const crypto = require("crypto");
-    const hash = crypto
-      .createHmac("sha256", webhookSecret)
-      .update(JSON.stringify(req.body))
-      .digest("hex");
-
-    // Verify the signature
-    if (hash !== chapaSignature) {
-      console.error("Invalid webhook signature");
-      return res.status(401).send("Unauthorized");
-    }
-
-    const { tx_ref, status } = req.body;
-
-    if (!tx_ref) {
-      console.error("Missing tx_ref in webhook payload");
-      return res.status(400).send("Bad Request: Missing tx_ref");
-    }
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).send("Unknown payment provider");
+  }
 
-    // Get payment by transactionId
-    const payment = await prisma.payment.findFirst({
-      where: { transactionId: tx_ref },
-      include: { booking: true },
-    });
+  let delivery;
+  try {
+    delivery = provider.parseWebhook(req);
+  } catch (error) {
+    console.error(`${provider.name} webhook rejected: ${error.message}`);
+    return res.status(error.statusCode || 400).send(error.message);
+  }
 
-    if (!payment) {
-      console.error(`Payment not found for tx_ref: ${tx_ref}`);
-      return res.status(404).send("Payment not found");
-    }
+  try {
+    const { event, duplicate } = await recordDelivery(
+      provider.name,
+      delivery,
+      req.rawBody.toString("utf8")
+    );
 
-    // Map Chapa status to your PaymentStatus enum
-    let paymentStatus;
-    switch (status.toLowerCase()) {
-      case "success":
-        paymentStatus = "COMPLETED";
-        break;
-      case "failed":
-      case "fail":
-        paymentStatus = "FAILED";
-        break;
-      case "pending":
-        paymentStatus = "PENDING";
-        break;
-      default:
-        paymentStatus = "FAILED";
+    if (duplicate && ["PROCESSED", "IGNORED"].includes(event.status)) {
+      console.log(`Duplicate webhook delivery for event ${event.eventKey} ignored`);
+      return res.status(200).send("Webhook already processed");
     }
 
-    // Update payment status
-    const updatedPayment = await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: paymentStatus,
-        updatedAt: new Date(),
-      },
-      include: {
-        booking: {
-          include: {
-            client: {
-              include: {
-                user: {
-                  select: {
-                    firstName: true,
-                    lastName: true,
-                    email: true,
-                  },
-                },
-              },
-            },
-            service: {
-              select: {
-                name: true,
-                price: true,
-                vendor: {
-                  select: {
-                    businessName: true,
-                    id: true,
-                    user: {
-                      select: {
-                        firstName: true,
-                        lastName: true,
-                        email: true,
-                      },
-                    },
-                  },
-                },
-              },
-            },
-          },
-        }
-      },
-    });
+    const processed = await processEvent(event);
+    console.log(`Webhook event ${event.eventKey} ${processed.status}: ${processed.result}`);
 
-    // Update booking status if payment is completed
-    if (
-      paymentStatus === "COMPLETED" &&
-      updatedPayment.booking?.status === "PENDING"
-    ) {
-      await prisma.booking.update({
-        where: { id: updatedPayment.booking.id },
-        data: { status: "CONFIRMED" },
-      });
-
-      // Send email notifications if payment is completed
-      try {
-        // Send payment completion email to vendor
-        await sendPaymentCompletionToVendor(
-          updatedPayment,
-          updatedPayment.booking,
-          updatedPayment.booking.service.vendor
-        );
-
-        // Send new booking notification to vendor
-        await sendNewBookingToVendor(
-          updatedPayment.booking,
-          updatedPayment.booking.service.vendor
-        );
-
-        console.log(`Payment notification emails sent for payment ID: ${payment.id} via webhook`);
-      } catch (emailError) {
-        console.error('Error sending payment notification emails from webhook:', emailError);
-        // Continue with the response even if email fails
-      }
+    if (processed.status === "FAILED") {
+      // Let the provider retry the delivery
+      return res.status(500).send("Webhook processing failed");
     }
 
-    // Log successful webhook processing
-    console.log(
-      `Webhook processed for payment ${payment.id}, status updated to ${paymentStatus}`
-    );
-
     res.status(200).send("Webhook processed successfully");
   } catch (error) {
     console.error("Webhook processing error:", error);
@@ -523,6 +624,9 @@ const getPayments = asyncHandler(async (req, res) => {
     status: payment.status,
     method: payment.method,
     transactionId: payment.transactionId,
+    bankReference: payment.bankReference,
+    hasReceipt: Boolean(payment.receiptImage),
+    reviewNote: payment.reviewNote,
     createdAt: payment.createdAt,
     updatedAt: payment.updatedAt,
     booking: payment.booking
@@ -555,7 +659,11 @@ const getPayments = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
+  getPaymentProviders,
   initiatePayment,
+  recordManualPayment,
+  getTransferReceipt,
+  getPaymentReceipt,
   verifyPayment,
   handleWebhook,
   getPayments,
@@ -1,5 +1,7 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
+const { getMonthlyAvailability } = require("../../utils/availability");
+const { getCancellationPolicy } = require("../../utils/cancellationPolicy");
 
 // Browse Services
 const browseServices = asyncHandler(async (req, res) => {
@@ -75,6 +77,10 @@ const browseServices = asyncHandler(async (req, res) => {
     name: service.name,
     description: service.description,
     price: service.price,
+    packageType: service.packageType,
+    includedGuests: service.includedGuests,
+    pricePerGuest: service.pricePerGuest,
+    addOns: service.addOns,
     image: service.image,
     categoryId: service.categoryId,
     categoryName: service.category?.name,
@@ -125,6 +131,15 @@ const getServiceById = asyncHandler(async (req, res) => {
         },
       },
       category: true,
+      addOns: {
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          price: true,
+          perGuest: true,
+        },
+      },
     },
   });
 
@@ -145,6 +160,10 @@ const getServiceById = asyncHandler(async (req, res) => {
     name: service.name,
     description: service.description,
     price: service.price,
+    packageType: service.packageType,
+    includedGuests: service.includedGuests,
+    pricePerGuest: service.pricePerGuest,
+    addOns: service.addOns,
     image: service.image,
     categoryId: service.categoryId,
     categoryName: service.category?.name,
@@ -167,4 +186,77 @@ const getServiceById = asyncHandler(async (req, res) => {
   });
 });
 
-module.exports = { browseServices, getServiceById };
+// Get free dates for a service in a given month
+const getServiceAvailability = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { month } = req.query; // Format: YYYY-MM, defaults to current month
+
+  let year;
+  let monthNum;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || parseInt(match[2], 10) < 1 || parseInt(match[2], 10) > 12) {
+      res.status(400);
+      throw new Error("Month must be in YYYY-MM format");
+    }
+    year = parseInt(match[1], 10);
+    monthNum = parseInt(match[2], 10);
+  } else {
+    const now = new Date();
+    year = now.getUTCFullYear();
+    monthNum = now.getUTCMonth() + 1;
+  }
+
+  const service = await prisma.service.findUnique({
+    where: { id },
+    include: { vendor: { select: { status: true } } },
+  });
+
+  if (!service) {
+    res.status(404);
+    throw new Error("Service not found");
+  }
+
+  if (service.vendor.status !== "APPROVED") {
+    res.status(403);
+    throw new Error("This service is not available");
+  }
+
+  const days = await getMonthlyAvailability(service, year, monthNum);
+
+  res.status(200).json({
+    message: "Availability retrieved successfully",
+    serviceId: service.id,
+    month: `${year}-${String(monthNum).padStart(2, "0")}`,
+    freeDates: days.filter((day) => day.available).map((day) => day.date),
+    days,
+  });
+});
+
+// Get the cancellation policy that applies to a service
+const getServiceCancellationPolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await prisma.service.findUnique({ where: { id } });
+
+  if (!service) {
+    res.status(404);
+    throw new Error("Service not found");
+  }
+
+  const policy = await getCancellationPolicy(service);
+
+  res.status(200).json({
+    message: "Cancellation policy retrieved successfully",
+    serviceId: service.id,
+    source: policy.source,
+    rules: policy.rules,
+  });
+});
+
+module.exports = {
+  browseServices,
+  getServiceById,
+  getServiceAvailability,
+  getServiceCancellationPolicy,
+};
@@ -1,6 +1,8 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
 const bcrypt = require("bcryptjs");
+const { sendVerificationLink } = require("../../utils/authTokens");
+const { revokeAllSessions } = require("../../utils/sessions");
 
 const editAccount = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -34,8 +36,14 @@ const editAccount = asyncHandler(async (req, res) => {
     updateData.password = hashedPassword;
   }
 
+  // A new email address has to be verified again
+  if (email && email !== user.email) {
+    updateData.email = email;
+    updateData.emailVerified = false;
+    updateData.emailVerifiedAt = null;
+  }
+
   // Add other fields to updateData if provided
-  if (email) updateData.email = email;
   if (firstName) updateData.firstName = firstName;
   if (lastName) updateData.lastName = lastName;
   if (phone) updateData.phone = phone;
@@ -46,6 +54,21 @@ const editAccount = asyncHandler(async (req, res) => {
     data: updateData,
   });
 
+  // Sign out the account's other sessions after a password change
+  if (updateData.password) {
+    await revokeAllSessions(id, "PASSWORD_CHANGED", {
+      exceptSessionId: id === req.user.id ? req.sessionId : undefined,
+    });
+  }
+
+  if (updateData.email) {
+    try {
+      await sendVerificationLink(updatedUser);
+    } catch (emailError) {
+      console.error("Error sending verification email:", emailError.message);
+    }
+  }
+
   res.status(200).json({
     message: "Your account has been updated successfully",
     user: {
@@ -1,5 +1,9 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
+const {
+  setAccountBlock,
+  setAccountReport,
+} = require("../../utils/accountState");
 
 // @desc    Get all clients
 // @route   GET /api/eventplanner/clients
@@ -222,7 +226,7 @@ const getClientById = asyncHandler(async (req, res) => {
 // @access  Private (Event Planner only)
 const toggleClientBlock = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { blocked } = req.body;
+  const { blocked, reason, until } = req.body;
 
   if (typeof blocked !== "boolean") {
     res.status(400);
@@ -240,18 +244,29 @@ const toggleClientBlock = asyncHandler(async (req, res) => {
     throw new Error("Client not found");
   }
 
-  // Update the user's isBlocked status
-  const updatedUser = await prisma.user.update({
-    where: { id: client.userId },
-    data: { isBlocked: blocked },
-    select: {
-      id: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      isBlocked: true,
-    },
-  });
+  // Block with an optional reason and end date, or lift the block
+  let user;
+  try {
+    user = await setAccountBlock(client.userId, {
+      blocked,
+      reason,
+      until,
+      blockedById: req.user.id,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const updatedUser = {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    isBlocked: user.isBlocked,
+    blockedReason: user.blockedReason,
+    blockedUntil: user.blockedUntil,
+  };
 
   res.status(200).json({
     message: blocked
@@ -284,22 +299,21 @@ const reportClient = asyncHandler(async (req, res) => {
     throw new Error("Client not found");
   }
 
-  // Update the user's isReported status
-  const updatedUser = await prisma.user.update({
-    where: { id: client.userId },
-    data: { isReported: true },
-    select: {
-      id: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      isReported: true,
-    },
+  // The account stays read-only until an admin reviews the report
+  const user = await setAccountReport(client.userId, {
+    reported: true,
+    reason,
+    reportedById: req.user.id,
   });
 
-  // In a real app, you might want to store the report reason in a separate reports table
-  // For now, we'll just log it and update the status
-  console.log(`Client ${id} reported for: ${reason}`);
+  const updatedUser = {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    isReported: user.isReported,
+    reportedReason: user.reportedReason,
+  };
 
   res.status(200).json({
     message: "Client has been reported successfully",
@@ -0,0 +1,174 @@
+const asyncHandler = require("express-async-handler");
+const {
+  startGroupConversation,
+  listConversations,
+  getMessagePage,
+  sendMessage,
+  markConversationRead,
+} = require("../../utils/conversations");
+const {
+  requestToJoinConversation,
+  listPlannerJoinRequests,
+} = require("../../utils/conversationJoinRequests");
+const { userRoom } = require("../../utils/presence");
+const { emitReadReceipts } = require("../../sockets/chat");
+
+// @desc    Get the planner's conversations with last messages and unread counts
+// @route   GET /api/eventplanner/conversations
+// @access  Private (Event Planner only)
+const getConversations = asyncHandler(async (req, res) => {
+  const conversations = await listConversations(req.user.id);
+
+  res.status(200).json(conversations);
+});
+
+// @desc    Open a group conversation with a client and vendors
+// @route   POST /api/eventplanner/conversations
+// @access  Private (Event Planner only)
+const createGroupConversation = asyncHandler(async (req, res) => {
+  const { clientId, vendorIds, title } = req.body;
+
+  let conversation;
+  try {
+    conversation = await startGroupConversation(req.user.id, {
+      clientId,
+      vendorIds,
+      title,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(201).json(conversation);
+});
+
+// @desc    Ask a client to let the planner into their conversation with a vendor
+// @route   POST /api/eventplanner/conversations/join-requests
+// @access  Private (Event Planner only)
+const createJoinRequest = asyncHandler(async (req, res) => {
+  const { clientId, vendorId, note } = req.body;
+
+  let request;
+  try {
+    request = await requestToJoinConversation(req.user.id, {
+      clientId,
+      vendorId,
+      note,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Let the client know over the chat socket
+  req.app.get("io")?.to(userRoom(request.clientId)).emit("joinRequest", {
+    id: request.id,
+    conversationId: request.conversationId,
+    plannerId: request.plannerId,
+    note: request.note,
+    createdAt: request.createdAt,
+  });
+
+  res.status(201).json(request);
+});
+
+// @desc    Get the planner's join requests
+// @route   GET /api/eventplanner/conversations/join-requests?status=PENDING
+// @access  Private (Event Planner only)
+const getJoinRequests = asyncHandler(async (req, res) => {
+  let requests;
+  try {
+    requests = await listPlannerJoinRequests(req.user.id, req.query.status);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json(requests);
+});
+
+// @desc    Get a page of a conversation's messages, newest first
+// @route   GET /api/eventplanner/conversations/:conversationId/messages
+// @access  Private (Event Planner only)
+const getMessages = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  let page;
+  try {
+    page = await getMessagePage(req.params.conversationId, req.user.id, {
+      cursor,
+      limit,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json(page);
+});
+
+// @desc    Send a message in a conversation, with optional attachments
+// @route   POST /api/eventplanner/conversations/:conversationId/messages
+// @access  Private (Event Planner only)
+const sendConversationMessage = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+  const { content, toUserId } = req.body;
+
+  let message;
+  try {
+    message = await sendMessage(conversationId, req.user.id, {
+      content,
+      toUserId,
+      files: req.files,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Deliver it to participants connected to the chat socket
+  req.app.get("io")?.to(conversationId).emit("receiveMessage", message);
+
+  res.status(201).json(message);
+});
+
+// @desc    Mark every message from others in a conversation as read
+// @route   POST /api/eventplanner/conversations/:conversationId/read
+// @access  Private (Event Planner only)
+const markConversationAsRead = asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+
+  let result;
+  try {
+    result = await markConversationRead(conversationId, req.user.id);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  // Send read receipts to the senders over the chat socket
+  const io = req.app.get("io");
+  if (io) {
+    emitReadReceipts(io, {
+      conversationId,
+      readBy: req.user.id,
+      readAt: result.readAt,
+      messages: result.messages,
+    });
+  }
+
+  res
+    .status(200)
+    .json({ message: "Conversation marked as read", count: result.count });
+});
+
+module.exports = {
+  getConversations,
+  createGroupConversation,
+  createJoinRequest,
+  getJoinRequests,
+  getMessages,
+  sendConversationMessage,
+  markConversationAsRead,
+};
@@ -1,5 +1,10 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
+const {
+  setAccountBlock,
+  setAccountReport,
+  setVendorSuspension,
+} = require("../../utils/accountState");
 
 // @desc    Get all vendors
 // @route   GET /api/eventplanner/vendors
@@ -195,7 +200,7 @@ const getVendorById = asyncHandler(async (req, res) => {
 // @access  Private (Event Planner only)
 const updateVendorStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason, until } = req.body;
 
   // Validate status
   const validStatuses = ["PENDING_APPROVAL", "APPROVED", "SUSPENDED"];
@@ -204,10 +209,28 @@ const updateVendorStatus = asyncHandler(async (req, res) => {
     throw new Error(`Status must be one of: ${validStatuses.join(", ")}`);
   }
 
-  // Update vendor status
-  const updatedVendor = await prisma.vendor.update({
+  // Suspensions keep a reason and optional end date; other statuses clear them
+  try {
+    if (status === "SUSPENDED") {
+      await setVendorSuspension(id, { suspended: true, reason, until });
+    } else {
+      await prisma.vendor.update({
+        where: { id },
+        data: {
+          status,
+          suspensionReason: null,
+          suspendedAt: null,
+          suspendedUntil: null,
+        },
+      });
+    }
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const updatedVendor = await prisma.vendor.findUnique({
     where: { id },
-    data: { status },
     include: {
       user: {
         select: {
@@ -230,7 +253,7 @@ const updateVendorStatus = asyncHandler(async (req, res) => {
 // @access  Private (Event Planner only)
 const toggleVendorBlock = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { blocked } = req.body;
+  const { blocked, reason, until } = req.body;
 
   if (typeof blocked !== "boolean") {
     res.status(400);
@@ -248,18 +271,29 @@ const toggleVendorBlock = asyncHandler(async (req, res) => {
     throw new Error("Vendor not found");
   }
 
-  // Update the user's isBlocked status
-  const updatedUser = await prisma.user.update({
-    where: { id: vendor.userId },
-    data: { isBlocked: blocked },
-    select: {
-      id: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      isBlocked: true,
-    },
-  });
+  // Block with an optional reason and end date, or lift the block
+  let user;
+  try {
+    user = await setAccountBlock(vendor.userId, {
+      blocked,
+      reason,
+      until,
+      blockedById: req.user.id,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  const updatedUser = {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    isBlocked: user.isBlocked,
+    blockedReason: user.blockedReason,
+    blockedUntil: user.blockedUntil,
+  };
 
   res.status(200).json({
     message: blocked
@@ -292,22 +326,21 @@ const reportVendor = asyncHandler(async (req, res) => {
     throw new Error("Vendor not found");
   }
 
-  // Update the user's isReported status
-  const updatedUser = await prisma.user.update({
-    where: { id: vendor.userId },
-    data: { isReported: true },
-    select: {
-      id: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      isReported: true,
-    },
+  // The account stays read-only until an admin reviews the report
+  const user = await setAccountReport(vendor.userId, {
+    reported: true,
+    reason,
+    reportedById: req.user.id,
   });
 
-  // In a real app, you might want to store the report reason in a separate reports table
-  // For now, we'll just log it and update the status
-  console.log(`Vendor ${id} reported for: ${reason}`);
+  const updatedUser = {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    isReported: user.isReported,
+    reportedReason: user.reportedReason,
+  };
 
   res.status(200).json({
     message: "Vendor has been reported successfully",
@@ -0,0 +1,56 @@
+const asyncHandler = require("express-async-handler");
+const { findParticipantAttachment } = require("../../utils/conversations");
+const { ATTACHMENT_TYPES } = require("../../utils/attachments");
+const { getPrivateFilePath } = require("../../utils/privateFiles");
+
+// Load an attachment the signed-in user may see
+const loadAttachment = async (req, res) => {
+  try {
+    return await findParticipantAttachment(
+      req.params.attachmentId,
+      req.user.id
+    );
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+};
+
+// Download a message attachment (conversation participants only)
+const getAttachment = asyncHandler(async (req, res) => {
+  const attachment = await loadAttachment(req, res);
+
+  const filePath = getPrivateFilePath(attachment.storageKey);
+  if (!filePath) {
+    res.status(404);
+    throw new Error("Attachment file not found");
+  }
+
+  // Images open in the browser; documents are downloaded
+  if (!ATTACHMENT_TYPES[attachment.mimeType]?.image) {
+    res.attachment(attachment.fileName);
+  }
+  res.set("X-Content-Type-Options", "nosniff");
+  res.type(attachment.mimeType);
+  res.sendFile(filePath);
+});
+
+// Get the thumbnail of an image attachment (conversation participants only)
+const getAttachmentThumbnail = asyncHandler(async (req, res) => {
+  const attachment = await loadAttachment(req, res);
+
+  const filePath = getPrivateFilePath(attachment.thumbnailKey);
+  if (!filePath) {
+    res.status(404);
+    throw new Error("This attachment has no thumbnail");
+  }
+
+  res.set("X-Content-Type-Options", "nosniff");
+  res.type("image/jpeg");
+  res.sendFile(filePath);
+});
+
+module.exports = {
+  getAttachment,
+  getAttachmentThumbnail,
+};
@@ -1,17 +1,66 @@
 const bcrypt = require("bcryptjs");
 const prisma = require("../../prisma/client");
-const jwt = require("jsonwebtoken");
+const {
+  consumeAuthToken,
+  sendVerificationLink,
+  sendPasswordResetLink,
+} = require("../../utils/authTokens");
+const { sendPasswordChangedEmail } = require("../../utils/emailService");
+const {
+  getAccessTokenLifetime,
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  revokeAllSessions,
+  listActiveSessions,
+} = require("../../utils/sessions");
+const {
+  loadAccount,
+  getAccountRestriction,
+} = require("../../utils/accountState");
+const {
+  INVITABLE_ROLES,
+  getInvitationPreview,
+  acceptInvitation: createInvitedAccount,
+} = require("../../utils/invitations");
+const {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  sendLoginEmailCode,
+  verifyLoginChallenge,
+} = require("../../utils/twoFactor");
+const {
+  recordFailedLogin,
+  getLockedUntil,
+  registerFailedLogin,
+  clearFailedLogins,
+} = require("../../utils/loginProtection");
 
-// Allowed user roles
-const ALLOWED_ROLES = ["ADMIN", "EVENT_PLANNER", "VENDOR", "CLIENT"];
+// Why the account-state policy keeps a user out (e.g. blocked users and
+// suspended vendors), or null
+const getSignInRestriction = async (userId) => {
+  const account = await loadAccount(userId);
+  return account && getAccountRestriction(account);
+};
 
-// Generate a JWT token
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: "1d",
-  });
+const sendRestriction = (res, restriction) => {
+  const { message, ...details } = restriction.body;
+  return res.status(restriction.status).json({ error: message, ...details });
 };
 
+// Refuse sign-in to an account locked after repeated failures
+const sendLockout = (res, lockedUntil) =>
+  res.status(429).json({
+    error:
+      "Too many failed sign-in attempts. Please try again later or reset your password.",
+    code: "ACCOUNT_LOCKED",
+    until: lockedUntil,
+  });
+
+// Roles open to public registration; admins and event planners are invited
+const ALLOWED_ROLES = ["VENDOR", "CLIENT"];
+
 // Register a new user
 const register = async (req, res) => {
   try {
@@ -28,8 +77,6 @@ const register = async (req, res) => {
       categoryId, // For vendors - Category ID
       accountNumber, // For vendors
       tinNumber, // For vendors - TIN number
-      companyName, // For event planners
-      bio,
     } = req.body;
 
     // Check for required fields
@@ -40,10 +87,14 @@ const register = async (req, res) => {
     }
 
     // Validate role
+    if (INVITABLE_ROLES.includes(role)) {
+      return res.status(403).json({
+        error: `${role} accounts are created by invitation only.`,
+      });
+    }
     if (!ALLOWED_ROLES.includes(role)) {
       return res.status(400).json({
-        error:
-          "Invalid role. Allowed roles are: ADMIN, EVENT_PLANNER, VENDOR, CLIENT",
+        error: "Invalid role. Allowed roles are: VENDOR, CLIENT",
       });
     }
 
@@ -125,27 +176,30 @@ const register = async (req, res) => {
         console.error("Error creating vendor:", error.message);
         throw error;
       }
-    } else if (role === "EVENT_PLANNER") {
-      const eventPlanner = await prisma.eventPlanner.create({
-        data: {
-          userId: newUser.id,
-          bio: bio || null,
-        },
-      });
-      profileId = eventPlanner.id;
     }
 
-    const token = generateToken(newUser.id, newUser.role);
+    // The account stays restricted until the email address is confirmed
+    try {
+      await sendVerificationLink(newUser);
+    } catch (emailError) {
+      console.error("Error sending verification email:", emailError.message);
+    }
+
+    const { accessToken, refreshToken } = await createSession(newUser, req);
 
     return res.status(201).json({
-      message: "User registered successfully.",
+      message:
+        "User registered successfully. Please check your email to verify your account.",
       user: {
         id: newUser.id,
         email: newUser.email,
         role: newUser.role,
         profileId,
+        emailVerified: newUser.emailVerified,
       },
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn: getAccessTokenLifetime(),
     });
   } catch (error) {
     console.error("Error in user register function:", error.message);
@@ -155,6 +209,54 @@ const register = async (req, res) => {
   }
 };
 
+// Start a session for a user who passed every login step and reply with
+// the tokens
+const completeLogin = async (req, res, user) => {
+  // Get profile ID based on role
+  let profileId = null;
+  if (user.role === "CLIENT") {
+    const client = await prisma.client.findUnique({
+      where: { userId: user.id },
+    });
+    profileId = client?.id;
+  } else if (user.role === "VENDOR") {
+    const vendor = await prisma.vendor.findUnique({
+      where: { userId: user.id },
+    });
+    profileId = vendor?.id;
+  } else if (user.role === "EVENT_PLANNER") {
+    const eventPlanner = await prisma.eventPlanner.findUnique({
+      where: { userId: user.id },
+    });
+    profileId = eventPlanner?.id;
+  }
+
+  await clearFailedLogins(user);
+
+  // Start a session; the access token carries the role
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Until they enroll, users of a role with mandatory 2FA can only use the
+  // /api/auth routes
+  const twoFactorSetupRequired =
+    !user.twoFactorEnabled && (await isTwoFactorRequired(user.role));
+
+  return res.status(200).json({
+    message: "Login successful.",
+    token: accessToken,
+    refreshToken,
+    expiresIn: getAccessTokenLifetime(),
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      profileId,
+      emailVerified: user.emailVerified,
+    },
+    ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+  });
+};
+
 // Login existing user
 const login = async (req, res) => {
   try {
@@ -173,53 +275,459 @@ const login = async (req, res) => {
     });
 
     if (!user) {
+      await recordFailedLogin({ email, reason: "UNKNOWN_EMAIL", req });
       return res.status(400).json({ error: "Invalid credentials." });
     }
 
+    // Locked accounts are refused before the password is checked, so the
+    // lock cannot be used to keep guessing
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+      await recordFailedLogin({ email, user, reason: "ACCOUNT_LOCKED", req });
+      return sendLockout(res, lockedUntil);
+    }
+
     // Validate password
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
     if (!isPasswordCorrect) {
+      const failure = await registerFailedLogin(user, {
+        reason: "BAD_PASSWORD",
+        req,
+      });
+      if (failure.lockedUntil) {
+        return sendLockout(res, failure.lockedUntil);
+      }
       return res.status(400).json({ error: "Invalid credentials." });
     }
 
-    // Get profile ID based on role
-    let profileId = null;
-    if (user.role === "CLIENT") {
-      const client = await prisma.client.findUnique({
-        where: { userId: user.id },
+    // Blocked users and suspended vendors cannot sign in
+    const restriction = await getSignInRestriction(user.id);
+    if (restriction) {
+      return sendRestriction(res, restriction);
+    }
+
+    // With two-factor authentication on, the password is only the first
+    // step; the session is started by /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      const { challengeToken, expiresAt } = await createLoginChallenge(
+        user,
+        req
+      );
+      return res.status(200).json({
+        message: "Enter the code from your authenticator app.",
+        twoFactorRequired: true,
+        challengeToken,
+        expiresAt,
+        methods: ["totp", "backup_code", "email"],
       });
-      profileId = client?.id;
-    } else if (user.role === "VENDOR") {
-      const vendor = await prisma.vendor.findUnique({
-        where: { userId: user.id },
+    }
+
+    return completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Error in user login function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Second login step: exchange the challenge token and an authenticator
+// code, backup code or emailed code for a session
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode, emailCode } = req.body;
+
+    let result;
+    try {
+      result = await verifyLoginChallenge(challengeToken, {
+        code,
+        backupCode,
+        emailCode,
       });
-      profileId = vendor?.id;
-    } else if (user.role === "EVENT_PLANNER") {
-      const eventPlanner = await prisma.eventPlanner.findUnique({
-        where: { userId: user.id },
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+
+      // Wrong codes count towards the lockout like wrong passwords
+      if (twoFactorError.user) {
+        const failure = await registerFailedLogin(twoFactorError.user, {
+          reason: "BAD_TWO_FACTOR_CODE",
+          req,
+        });
+        if (failure.lockedUntil) {
+          return sendLockout(res, failure.lockedUntil);
+        }
+      }
+
+      return res
+        .status(twoFactorError.statusCode)
+        .json({ error: twoFactorError.message });
+    }
+
+    // The account may have been locked or blocked since the password was
+    // checked
+    const lockedUntil = getLockedUntil(result.user);
+    if (lockedUntil) {
+      return sendLockout(res, lockedUntil);
+    }
+
+    const restriction = await getSignInRestriction(result.user.id);
+    if (restriction) {
+      return sendRestriction(res, restriction);
+    }
+
+    return completeLogin(req, res, result.user);
+  } catch (error) {
+    console.error("Error in verifyTwoFactorLogin function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Email a one-time code for the second login step, for users without
+// their authenticator app
+const sendTwoFactorEmailCode = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await sendLoginEmailCode(req.body.challengeToken);
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+      return res
+        .status(twoFactorError.statusCode)
+        .json({ error: twoFactorError.message });
+    }
+
+    return res.status(200).json({
+      message: `A sign-in code has been sent to ${result.sentTo}.`,
+    });
+  } catch (error) {
+    console.error("Error in sendTwoFactorEmailCode function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Password reset and email verification share this generic reply, so they
+// do not reveal which email addresses have accounts
+const EMAIL_SENT_MESSAGE =
+  "If an account exists for this email, a message has been sent to it.";
+
+// Email a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required." });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      await sendPasswordResetLink(user);
+    }
+
+    return res.status(200).json({ message: EMAIL_SENT_MESSAGE });
+  } catch (error) {
+    console.error("Error in forgotPassword function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Set a new password using a reset token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res
+        .status(400)
+        .json({ error: "Token and new password are required." });
+    }
+
+    if (password.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters long." });
+    }
+
+    let record;
+    try {
+      record = await consumeAuthToken(token, "PASSWORD_RESET");
+    } catch (tokenError) {
+      return res
+        .status(tokenError.statusCode || 400)
+        .json({ error: tokenError.message });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        password: hashedPassword,
+        // The reset link proves the user owns the address
+        emailVerified: true,
+        emailVerifiedAt: record.user.emailVerifiedAt || new Date(),
+        // and lifts a sign-in lockout, which the lockout reply points to
+        failedLoginCount: 0,
+        lockedUntil: null,
+      },
+    });
+
+    // Sign out everywhere, in case someone else knew the old password
+    await revokeAllSessions(record.userId, "PASSWORD_CHANGED");
+
+    try {
+      await sendPasswordChangedEmail(record.user);
+    } catch (emailError) {
+      console.error(
+        "Error sending password changed email:",
+        emailError.message
+      );
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Password has been reset. You can now log in." });
+  } catch (error) {
+    console.error("Error in resetPassword function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Confirm an email address using a verification token
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.body.token || req.query.token;
+
+    let record;
+    try {
+      record = await consumeAuthToken(token, "EMAIL_VERIFICATION");
+    } catch (tokenError) {
+      return res
+        .status(tokenError.statusCode || 400)
+        .json({ error: tokenError.message });
+    }
+
+    if (!record.user.emailVerified) {
+      await prisma.user.update({
+        where: { id: record.userId },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
       });
-      profileId = eventPlanner?.id;
     }
 
-    // Generate token with role included
-    const token = generateToken(user.id, user.role);
+    return res.status(200).json({ message: "Email verified successfully." });
+  } catch (error) {
+    console.error("Error in verifyEmail function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Send a new verification link
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required." });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && !user.emailVerified) {
+      await sendVerificationLink(user, { throttle: true });
+    }
+
+    return res.status(200).json({ message: EMAIL_SENT_MESSAGE });
+  } catch (error) {
+    console.error("Error in resendVerification function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await rotateSession(req.body.refreshToken, req);
+    } catch (sessionError) {
+      return res
+        .status(sessionError.statusCode || 401)
+        .json({ error: sessionError.message });
+    }
+
+    const restriction = await getSignInRestriction(result.user.id);
+    if (restriction) {
+      await revokeSession(
+        result.session.id,
+        restriction.body.code === "ACCOUNT_SUSPENDED" ? "SUSPENDED" : "BLOCKED"
+      );
+      return sendRestriction(res, restriction);
+    }
 
     return res.status(200).json({
-      message: "Login successful.",
-      token,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: getAccessTokenLifetime(),
+    });
+  } catch (error) {
+    console.error("Error in refresh function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// End the session a refresh token belongs to. Works after the access
+// token has expired.
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required." });
+    }
+
+    await endSession(refreshToken);
+    return res.status(200).json({ message: "Logged out successfully." });
+  } catch (error) {
+    console.error("Error in logout function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// List the user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    return res.status(200).json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("Error in getSessions function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Revoke one of the user's sessions, e.g. a lost device
+const deleteSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+    });
+
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    await revokeSession(session.id, "USER_REVOKED");
+
+    return res.status(200).json({ message: "Session revoked." });
+  } catch (error) {
+    console.error("Error in deleteSession function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Show the details of an invitation before the invitee accepts it
+const getInvitation = async (req, res) => {
+  try {
+    let invitation;
+    try {
+      invitation = await getInvitationPreview(req.params.token);
+    } catch (invitationError) {
+      if (!invitationError.statusCode) throw invitationError;
+      return res
+        .status(invitationError.statusCode)
+        .json({ error: invitationError.message });
+    }
+
+    return res.status(200).json({ invitation });
+  } catch (error) {
+    console.error("Error in getInvitation function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Accept an invitation: set a password and sign in to the new account
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body;
+
+    let result;
+    try {
+      result = await createInvitedAccount(
+        token,
+        { password, firstName, lastName, phone },
+        req
+      );
+    } catch (invitationError) {
+      if (!invitationError.statusCode) throw invitationError;
+      return res
+        .status(invitationError.statusCode)
+        .json({ error: invitationError.message });
+    }
+
+    const { user, profileId } = result;
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    return res.status(201).json({
+      message: "Your account has been created.",
       user: {
         id: user.id,
         email: user.email,
         role: user.role,
         profileId,
+        emailVerified: user.emailVerified,
       },
+      token: accessToken,
+      refreshToken,
+      expiresIn: getAccessTokenLifetime(),
     });
   } catch (error) {
-    console.error("Error in user login function:", error.message);
+    console.error("Error in acceptInvitation function:", error.message);
     return res
       .status(500)
       .json({ error: "Internal server error.", details: error.message });
   }
 };
 
-module.exports = { register, login };
+module.exports = {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  sendTwoFactorEmailCode,
+  getInvitation,
+  acceptInvitation,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+};
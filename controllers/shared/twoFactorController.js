@@ -0,0 +1,147 @@
+const { revokeAllSessions } = require("../../utils/sessions");
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor: turnOffTwoFactor,
+} = require("../../utils/twoFactor");
+
+// Reply with a 2FA util error, or rethrow unexpected errors
+const sendTwoFactorError = (res, twoFactorError) => {
+  if (!twoFactorError.statusCode) throw twoFactorError;
+  return res
+    .status(twoFactorError.statusCode)
+    .json({ error: twoFactorError.message });
+};
+
+// Show whether two-factor authentication is on, required and how many
+// backup codes are left
+const getTwoFactor = async (req, res) => {
+  try {
+    let status;
+    try {
+      status = await getTwoFactorStatus(req.user.id);
+    } catch (twoFactorError) {
+      return sendTwoFactorError(res, twoFactorError);
+    }
+
+    return res.status(200).json(status);
+  } catch (error) {
+    console.error("Error in getTwoFactor function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Start enrollment: returns the secret, otpauth URI and QR code to scan
+const setupTwoFactor = async (req, res) => {
+  try {
+    let enrollment;
+    try {
+      enrollment = await startEnrollment(req.user.id);
+    } catch (twoFactorError) {
+      return sendTwoFactorError(res, twoFactorError);
+    }
+
+    return res.status(200).json({
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code.",
+      ...enrollment,
+    });
+  } catch (error) {
+    console.error("Error in setupTwoFactor function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Confirm enrollment with a code and turn two-factor authentication on
+const enableTwoFactor = async (req, res) => {
+  try {
+    let backupCodes;
+    try {
+      backupCodes = await confirmEnrollment(req.user.id, req.body.code);
+    } catch (twoFactorError) {
+      return sendTwoFactorError(res, twoFactorError);
+    }
+
+    // Sessions started with only the password end; this one stays
+    await revokeAllSessions(req.user.id, "TWO_FACTOR_ENABLED", {
+      exceptSessionId: req.sessionId,
+    });
+
+    return res.status(200).json({
+      message:
+        "Two-factor authentication is on. Store these backup codes somewhere safe; each works once.",
+      backupCodes,
+    });
+  } catch (error) {
+    console.error("Error in enableTwoFactor function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Replace the backup codes, confirming with a `code` or `backupCode`
+const regenerateTwoFactorBackupCodes = async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    let backupCodes;
+    try {
+      backupCodes = await regenerateBackupCodes(req.user.id, {
+        code,
+        backupCode,
+      });
+    } catch (twoFactorError) {
+      return sendTwoFactorError(res, twoFactorError);
+    }
+
+    return res.status(200).json({
+      message: "New backup codes created. The old ones no longer work.",
+      backupCodes,
+    });
+  } catch (error) {
+    console.error(
+      "Error in regenerateTwoFactorBackupCodes function:",
+      error.message
+    );
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+// Turn two-factor authentication off with the password and a code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    try {
+      await turnOffTwoFactor(req.user.id, { password, code, backupCode });
+    } catch (twoFactorError) {
+      return sendTwoFactorError(res, twoFactorError);
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Two-factor authentication is off." });
+  } catch (error) {
+    console.error("Error in disableTwoFactor function:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Internal server error.", details: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorBackupCodes,
+  disableTwoFactor,
+};
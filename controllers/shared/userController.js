@@ -1,6 +1,10 @@
 const asyncHandler = require("express-async-handler");
 const prisma = require("../../prisma/client");
 const bcrypt = require("bcryptjs");
+const { sendVerificationLink } = require("../../utils/authTokens");
+const { revokeAllSessions } = require("../../utils/sessions");
+const { getUserPermissions } = require("../../utils/permissions");
+const { getPartnerPresence } = require("../../utils/presence");
 
 /**
  * Get user profile information
@@ -73,8 +77,14 @@ const updateUser = asyncHandler(async (req, res) => {
     updateData.password = hashedPassword;
   }
 
+  // A new email address has to be verified again
+  if (email && email !== user.email) {
+    updateData.email = email;
+    updateData.emailVerified = false;
+    updateData.emailVerifiedAt = null;
+  }
+
   // Add other fields to updateData if provided
-  if (email) updateData.email = email;
   if (firstName) updateData.firstName = firstName;
   if (lastName) updateData.lastName = lastName;
   if (phone) updateData.phone = phone;
@@ -85,6 +95,21 @@ const updateUser = asyncHandler(async (req, res) => {
     data: updateData,
   });
 
+  // Sign out the account's other sessions after a password change
+  if (updateData.password) {
+    await revokeAllSessions(id, "PASSWORD_CHANGED", {
+      exceptSessionId: id === req.user.id ? req.sessionId : undefined,
+    });
+  }
+
+  if (updateData.email) {
+    try {
+      await sendVerificationLink(updatedUser);
+    } catch (emailError) {
+      console.error("Error sending verification email:", emailError.message);
+    }
+  }
+
   res.status(200).json({
     message: "Your account has been updated successfully",
     user: {
@@ -97,7 +122,43 @@ const updateUser = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the permissions the signed-in user has, so the frontend can hide
+ * screens they cannot use
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  const permissions = await getUserPermissions(req.user);
+
+  res.status(200).json({
+    role: req.user.role,
+    permissions,
+  });
+});
+
+/**
+ * Get whether the user's conversation partners are online and when they
+ * were last seen (`?userIds=a,b` narrows it down)
+ */
+const getPresence = asyncHandler(async (req, res) => {
+  const userIds =
+    typeof req.query.userIds === "string"
+      ? req.query.userIds.split(",").filter(Boolean)
+      : undefined;
+
+  let presence;
+  try {
+    presence = await getPartnerPresence(req.user.id, userIds);
+  } catch (error) {
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(200).json({ presence });
+});
+
 module.exports = {
   getProfile,
   updateUser,
+  getPermissions,
+  getPresence,
 };
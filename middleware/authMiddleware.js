@@ -1,6 +1,79 @@
 const asyncHandler = require("express-async-handler");
 const jwt = require("jsonwebtoken");
 const prisma = require("../prisma/client");
+const { getActiveSession } = require("../utils/sessions");
+const { loadAccount, getAccountRestriction } = require("../utils/accountState");
+const { PERMISSIONS, getUserPermissions } = require("../utils/permissions");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+
+// Access tokens are tied to a session, which logout, blocking and password
+// changes revoke; the account must pass the account-state policy, have a
+// confirmed email address and have enrolled in two-factor authentication if
+// an admin made it mandatory for the role (`twoFactorSetup` lets the
+// enrollment routes through). Returns an error response body, or null if
+// the user may continue.
+const checkAccount = async (
+  decoded,
+  { write = false, twoFactorSetup = false } = {}
+) => {
+  const session = await getActiveSession(decoded.sid, decoded.id);
+  if (!session) {
+    return {
+      status: 401,
+      body: {
+        message: "Your session has ended. Please log in again.",
+        code: "SESSION_REVOKED",
+      },
+    };
+  }
+
+  const account = await loadAccount(decoded.id);
+
+  if (!account) {
+    return { status: 401, body: { message: "Not authorized, user not found" } };
+  }
+
+  const restriction = getAccountRestriction(account, { write });
+  if (restriction) {
+    return restriction;
+  }
+
+  if (!account.emailVerified) {
+    return {
+      status: 403,
+      body: {
+        message:
+          "Please verify your email address. Check your inbox or request a new link at /api/auth/resend-verification.",
+        code: "EMAIL_NOT_VERIFIED",
+      },
+    };
+  }
+
+  if (
+    !account.twoFactorEnabled &&
+    !twoFactorSetup &&
+    (await isTwoFactorRequired(account.role))
+  ) {
+    return {
+      status: 403,
+      body: {
+        message:
+          "Two-factor authentication is required for your account. Set it up at /api/auth/2fa/setup.",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      },
+    };
+  }
+
+  return null;
+};
+
+// Session and 2FA routes, which stay usable while an account is under
+// review or has 2FA setup outstanding
+const isAuthRequest = (req) => req.originalUrl.startsWith("/api/auth/");
+
+// Accounts under review may still read data and manage their sessions
+const isWriteRequest = (req) =>
+  !["GET", "HEAD", "OPTIONS"].includes(req.method) && !isAuthRequest(req);
 
 // General authentication middleware
 const authenticate = asyncHandler(async (req, res, next) => {
@@ -23,8 +96,17 @@ const authenticate = asyncHandler(async (req, res, next) => {
       return res.status(401).json({ message: "Not authorized, invalid token" });
     }
 
-    // Attach user to request object
+    const denied = await checkAccount(decoded, {
+      write: isWriteRequest(req),
+      twoFactorSetup: isAuthRequest(req),
+    });
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    // Attach user and session to request object
     req.user = decoded;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("Error in auth middleware:", error.message);
@@ -34,7 +116,12 @@ const authenticate = asyncHandler(async (req, res, next) => {
   }
 });
 
-const checkRole = (allowedRoles) => {
+// Require a permission from the registry in utils/permissions.js
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
   return asyncHandler(async (req, res, next) => {
     try {
       // Get token from header (Authorization: Bearer <token>)
@@ -57,14 +144,24 @@ const checkRole = (allowedRoles) => {
           .json({ message: "Not authorized, invalid token" });
       }
 
-      // Check if user has one of the allowed roles
-      if (!decoded.role || !allowedRoles.includes(decoded.role)) {
+      const denied = await checkAccount(decoded, {
+        write: isWriteRequest(req),
+        twoFactorSetup: isAuthRequest(req),
+      });
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
+      // Check the user's role grants the permission
+      const permissions = await getUserPermissions(decoded);
+      if (!permissions.includes(permission)) {
         return res.status(403).json({
-          message: `Access denied. Requires one of these roles: ${allowedRoles.join(
-            ", "
-          )}`,
+          message: `Access denied. Requires the "${permission}" permission.`,
+          code: "PERMISSION_DENIED",
+          permission,
         });
       }
+      req.permissions = permissions;
 
       // For vendors, verify their approval status
       if (decoded.role === "VENDOR") {
@@ -91,12 +188,14 @@ const checkRole = (allowedRoles) => {
               // Attach vendor status to the request object
               req.vendorStatus = vendor.status;
               req.user = decoded;
+              req.sessionId = decoded.sid;
               return next();
             }
 
             return res.status(403).json({
               message:
                 "Your vendor account is pending approval. You cannot access this resource until approved.",
+              code: "VENDOR_PENDING_APPROVAL",
               status: vendor.status,
             });
           }
@@ -108,11 +207,12 @@ const checkRole = (allowedRoles) => {
         }
       }
 
-      // Attach user to request object
+      // Attach user and session to request object
       req.user = decoded;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
-      console.error("Error in role check middleware:", error.message);
+      console.error("Error in permission middleware:", error.message);
       res
         .status(401)
         .json({ message: "Not authorized, token validation failed" });
@@ -121,22 +221,38 @@ const checkRole = (allowedRoles) => {
 };
 
 // WebSocket authentication middleware
-const authMiddlewareSocket = (socket, next) => {
+const authMiddlewareSocket = async (socket, next) => {
   const token = socket.handshake.auth.token;
   if (!token) return next(new Error("Authentication error: No token provided"));
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     console.error("WebSocket token verification failed:", error.message);
-    next(new Error("Authentication error: Invalid token"));
+    return next(new Error("Authentication error: Invalid token"));
   }
+
+  try {
+    // Chat sends messages, so accounts under review cannot connect
+    const denied = await checkAccount(decoded, { write: true });
+    if (denied) {
+      const error = new Error(`Authentication error: ${denied.body.message}`);
+      error.data = denied.body;
+      return next(error);
+    }
+  } catch (error) {
+    console.error("WebSocket account check failed:", error.message);
+    return next(new Error("Authentication error: Account check failed"));
+  }
+
+  socket.user = decoded;
+  socket.sessionId = decoded.sid;
+  next();
 };
 
 module.exports = {
   authenticate,
-  checkRole,
+  requirePermission,
   authMiddlewareSocket,
 };
@@ -0,0 +1,165 @@
+const { recordFailedLogin } = require("../utils/loginProtection");
+
+/**
+ * Request throttling
+ *
+ * Fixed-window counters kept in memory, so limits apply per server
+ * process. Each limiter counts requests by a key (the client IP, the email
+ * in the body or the signed-in user) and answers 429 with
+ * `code: "RATE_LIMITED"` and a Retry-After header once the allowance for
+ * the window is used up.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const limiterStores = [];
+
+// Forget windows that have ended so idle keys do not pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const hits of limiterStores) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+}, MINUTE_MS).unref();
+
+/**
+ * Create a limiter
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key in a window
+ * @param {Function} options.key - (req) => key to count by; falsy skips the limit
+ * @param {string} [options.message] - Message for throttled requests
+ * @param {Function} [options.onLimited] - Called with the request the first
+ *   time a key goes over the limit in a window
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ windowMs, max, key, message, onLimited }) => {
+  const hits = new Map();
+  limiterStores.push(hits);
+
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count <= max) return next();
+
+    if (entry.count === max + 1 && onLimited) {
+      try {
+        await onLimited(req);
+      } catch (error) {
+        console.error("Error recording throttled request:", error.message);
+      }
+    }
+
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      message: message || "Too many requests. Please try again later.",
+      code: "RATE_LIMITED",
+      retryAfter,
+    });
+  };
+};
+
+const byIp = (req) => req.ip;
+const byEmail = (req) =>
+  typeof req.body?.email === "string" && req.body.email.trim().toLowerCase();
+const byUser = (req) => req.user?.id;
+
+// Throttled sign-ins go in the failed-login record admins review
+const recordThrottledLogin = (req) =>
+  recordFailedLogin({
+    email: byEmail(req) || "",
+    reason: "RATE_LIMITED",
+    req,
+  });
+
+const SIGN_IN_MESSAGE = "Too many sign-in attempts. Please try again later.";
+
+// POST /api/auth/login: per IP and per account
+const loginRateLimit = [
+  rateLimit({
+    windowMs: 15 * MINUTE_MS,
+    max: 30,
+    key: byIp,
+    message: SIGN_IN_MESSAGE,
+    onLimited: recordThrottledLogin,
+  }),
+  rateLimit({
+    windowMs: 15 * MINUTE_MS,
+    max: 10,
+    key: byEmail,
+    message: SIGN_IN_MESSAGE,
+    onLimited: recordThrottledLogin,
+  }),
+];
+
+// Second login step and emailed codes: per IP (each challenge also has
+// its own attempt limit)
+const twoFactorRateLimit = rateLimit({
+  windowMs: 15 * MINUTE_MS,
+  max: 30,
+  key: byIp,
+  message: SIGN_IN_MESSAGE,
+});
+
+// POST /api/auth/register: per IP and per email
+const registerRateLimit = [
+  rateLimit({
+    windowMs: 60 * MINUTE_MS,
+    max: 10,
+    key: byIp,
+    message: "Too many sign-ups from this address. Please try again later.",
+  }),
+  rateLimit({
+    windowMs: 60 * MINUTE_MS,
+    max: 3,
+    key: byEmail,
+    message: "Too many sign-ups for this email. Please try again later.",
+  }),
+];
+
+// Payment initiation: per IP and per signed-in user; use after
+// authentication so the user is known
+const paymentRateLimit = [
+  rateLimit({
+    windowMs: 10 * MINUTE_MS,
+    max: 30,
+    key: byIp,
+    message: "Too many payment attempts. Please try again later.",
+  }),
+  rateLimit({
+    windowMs: 10 * MINUTE_MS,
+    max: 10,
+    key: byUser,
+    message: "Too many payment attempts. Please try again later.",
+  }),
+];
+
+// Sending chat messages over REST: per signed-in user, matching the
+// sendMessage socket limit
+const messageRateLimit = rateLimit({
+  windowMs: 10 * 1000,
+  max: 10,
+  key: byUser,
+  message: "Too many messages. Please slow down.",
+});
+
+module.exports = {
+  rateLimit,
+  loginRateLimit,
+  twoFactorRateLimit,
+  registerRateLimit,
+  paymentRateLimit,
+  messageRateLimit,
+};
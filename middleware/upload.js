@@ -0,0 +1,53 @@
+const multer = require("multer");
+const {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS,
+} = require("../utils/attachments");
+
+// Configure multer for image uploads (kept in memory until saved)
+const storage = multer.memoryStorage();
+const imageUpload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only image files
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"), false);
+    }
+  },
+});
+
+// Message attachments (see utils/attachments.js for the per-type limits)
+const attachmentUpload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_ATTACHMENTS,
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error(`${file.originalname} is not a supported file type`), false);
+    }
+  },
+}).array("attachments", MAX_ATTACHMENTS);
+
+// Accept up to MAX_ATTACHMENTS files in the "attachments" field, answering
+// 400 (or 413 for files that are too large) when the upload is refused
+const uploadAttachments = (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (error) {
+      res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400);
+      return next(error);
+    }
+    next();
+  });
+};
+
+module.exports = { imageUpload, uploadAttachments };
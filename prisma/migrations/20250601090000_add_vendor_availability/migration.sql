@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `Vendor` ADD COLUMN `maxBookingsPerDay` INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE `Service` ADD COLUMN `capacity` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `VendorBlockedDate` (
+    `id` VARCHAR(191) NOT NULL,
+    `vendorId` VARCHAR(191) NOT NULL,
+    `date` DATETIME(3) NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `VendorBlockedDate_vendorId_date_key`(`vendorId`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `VendorBlockedDate` ADD CONSTRAINT `VendorBlockedDate_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
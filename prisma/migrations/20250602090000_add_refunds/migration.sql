@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `refundedAmount` DOUBLE NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `Refund` (
+    `id` VARCHAR(191) NOT NULL,
+    `paymentId` VARCHAR(191) NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `status` ENUM('PENDING', 'COMPLETED', 'REJECTED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `adminSplitReversal` DOUBLE NULL,
+    `vendorSplitReversal` DOUBLE NULL,
+    `requestedById` VARCHAR(191) NULL,
+    `reviewedById` VARCHAR(191) NULL,
+    `reviewNote` VARCHAR(191) NULL,
+    `reference` VARCHAR(191) NULL,
+    `chapaRefundId` VARCHAR(191) NULL,
+    `processedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Refund_reference_key`(`reference`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Refund` ADD CONSTRAINT `Refund_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE `CancellationPolicy` (
+    `id` VARCHAR(191) NOT NULL,
+    `vendorId` VARCHAR(191) NULL,
+    `serviceId` VARCHAR(191) NULL,
+    `rules` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `CancellationPolicy_vendorId_key`(`vendorId`),
+    UNIQUE INDEX `CancellationPolicy_serviceId_key`(`serviceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `BookingCancellation` (
+    `id` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `cancelledById` VARCHAR(191) NOT NULL,
+    `cancelledByRole` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT') NOT NULL,
+    `reason` TEXT NULL,
+    `daysBeforeEvent` INTEGER NOT NULL,
+    `refundPercentage` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `BookingCancellation_bookingId_key`(`bookingId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CancellationPolicy` ADD CONSTRAINT `CancellationPolicy_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CancellationPolicy` ADD CONSTRAINT `CancellationPolicy_serviceId_fkey` FOREIGN KEY (`serviceId`) REFERENCES `Service`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BookingCancellation` ADD CONSTRAINT `BookingCancellation_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `Booking`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
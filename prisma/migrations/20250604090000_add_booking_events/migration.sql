@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `BookingEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `fromStatus` ENUM('PENDING', 'CONFIRMED', 'COMPLETED', 'CANCELLED') NULL,
+    `toStatus` ENUM('PENDING', 'CONFIRMED', 'COMPLETED', 'CANCELLED') NOT NULL,
+    `changedById` VARCHAR(191) NULL,
+    `changedByRole` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT') NULL,
+    `source` VARCHAR(191) NOT NULL,
+    `reason` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `BookingEvent_bookingId_createdAt_idx`(`bookingId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `BookingEvent` ADD CONSTRAINT `BookingEvent_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `Booking`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BookingEvent` ADD CONSTRAINT `BookingEvent_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE `Vendor` ADD COLUMN `depositPercentage` DOUBLE NOT NULL DEFAULT 30,
+    ADD COLUMN `installmentCount` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `balanceDueDays` INTEGER NOT NULL DEFAULT 14;
+
+-- AlterTable
+ALTER TABLE `Booking` ADD COLUMN `totalAmount` DOUBLE NULL,
+    ADD COLUMN `amountPaid` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `balanceDue` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `installmentId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `PaymentSchedule` (
+    `id` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `totalAmount` DOUBLE NOT NULL,
+    `depositPercentage` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `PaymentSchedule_bookingId_key`(`bookingId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PaymentInstallment` (
+    `id` VARCHAR(191) NOT NULL,
+    `scheduleId` VARCHAR(191) NOT NULL,
+    `sequence` INTEGER NOT NULL,
+    `type` ENUM('DEPOSIT', 'INSTALLMENT', 'BALANCE') NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `dueDate` DATETIME(3) NOT NULL,
+    `status` ENUM('PENDING', 'PAID', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    `paidAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `PaymentInstallment_scheduleId_sequence_key`(`scheduleId`, `sequence`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Payment` ADD CONSTRAINT `Payment_installmentId_fkey` FOREIGN KEY (`installmentId`) REFERENCES `PaymentInstallment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentSchedule` ADD CONSTRAINT `PaymentSchedule_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `Booking`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentInstallment` ADD CONSTRAINT `PaymentInstallment_scheduleId_fkey` FOREIGN KEY (`scheduleId`) REFERENCES `PaymentSchedule`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
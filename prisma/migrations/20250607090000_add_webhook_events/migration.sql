@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `WebhookEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL DEFAULT 'CHAPA',
+    `eventKey` VARCHAR(191) NOT NULL,
+    `eventType` VARCHAR(191) NULL,
+    `txRef` VARCHAR(191) NULL,
+    `payload` TEXT NOT NULL,
+    `status` ENUM('RECEIVED', 'PROCESSED', 'IGNORED', 'FAILED') NOT NULL DEFAULT 'RECEIVED',
+    `result` TEXT NULL,
+    `deliveries` INTEGER NOT NULL DEFAULT 1,
+    `replays` INTEGER NOT NULL DEFAULT 0,
+    `paymentId` VARCHAR(191) NULL,
+    `receivedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastReceivedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `processedAt` DATETIME(3) NULL,
+
+    UNIQUE INDEX `WebhookEvent_eventKey_key`(`eventKey`),
+    INDEX `WebhookEvent_txRef_idx`(`txRef`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `WebhookEvent` ADD CONSTRAINT `WebhookEvent_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
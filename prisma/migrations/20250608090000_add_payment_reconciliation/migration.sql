@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `lastReconciledAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `PaymentReconciliationRun` (
+    `id` VARCHAR(191) NOT NULL,
+    `trigger` VARCHAR(191) NOT NULL,
+    `startedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finishedAt` DATETIME(3) NULL,
+    `checked` INTEGER NOT NULL DEFAULT 0,
+    `completed` INTEGER NOT NULL DEFAULT 0,
+    `failed` INTEGER NOT NULL DEFAULT 0,
+    `expired` INTEGER NOT NULL DEFAULT 0,
+    `stillPending` INTEGER NOT NULL DEFAULT 0,
+    `errors` INTEGER NOT NULL DEFAULT 0,
+    `details` TEXT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
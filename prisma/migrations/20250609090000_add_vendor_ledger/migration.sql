@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `VendorLedgerEntry` (
+    `id` VARCHAR(191) NOT NULL,
+    `vendorId` VARCHAR(191) NOT NULL,
+    `type` ENUM('PAYMENT_CREDIT', 'PLATFORM_FEE', 'REFUND_DEBIT', 'FEE_REVERSAL', 'PAYOUT') NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `description` VARCHAR(191) NOT NULL,
+    `reference` VARCHAR(191) NOT NULL,
+    `paymentId` VARCHAR(191) NULL,
+    `refundId` VARCHAR(191) NULL,
+    `recordedById` VARCHAR(191) NULL,
+    `occurredAt` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `VendorLedgerEntry_reference_key`(`reference`),
+    INDEX `VendorLedgerEntry_vendorId_occurredAt_idx`(`vendorId`, `occurredAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `VendorLedgerEntry` ADD CONSTRAINT `VendorLedgerEntry_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorLedgerEntry` ADD CONSTRAINT `VendorLedgerEntry_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorLedgerEntry` ADD CONSTRAINT `VendorLedgerEntry_refundId_fkey` FOREIGN KEY (`refundId`) REFERENCES `Refund`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `commissionRuleId` VARCHAR(191) NULL,
+    ADD COLUMN `commissionPercentage` DOUBLE NULL;
+
+-- CreateTable
+CREATE TABLE `CommissionRule` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `scope` ENUM('GLOBAL', 'CATEGORY', 'VENDOR') NOT NULL,
+    `categoryId` VARCHAR(191) NULL,
+    `vendorId` VARCHAR(191) NULL,
+    `percentage` DOUBLE NOT NULL,
+    `startsAt` DATETIME(3) NULL,
+    `endsAt` DATETIME(3) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CommissionRule` ADD CONSTRAINT `CommissionRule_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `ServiceCategory`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CommissionRule` ADD CONSTRAINT `CommissionRule_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Payment` ADD CONSTRAINT `Payment_commissionRuleId_fkey` FOREIGN KEY (`commissionRuleId`) REFERENCES `CommissionRule`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Keep the existing 10% platform share as the global default
+INSERT INTO `CommissionRule` (`id`, `name`, `scope`, `percentage`, `isActive`, `createdAt`, `updatedAt`)
+VALUES ('default-global-commission', 'Default platform commission', 'GLOBAL', 10, true, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3));
+
+-- Record the split already applied to existing payments
+UPDATE `Payment` SET `commissionPercentage` = 10, `commissionRuleId` = 'default-global-commission' WHERE `adminSplit` IS NOT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `reviewedById` VARCHAR(191) NULL,
+    ADD COLUMN `reviewedAt` DATETIME(3) NULL,
+    ADD COLUMN `reviewNote` TEXT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `receiptImage` VARCHAR(191) NULL,
+    ADD COLUMN `bankName` VARCHAR(191) NULL,
+    ADD COLUMN `paidAt` DATETIME(3) NULL;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `PaymentDocument` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` ENUM('RECEIPT', 'INVOICE') NOT NULL,
+    `number` VARCHAR(191) NOT NULL,
+    `sequence` INTEGER NOT NULL,
+    `paymentId` VARCHAR(191) NOT NULL,
+    `filePath` VARCHAR(191) NOT NULL,
+    `data` TEXT NOT NULL,
+    `issuedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PaymentDocument_number_key`(`number`),
+    UNIQUE INDEX `PaymentDocument_paymentId_type_key`(`paymentId`, `type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `DocumentSequence` (
+    `type` ENUM('RECEIPT', 'INVOICE') NOT NULL,
+    `year` INTEGER NOT NULL,
+    `lastNumber` INTEGER NOT NULL DEFAULT 0,
+
+    PRIMARY KEY (`type`, `year`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PaymentDocument` ADD CONSTRAINT `PaymentDocument_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
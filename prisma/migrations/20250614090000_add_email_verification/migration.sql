@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `emailVerified` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `emailVerifiedAt` DATETIME(3) NULL;
+
+-- Accounts created before verification existed are treated as verified
+UPDATE `User` SET `emailVerified` = true, `emailVerifiedAt` = CURRENT_TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE `AuthToken` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `type` ENUM('EMAIL_VERIFICATION', 'PASSWORD_RESET') NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `AuthToken_tokenHash_key`(`tokenHash`),
+    INDEX `AuthToken_userId_type_idx`(`userId`, `type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `AuthToken` ADD CONSTRAINT `AuthToken_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
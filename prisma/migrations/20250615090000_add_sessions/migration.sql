@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `Session` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `refreshTokenHash` VARCHAR(191) NOT NULL,
+    `previousTokenHash` VARCHAR(191) NULL,
+    `userAgent` TEXT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastUsedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `revokedReason` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `Session_refreshTokenHash_key`(`refreshTokenHash`),
+    UNIQUE INDEX `Session_previousTokenHash_key`(`previousTokenHash`),
+    INDEX `Session_userId_revokedAt_idx`(`userId`, `revokedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Session` ADD CONSTRAINT `Session_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `blockedReason` TEXT NULL,
+    ADD COLUMN `blockedAt` DATETIME(3) NULL,
+    ADD COLUMN `blockedUntil` DATETIME(3) NULL,
+    ADD COLUMN `blockedById` VARCHAR(191) NULL,
+    ADD COLUMN `reportedReason` TEXT NULL,
+    ADD COLUMN `reportedAt` DATETIME(3) NULL,
+    ADD COLUMN `reportedById` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Vendor` ADD COLUMN `suspensionReason` TEXT NULL,
+    ADD COLUMN `suspendedAt` DATETIME(3) NULL,
+    ADD COLUMN `suspendedUntil` DATETIME(3) NULL;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE `Invitation` (
+    `id` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `role` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT') NOT NULL,
+    `firstName` VARCHAR(191) NULL,
+    `lastName` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `companyName` VARCHAR(191) NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'ACCEPTED', 'REVOKED') NOT NULL DEFAULT 'PENDING',
+    `expiresAt` DATETIME(3) NOT NULL,
+    `invitedById` VARCHAR(191) NOT NULL,
+    `acceptedUserId` VARCHAR(191) NULL,
+    `acceptedAt` DATETIME(3) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Invitation_tokenHash_key`(`tokenHash`),
+    INDEX `Invitation_email_status_idx`(`email`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `InvitationEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `invitationId` VARCHAR(191) NOT NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `InvitationEvent_invitationId_createdAt_idx`(`invitationId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `InvitationEvent` ADD CONSTRAINT `InvitationEvent_invitationId_fkey` FOREIGN KEY (`invitationId`) REFERENCES `Invitation`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
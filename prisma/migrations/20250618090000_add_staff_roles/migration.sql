@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `User` MODIFY `role` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT', 'STAFF') NOT NULL,
+    ADD COLUMN `staffRoleId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Invitation` MODIFY `role` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT', 'STAFF') NOT NULL,
+    ADD COLUMN `staffRoleId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `BookingEvent` MODIFY `changedByRole` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT', 'STAFF') NULL;
+
+-- AlterTable
+ALTER TABLE `BookingCancellation` MODIFY `cancelledByRole` ENUM('ADMIN', 'EVENT_PLANNER', 'VENDOR', 'CLIENT', 'STAFF') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `StaffRole` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `permissions` TEXT NOT NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `StaffRole_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `User` ADD CONSTRAINT `User_staffRoleId_fkey` FOREIGN KEY (`staffRoleId`) REFERENCES `StaffRole`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
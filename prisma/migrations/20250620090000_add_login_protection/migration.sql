@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `failedLoginCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastFailedLoginAt` DATETIME(3) NULL,
+    ADD COLUMN `lockedUntil` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `FailedLoginAttempt` (
+    `id` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `FailedLoginAttempt_email_createdAt_idx`(`email`, `createdAt`),
+    INDEX `FailedLoginAttempt_ipAddress_createdAt_idx`(`ipAddress`, `createdAt`),
+    INDEX `FailedLoginAttempt_userId_createdAt_idx`(`userId`, `createdAt`),
+    INDEX `FailedLoginAttempt_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `FailedLoginAttempt` ADD CONSTRAINT `FailedLoginAttempt_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `lastSeenAt` DATETIME(3) NULL;
@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE `Conversation` ADD COLUMN `isGroup` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `title` VARCHAR(191) NULL,
+    ADD COLUMN `createdById` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ConversationReadState` (
+    `conversationId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `lastReadAt` DATETIME(3) NOT NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ConversationReadState_userId_idx`(`userId`),
+    PRIMARY KEY (`conversationId`, `userId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ConversationJoinRequest` (
+    `id` VARCHAR(191) NOT NULL,
+    `conversationId` VARCHAR(191) NOT NULL,
+    `plannerId` VARCHAR(191) NOT NULL,
+    `clientId` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'APPROVED', 'DECLINED') NOT NULL DEFAULT 'PENDING',
+    `note` TEXT NULL,
+    `respondedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ConversationJoinRequest_clientId_status_idx`(`clientId`, `status`),
+    INDEX `ConversationJoinRequest_plannerId_status_idx`(`plannerId`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Carry over read state: each recipient has read up to their latest read message
+INSERT INTO `ConversationReadState` (`conversationId`, `userId`, `lastReadAt`, `updatedAt`)
+SELECT `conversationId`, `toUserId`, MAX(`createdAt`), CURRENT_TIMESTAMP(3)
+FROM `Message`
+WHERE `read` = true AND `conversationId` IS NOT NULL
+GROUP BY `conversationId`, `toUserId`;
+
+-- AlterTable
+ALTER TABLE `Message` DROP FOREIGN KEY `Message_toUserId_fkey`;
+ALTER TABLE `Message` DROP COLUMN `read`,
+    DROP COLUMN `lastSeen`,
+    MODIFY `toUserId` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `Message` ADD CONSTRAINT `Message_toUserId_fkey` FOREIGN KEY (`toUserId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ConversationReadState` ADD CONSTRAINT `ConversationReadState_conversationId_fkey` FOREIGN KEY (`conversationId`) REFERENCES `Conversation`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ConversationReadState` ADD CONSTRAINT `ConversationReadState_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ConversationJoinRequest` ADD CONSTRAINT `ConversationJoinRequest_conversationId_fkey` FOREIGN KEY (`conversationId`) REFERENCES `Conversation`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ConversationJoinRequest` ADD CONSTRAINT `ConversationJoinRequest_plannerId_fkey` FOREIGN KEY (`plannerId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ConversationJoinRequest` ADD CONSTRAINT `ConversationJoinRequest_clientId_fkey` FOREIGN KEY (`clientId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `bankReference` VARCHAR(191) NULL;
+
+-- Manual payments kept the client's transfer reference in transactionId,
+-- where it could collide with provider tx_refs
+UPDATE `Payment` SET `bankReference` = `transactionId`, `transactionId` = NULL
+WHERE `method` = 'MANUAL';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Refund` MODIFY `status` ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'REJECTED', 'FAILED') NOT NULL DEFAULT 'PENDING';
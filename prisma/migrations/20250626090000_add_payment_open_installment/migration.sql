@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `openInstallmentId` VARCHAR(191) NULL;
+
+-- Mark the oldest pending payment of each installment as its open one
+UPDATE `Payment` p
+JOIN (
+    SELECT MIN(`id`) AS `id` FROM `Payment`
+    WHERE `status` = 'PENDING' AND `installmentId` IS NOT NULL
+    GROUP BY `installmentId`
+) o ON o.`id` = p.`id`
+SET p.`openInstallmentId` = p.`installmentId`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Payment_openInstallmentId_key` ON `Payment`(`openInstallmentId`);
@@ -23,6 +23,8 @@ async function main() {
         lastName: 'User',
         role: 'ADMIN',
         phone: '+1234567890',
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
       }
     });
     console.log('Admin user created successfully!');
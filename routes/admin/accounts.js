@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getRestrictedAccounts,
+  updateAccountBlock,
+  updateAccountReport,
+} = require("../../controllers/admin/accounts");
+const { requirePermission } = require("../../middleware/authMiddleware");
+
+// Every route here requires the "accounts:manage" permission
+router.use(requirePermission("accounts:manage"));
+
+// Blocked, reported and suspended accounts (?state=blocked|reported|suspended)
+router.get("/restricted", getRestrictedAccounts);
+
+// Block or unblock an account, with an optional reason and end date
+router.patch("/:userId/block", updateAccountBlock);
+
+// Report an account or clear its report
+router.patch("/:userId/report", updateAccountReport);
+
+module.exports = router;
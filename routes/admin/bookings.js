@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const { viewBookingHistory } = require("../../controllers/admin/bookings");
+const { requirePermission } = require("../../middleware/authMiddleware");
+
+// Every route here requires the "bookings:read" permission
+router.use(requirePermission("bookings:read"));
+
+// Get booking status history
+router.get("/:id/history", viewBookingHistory);
+
+module.exports = router;
@@ -8,27 +8,28 @@ const {
   deleteClient,
   updateClientPassword,
 } = require("../../controllers/admin/client");
-const { checkRole } = require("../../middleware/authMiddleware");
-
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole("ADMIN"));
+const { requirePermission } = require("../../middleware/authMiddleware");
 
 // Get all clients
-router.get("/", getClients);
+router.get("/", requirePermission("clients:read"), getClients);
 
 // Get client by ID
-router.get("/:id", getClientById);
+router.get("/:id", requirePermission("clients:read"), getClientById);
 
 // Create new client
-router.post("/", createClient);
+router.post("/", requirePermission("clients:manage"), createClient);
 
 // Update client
-router.put("/:id", updateClient);
+router.put("/:id", requirePermission("clients:manage"), updateClient);
 
 // Delete client
-router.delete("/:id", deleteClient);
+router.delete("/:id", requirePermission("clients:manage"), deleteClient);
 
 // Update client password
-router.patch("/:id/password", updateClientPassword);
+router.patch(
+  "/:id/password",
+  requirePermission("clients:manage"),
+  updateClientPassword
+);
 
 module.exports = router;
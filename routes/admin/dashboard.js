@@ -1,10 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { getOverview } = require("../../controllers/admin/dashboard");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only ADMIN can access this route
-router.use(checkRole(["ADMIN", "EVENT_PLANNER"]));
+// Every route here requires the "dashboard:read" permission
+router.use(requirePermission("dashboard:read"));
 
 // Dashboard Overview
 router.get("/overview", getOverview);
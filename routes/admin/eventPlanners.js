@@ -7,24 +7,37 @@ const {
   editEventPlanner,
   getEventPlannerById,
 } = require("../../controllers/admin/eventPlanners");
-const { checkRole } = require("../../middleware/authMiddleware");
-
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole("ADMIN"));
+const { requirePermission } = require("../../middleware/authMiddleware");
 
 // Get all event planners
-router.get("/", getEventPlanners);
+router.get("/", requirePermission("event-planners:read"), getEventPlanners);
 
 // Get event planner by ID
-router.get("/:id", getEventPlannerById);
+router.get(
+  "/:id",
+  requirePermission("event-planners:read"),
+  getEventPlannerById
+);
 
-// Create new event planner
-router.post("/", createEventPlanner);
+// Invite a new event planner
+router.post(
+  "/",
+  requirePermission("event-planners:manage"),
+  createEventPlanner
+);
 
 // Remove Event Planner
-router.delete("/:id", removeEventPlanner);
+router.delete(
+  "/:id",
+  requirePermission("event-planners:manage"),
+  removeEventPlanner
+);
 
 // Edit Event Planner
-router.patch("/:id", editEventPlanner);
+router.patch(
+  "/:id",
+  requirePermission("event-planners:manage"),
+  editEventPlanner
+);
 
 module.exports = router;
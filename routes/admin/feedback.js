@@ -6,10 +6,10 @@ const {
   getFeedback,
   getFeedbackById,
 } = require("../../controllers/admin/feedback");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole(["ADMIN", "EVENT_PLANNER"]));
+// Every route here requires the "feedback:read" permission
+router.use(requirePermission("feedback:read"));
 
 // Get all feedback
 router.get("/", getFeedback);
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getInvitations,
+  getInvitationById,
+  getInvitationAuditLog,
+  inviteUser,
+  resendInvitationById,
+  revokeInvitationById,
+} = require("../../controllers/admin/invitations");
+const { requirePermission } = require("../../middleware/authMiddleware");
+
+// Every route here requires the "invitations:manage" permission
+router.use(requirePermission("invitations:manage"));
+
+// List invitations (?status=PENDING|EXPIRED|ACCEPTED|REVOKED&role=&email=)
+router.get("/", getInvitations);
+
+// Invite an admin, event planner or staff member (with a staffRoleId)
+router.post("/", inviteUser);
+
+// Audit log across all invitations
+router.get("/audit-log", getInvitationAuditLog);
+
+// Get an invitation with its audit log
+router.get("/:invitationId", getInvitationById);
+
+// Send an invitation again with a new link and expiry
+router.post("/:invitationId/resend", resendInvitationById);
+
+// Revoke a pending invitation
+router.post("/:invitationId/revoke", revokeInvitationById);
+
+module.exports = router;
@@ -4,19 +4,138 @@ const {
   getPaymentInsights,
   getPaymentReport,
   getPayments,
+  getRefunds,
+  createRefund,
+  approveRefundRequest,
+  rejectRefundRequest,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getReconciliationReport,
+  runReconciliationNow,
+  getVendorBalances,
+  createVendorPayout,
+  getPendingManualPayments,
+  confirmManualPayment,
+  rejectManualPayment,
+  getTransferReceipt,
 } = require("../../controllers/admin/payment");
-const { checkRole } = require("../../middleware/authMiddleware");
-
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole("ADMIN"));
+const {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+  previewCommission,
+} = require("../../controllers/admin/commission");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
 // Payment Insights for Admin Dashboard
-router.get("/insights", getPaymentInsights);
+router.get("/insights", requirePermission("payments:read"), getPaymentInsights);
 
 // Payment Report with filters
-router.get("/report", getPaymentReport);
+router.get("/report", requirePermission("payments:read"), getPaymentReport);
+
+// Refund requests
+router.get("/refunds", requirePermission("payments:read"), getRefunds);
+router.post(
+  "/refunds/:refundId/approve",
+  requirePermission("payments:manage"),
+  approveRefundRequest
+);
+router.post(
+  "/refunds/:refundId/reject",
+  requirePermission("payments:manage"),
+  rejectRefundRequest
+);
+
+// Webhook deliveries
+router.get("/webhooks", requirePermission("payments:read"), getWebhookEvents);
+router.post(
+  "/webhooks/:eventId/replay",
+  requirePermission("payments:manage"),
+  replayWebhookEvent
+);
+
+// Reconciliation of stale PENDING payments
+router.get(
+  "/reconciliation",
+  requirePermission("payments:read"),
+  getReconciliationReport
+);
+router.post(
+  "/reconciliation/run",
+  requirePermission("payments:manage"),
+  runReconciliationNow
+);
+
+// Amounts owed to vendors and payouts against them
+router.get(
+  "/vendor-balances",
+  requirePermission("payments:read"),
+  getVendorBalances
+);
+router.post(
+  "/vendor-balances/:vendorId/payouts",
+  requirePermission("payouts:manage"),
+  createVendorPayout
+);
+
+// Commission rules
+router.get(
+  "/commission",
+  requirePermission("commission:read"),
+  getCommissionRules
+);
+router.post(
+  "/commission",
+  requirePermission("commission:manage"),
+  createCommissionRule
+);
+router.get(
+  "/commission/preview",
+  requirePermission("commission:read"),
+  previewCommission
+);
+router.patch(
+  "/commission/:ruleId",
+  requirePermission("commission:manage"),
+  updateCommissionRule
+);
+router.delete(
+  "/commission/:ruleId",
+  requirePermission("commission:manage"),
+  deactivateCommissionRule
+);
+
+// Bank transfers and manual payments waiting for confirmation
+router.get(
+  "/manual",
+  requirePermission("payments:read"),
+  getPendingManualPayments
+);
+router.get(
+  "/:paymentId/transfer-receipt",
+  requirePermission("payments:read"),
+  getTransferReceipt
+);
+router.post(
+  "/:paymentId/confirm",
+  requirePermission("payments:manage"),
+  confirmManualPayment
+);
+router.post(
+  "/:paymentId/reject",
+  requirePermission("payments:manage"),
+  rejectManualPayment
+);
+
+// Open a refund request for a payment
+router.post(
+  "/:paymentId/refunds",
+  requirePermission("payments:manage"),
+  createRefund
+);
 
 // Get payments in frontend format
-router.get("/", getPayments);
+router.get("/", requirePermission("payments:read"), getPayments);
 
 module.exports = router;
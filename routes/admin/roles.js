@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  getStaff,
+  assignStaffRole,
+} = require("../../controllers/admin/roles");
+const { requirePermission } = require("../../middleware/authMiddleware");
+
+// Every route here requires the "roles:manage" permission
+router.use(requirePermission("roles:manage"));
+
+// Permission registry
+router.get("/permissions", getPermissions);
+
+// Staff members and their roles
+router.get("/staff", getStaff);
+
+// Give a staff member a different role
+router.patch("/staff/:userId", assignStaffRole);
+
+// Built-in roles and custom staff roles
+router.get("/", getRoles);
+
+// Create a staff role (e.g. finance, support)
+router.post("/", createStaffRole);
+
+// Update a staff role's name, description or permissions
+router.patch("/:roleId", updateStaffRole);
+
+// Delete a staff role nobody has
+router.delete("/:roleId", deleteStaffRole);
+
+module.exports = router;
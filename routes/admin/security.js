@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  resetUserTwoFactor,
+  getFailedLogins,
+  getLockedAccounts,
+  unlockUserAccount,
+} = require("../../controllers/admin/security");
+const { requirePermission } = require("../../middleware/authMiddleware");
+
+// Every route here requires the "security:manage" permission
+router.use(requirePermission("security:manage"));
+
+// Two-factor policy and enrollment counts per role
+router.get("/two-factor", getTwoFactorSettings);
+
+// Make two-factor mandatory for roles ({ requiredRoles: ["ADMIN", "VENDOR"] })
+router.patch("/two-factor", updateTwoFactorSettings);
+
+// Reset a user's two-factor so they can enroll again
+router.post("/two-factor/users/:userId/reset", resetUserTwoFactor);
+
+// Failed and refused sign-ins
+// (?email=&ipAddress=&userId=&reason=&from=&to=&page=&limit=)
+router.get("/failed-logins", getFailedLogins);
+
+// Accounts locked after repeated failed sign-ins
+router.get("/locked-accounts", getLockedAccounts);
+
+// Lift a sign-in lock early
+router.post("/locked-accounts/:userId/unlock", unlockUserAccount);
+
+module.exports = router;
@@ -8,7 +8,7 @@ const {
   updateServiceCategory,
   deleteServiceCategory,
 } = require("../../controllers/admin/serviceCategories");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -27,8 +27,8 @@ const upload = multer({
   },
 });
 
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole("ADMIN"));
+// Every route here requires the "service-categories:manage" permission
+router.use(requirePermission("service-categories:manage"));
 
 // Get all service categories
 router.get("/", getServiceCategories);
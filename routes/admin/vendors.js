@@ -8,69 +8,81 @@ const {
   viewVendorListings,
   getVendorById,
 } = require("../../controllers/admin/vendors");
-const { checkRole } = require("../../middleware/authMiddleware");
-const { PrismaClient } = require("@prisma/client");
-
-const prisma = new PrismaClient();
-
-// Middleware to ensure only ADMIN can access these routes
-router.use(checkRole(["ADMIN", "EVENT_PLANNER"]));
+const { requirePermission } = require("../../middleware/authMiddleware");
+const { setAccountBlock } = require("../../utils/accountState");
+const prisma = require("../../prisma/client");
 
 // The order of routes is important - specific routes should come before generic ones
 // Approve Vendor
-router.post("/:id/approve", approveVendor);
+router.post(
+  "/:id/approve",
+  requirePermission("vendors:approve"),
+  approveVendor
+);
 
 // Suspend Vendor
-router.post("/:id/suspend", suspendVendor);
+router.post(
+  "/:id/suspend",
+  requirePermission("vendors:approve"),
+  suspendVendor
+);
 
 // Block Vendor
-router.patch("/:id/block", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { blocked } = req.body;
+router.patch(
+  "/:id/block",
+  requirePermission("vendors:block"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { blocked, reason, until } = req.body;
 
-    // Check if vendor exists
-    const vendor = await prisma.vendor.findUnique({
-      where: { id },
-      include: { user: true },
-    });
+      // Check if vendor exists
+      const vendor = await prisma.vendor.findUnique({
+        where: { id },
+        include: { user: true },
+      });
 
-    if (!vendor) {
-      res.status(404);
-      throw new Error("Vendor not found");
-    }
+      if (!vendor) {
+        res.status(404);
+        throw new Error("Vendor not found");
+      }
 
-    // Update the user's isBlocked field
-    const updatedUser = await prisma.user.update({
-      where: { id: vendor.userId },
-      data: { isBlocked: blocked },
-    });
+      // Block with an optional reason and end date, or lift the block
+      const updatedUser = await setAccountBlock(vendor.userId, {
+        blocked,
+        reason,
+        until,
+        blockedById: req.user.id,
+      });
 
-    res.status(200).json({
-      message: blocked
-        ? "Vendor blocked successfully"
-        : "Vendor unblocked successfully",
-      id,
-      isBlocked: updatedUser.isBlocked,
-    });
-  } catch (error) {
-    res.status(error.statusCode || 500).json({
-      message: error.message || "Something went wrong",
-      stack: process.env.NODE_ENV === "production" ? null : error.stack,
-    });
+      res.status(200).json({
+        message: blocked
+          ? "Vendor blocked successfully"
+          : "Vendor unblocked successfully",
+        id,
+        isBlocked: updatedUser.isBlocked,
+        blockedReason: updatedUser.blockedReason,
+        blockedUntil: updatedUser.blockedUntil,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        message: error.message || "Something went wrong",
+        stack: process.env.NODE_ENV === "production" ? null : error.stack,
+      });
+    }
   }
-});
+);
 
 // Get vendor by ID
-router.get("/:id", getVendorById);
+router.get("/:id", requirePermission("vendors:read"), getVendorById);
 
 // Edit Vendor
-router.patch("/:id", editVendor);
+router.patch("/:id", requirePermission("vendors:manage"), editVendor);
 
 // Delete vendor
-router.delete("/:id", deleteVendor);
+router.delete("/:id", requirePermission("vendors:manage"), deleteVendor);
 
 // View Vendor Listings (This should be the last route)
-router.get("/", viewVendorListings);
+router.get("/", requirePermission("vendors:read"), viewVendorListings);
 
 module.exports = router;
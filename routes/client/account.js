@@ -1,10 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { editAccount, getProfile } = require("../../controllers/client/account");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only CLIENT can access these routes
-router.use(checkRole("CLIENT"));
+// Every route here requires the "client:account" permission
+router.use(requirePermission("client:account"));
 
 router.get("/profile", getProfile); // Get user profile
 router.patch("/:id", editAccount); // Edit account details
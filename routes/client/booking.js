@@ -3,11 +3,16 @@ const router = express.Router();
 const {
   bookEvent,
   viewBookings,
+  cancelBooking,
+  rescheduleBooking,
+  viewBookingHistory,
+  viewPaymentSchedule,
+  viewQuote,
 } = require("../../controllers/client/bookings");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only CLIENT can access these routes
-router.use(checkRole(["CLIENT"]));
+// Every route here requires the "client:bookings" permission
+router.use(requirePermission("client:bookings"));
 
 // Book Event
 router.post("/", bookEvent);
@@ -15,4 +20,19 @@ router.post("/", bookEvent);
 // View Upcoming and Past Bookings
 router.get("/", viewBookings);
 
+// Get booking status history
+router.get("/:id/history", viewBookingHistory);
+
+// Get the server-calculated price of a booking
+router.get("/:id/quote", viewQuote);
+
+// Get deposit and installment plan
+router.get("/:id/payment-schedule", viewPaymentSchedule);
+
+// Cancel a booking
+router.patch("/:id/cancel", cancelBooking);
+
+// Reschedule a booking
+router.patch("/:id/reschedule", rescheduleBooking);
+
 module.exports = router;
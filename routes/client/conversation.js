@@ -3,16 +3,57 @@ const router = express.Router();
 const {
   startConversation,
   getConversations,
+  getMessages,
+  sendConversationMessage,
+  markConversationAsRead,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest,
 } = require("../../controllers/client/conversation");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
+const { messageRateLimit } = require("../../middleware/rateLimit");
+const { uploadAttachments } = require("../../middleware/upload");
 
-// Middleware to ensure only CLIENT can access these routes
-router.use(checkRole(["CLIENT"]));
+// Every route here requires the "client:conversations" permission. The
+// router is mounted at /api/client, so the check is limited to its own paths
+// to keep it off the other client routes (and the unauthenticated payment
+// webhooks).
+router.use(
+  ["/conversation", "/conversations"],
+  requirePermission("client:conversations")
+);
 
-// Start a new conversation with a vendor
+// Start a conversation with a vendor (returns the existing one if there is one)
 router.post("/conversation", startConversation);
 
-// Get all conversations for the client
+// Get all conversations for the client, with last messages and unread counts
 router.get("/conversations", getConversations);
 
+// Get a conversation's messages, newest first (?cursor=&limit=)
+router.get("/conversations/:conversationId/messages", getMessages);
+
+// Send a message in a conversation (multipart with up to 5 "attachments")
+router.post(
+  "/conversations/:conversationId/messages",
+  messageRateLimit,
+  uploadAttachments,
+  sendConversationMessage
+);
+
+// Mark a conversation's messages as read
+router.post("/conversations/:conversationId/read", markConversationAsRead);
+
+// Event planners asking to join the client's conversations (?status=PENDING)
+router.get("/conversations/join-requests", getJoinRequests);
+
+// Let a planner into the conversation, or turn them down
+router.post(
+  "/conversations/join-requests/:requestId/approve",
+  approveJoinRequest
+);
+router.post(
+  "/conversations/join-requests/:requestId/decline",
+  declineJoinRequest
+);
+
 module.exports = router;
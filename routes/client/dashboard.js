@@ -1,9 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const { getDashboardData } = require("../../controllers/client/dashboard");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
 // Get dashboard data
-router.get("/", checkRole(["CLIENT"]), getDashboardData);
+router.get("/", requirePermission("client:dashboard"), getDashboardData);
 
 module.exports = router;
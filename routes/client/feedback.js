@@ -1,10 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { giveFeedback } = require("../../controllers/client/feedback");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only CLIENT can access this route
-router.use(checkRole("CLIENT"));
+// Every route here requires the "client:feedback" permission
+router.use(requirePermission("client:feedback"));
 
 // Give Feedback and Rating
 router.post("/", giveFeedback);
@@ -1,17 +1,34 @@
 const express = require("express");
 const router = express.Router();
 const {
+  getPaymentProviders,
   initiatePayment,
+  recordManualPayment,
+  getTransferReceipt,
+  getPaymentReceipt,
   handleWebhook,
   verifyPayment,
   getPayments,
 } = require("../../controllers/client/payment");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
+const { imageUpload } = require("../../middleware/upload");
+const { paymentRateLimit } = require("../../middleware/rateLimit");
 
-router.post("/initiate", checkRole(["CLIENT"]), initiatePayment);
-router.post("/verify", checkRole(["CLIENT"]), verifyPayment);
-router.get("/", checkRole(["CLIENT"]), getPayments);
+router.get("/providers", requirePermission("client:payments"), getPaymentProviders);
+router.post("/initiate", requirePermission("client:payments"), paymentRateLimit, initiatePayment);
+router.post("/verify", requirePermission("client:payments"), verifyPayment);
+// Record a transfer paid directly to the vendor, with a receipt image
+router.post(
+  "/manual",
+  requirePermission("client:payments"),
+  imageUpload.single("receipt"),
+  recordManualPayment
+);
+router.get("/:paymentId/transfer-receipt", requirePermission("client:payments"), getTransferReceipt);
+router.get("/:paymentId/receipt", requirePermission("client:payments"), getPaymentReceipt); // Numbered PDF receipt
+router.get("/", requirePermission("client:payments"), getPayments);
 
 router.post("/webhook", handleWebhook); // Important: No auth middleware here
+router.post("/webhook/:provider", handleWebhook); // Webhooks for a named provider
 
 module.exports = router;
@@ -3,11 +3,19 @@ const router = express.Router();
 const {
   browseServices,
   getServiceById,
+  getServiceAvailability,
+  getServiceCancellationPolicy,
 } = require("../../controllers/client/services");
 
 // Browse all services (public)
 router.get("/", browseServices);
 
+// Get free dates for a service in a month (public)
+router.get("/:id/availability", getServiceAvailability);
+
+// Get the cancellation policy for a service (public)
+router.get("/:id/cancellation-policy", getServiceCancellationPolicy);
+
 // Get service by ID (public)
 router.get("/:id", getServiceById);
 
@@ -4,10 +4,10 @@ const {
   editAccount,
   getProfile,
 } = require("../../controllers/eventplanner/account");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only EVENT_PLANNER can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:account" permission
+router.use(requirePermission("planner:account"));
 
 router.get("/profile", getProfile); // Get event planner profile
 router.patch("/:id", editAccount); // Edit account details
@@ -6,10 +6,10 @@ const {
   toggleClientBlock,
   reportClient,
 } = require("../../controllers/eventplanner/clients");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only EVENT_PLANNER can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:clients" permission
+router.use(requirePermission("planner:clients"));
 
 // Basic client routes
 router.get("/", getClients);
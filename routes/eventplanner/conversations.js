@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getConversations,
+  createGroupConversation,
+  createJoinRequest,
+  getJoinRequests,
+  getMessages,
+  sendConversationMessage,
+  markConversationAsRead,
+} = require("../../controllers/eventplanner/conversations");
+const { requirePermission } = require("../../middleware/authMiddleware");
+const { messageRateLimit } = require("../../middleware/rateLimit");
+const { uploadAttachments } = require("../../middleware/upload");
+
+// Every route here requires the "planner:conversations" permission
+router.use(requirePermission("planner:conversations"));
+
+// Conversations the planner takes part in
+router.get("/", getConversations);
+router.post("/", createGroupConversation);
+
+// Joining a client's conversation with a vendor (the client must approve)
+router.get("/join-requests", getJoinRequests);
+router.post("/join-requests", createJoinRequest);
+
+// Messages (sending is multipart with up to 5 "attachments")
+router.get("/:conversationId/messages", getMessages);
+router.post(
+  "/:conversationId/messages",
+  messageRateLimit,
+  uploadAttachments,
+  sendConversationMessage
+);
+router.post("/:conversationId/read", markConversationAsRead);
+
+module.exports = router;
@@ -3,10 +3,10 @@ const router = express.Router();
 const {
   getDashboardStats,
 } = require("../../controllers/eventplanner/dashboard");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only CLIENT can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:dashboard" permission
+router.use(requirePermission("planner:dashboard"));
 router.get("/", getDashboardStats);
 
 module.exports = router;
@@ -4,10 +4,10 @@ const {
   getFeedback,
   getFeedbackStats,
 } = require("../../controllers/eventplanner/feedback");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only EVENT_PLANNER can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:feedback" permission
+router.use(requirePermission("planner:feedback"));
 
 router.get("/", getFeedback);
 router.get("/stats", getFeedbackStats);
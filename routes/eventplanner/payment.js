@@ -4,10 +4,10 @@ const {
   getPayments,
   getPaymentStats,
 } = require("../../controllers/eventplanner/payment");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only EVENT_PLANNER can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:payments" permission
+router.use(requirePermission("planner:payments"));
 
 router.get("/", getPayments);
 router.get("/stats", getPaymentStats);
@@ -8,10 +8,10 @@ const {
   reportVendor,
   updateVendor,
 } = require("../../controllers/eventplanner/vendors");
-const { checkRole } = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/authMiddleware");
 
-// Middleware to ensure only EVENT_PLANNER can access these routes
-router.use(checkRole("EVENT_PLANNER"));
+// Every route here requires the "planner:vendors" permission
+router.use(requirePermission("planner:vendors"));
 
 // Basic vendor routes
 router.get("/", getVendors);
@@ -1,9 +1,64 @@
 const express = require("express");
-const { register, login } = require("../../controllers/shared/authController"); // Ensure this is the correct path
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  sendTwoFactorEmailCode,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  getInvitation,
+  acceptInvitation,
+} = require("../../controllers/shared/authController"); // Ensure this is the correct path
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorBackupCodes,
+  disableTwoFactor,
+} = require("../../controllers/shared/twoFactorController");
+const { authenticate } = require("../../middleware/authMiddleware");
+const {
+  loginRateLimit,
+  twoFactorRateLimit,
+  registerRateLimit,
+} = require("../../middleware/rateLimit");
 const router = express.Router();
 // Register and login routes
 
-router.post("/register", register);
-router.post("/login", login);
+router.post("/register", registerRateLimit, register);
+router.post("/login", loginRateLimit, login);
+
+// Password reset and email verification
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerification);
+
+// Invitations to admin and event planner accounts
+router.get("/invitations/:token", getInvitation);
+router.post("/accept-invitation", acceptInvitation);
+
+// Sessions: refresh the access token, log out, and manage signed-in devices
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.get("/sessions", authenticate, getSessions);
+router.delete("/sessions/:sessionId", authenticate, deleteSession);
+
+// Two-factor login: answer the challenge from /login, or have a code emailed
+router.post("/2fa/verify", twoFactorRateLimit, verifyTwoFactorLogin);
+router.post("/2fa/email-code", twoFactorRateLimit, sendTwoFactorEmailCode);
+
+// Two-factor enrollment for admin, staff and vendor accounts
+router.get("/2fa", authenticate, getTwoFactor);
+router.post("/2fa/setup", authenticate, setupTwoFactor);
+router.post("/2fa/enable", authenticate, enableTwoFactor);
+router.post("/2fa/backup-codes", authenticate, regenerateTwoFactorBackupCodes);
+router.post("/2fa/disable", authenticate, disableTwoFactor);
 
 module.exports = router;
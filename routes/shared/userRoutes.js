@@ -3,7 +3,13 @@ const router = express.Router();
 const {
   getProfile,
   updateUser,
+  getPermissions,
+  getPresence,
 } = require("../../controllers/shared/userController");
+const {
+  getAttachment,
+  getAttachmentThumbnail,
+} = require("../../controllers/shared/attachmentController");
 const { authenticate } = require("../../middleware/authMiddleware");
 
 // Apply auth middleware to all routes
@@ -12,6 +18,18 @@ router.use(authenticate);
 // Get user profile
 router.get("/profile", getProfile);
 
+// Get the signed-in user's permissions
+router.get("/permissions", getPermissions);
+
+// Get the online status of the user's conversation partners
+router.get("/presence", getPresence);
+
+// Download a message attachment (conversation participants only)
+router.get("/attachments/:attachmentId", getAttachment);
+
+// Get an image attachment's thumbnail (conversation participants only)
+router.get("/attachments/:attachmentId/thumbnail", getAttachmentThumbnail);
+
 // Update user profile
 router.patch("/update/:id", updateUser);
 
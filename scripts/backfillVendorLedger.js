@@ -0,0 +1,33 @@
+/**
+ * Post the ledger entries of payments and refunds completed before the
+ * vendor payout ledger existed. Run once after deploying the ledger with
+ * `npm run ledger:backfill`; entries already posted are skipped, so running
+ * it again does nothing.
+ */
+require("dotenv").config();
+const prisma = require("../prisma/client");
+const { syncVendorLedger } = require("../utils/ledger");
+
+const main = async () => {
+  const vendors = await prisma.payment.findMany({
+    where: {
+      vendorId: { not: null },
+      status: { in: ["COMPLETED", "REFUNDED"] },
+    },
+    select: { vendorId: true },
+    distinct: ["vendorId"],
+  });
+
+  for (const { vendorId } of vendors) {
+    await syncVendorLedger(vendorId);
+  }
+
+  console.log(`Vendor ledger backfilled for ${vendors.length} vendors`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Error backfilling the vendor ledger:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
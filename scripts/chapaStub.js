@@ -0,0 +1,117 @@
+/**
+ * Local Chapa stub for development and testing.
+ *
+ * Implements the Chapa endpoints the backend uses, keeping transactions in
+ * memory. Start it with `npm run chapa:stub` and set
+ * CHAPA_BASE_URL=http://localhost:5055/v1 for the backend.
+ *
+ * New transactions stay "pending" until their result is set:
+ *   POST /stub/transactions/:tx_ref  { "status": "success" | "failed" | "pending" }
+ * Transactions the stub never initialized are reported as not found (400),
+ * like Chapa does for abandoned checkouts.
+ */
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+
+const port = process.env.CHAPA_STUB_PORT || 5055;
+const app = express();
+app.use(express.json());
+
+const transactions = new Map();
+
+// Initialize a transaction
+app.post("/v1/transaction/initialize", (req, res) => {
+  const { tx_ref, amount, currency = "ETB", email } = req.body;
+
+  if (!tx_ref || !amount) {
+    return res
+      .status(400)
+      .json({ message: "tx_ref and amount are required", status: "failed" });
+  }
+
+  transactions.set(tx_ref, {
+    tx_ref,
+    amount,
+    currency,
+    email,
+    status: "pending",
+    reference: `STUB-${uuidv4()}`,
+    created_at: new Date().toISOString(),
+  });
+
+  res.json({
+    message: "Hosted Link",
+    status: "success",
+    data: { checkout_url: `http://localhost:${port}/checkout/${tx_ref}` },
+  });
+});
+
+// Verify a transaction
+app.get("/v1/transaction/verify/:tx_ref", (req, res) => {
+  const transaction = transactions.get(req.params.tx_ref);
+
+  if (!transaction) {
+    return res.status(400).json({
+      message: "Invalid transaction or Transaction not found",
+      status: "failed",
+      data: null,
+    });
+  }
+
+  res.json({
+    message: "Payment details",
+    status: "success",
+    data: transaction,
+  });
+});
+
+// Create a subaccount
+app.post("/v1/subaccount", (req, res) => {
+  res.json({
+    message: "Subaccount created successfully",
+    status: "success",
+    data: { subaccount_id: `stub-subaccount-${uuidv4()}` },
+  });
+});
+
+// Refund a transaction
+app.post("/v1/refund/:tx_ref", (req, res) => {
+  const transaction = transactions.get(req.params.tx_ref);
+
+  if (!transaction || transaction.status !== "success") {
+    return res
+      .status(400)
+      .json({ message: "Transaction cannot be refunded", status: "failed" });
+  }
+
+  res.json({
+    message: "Refund initiated",
+    status: "success",
+    data: { refund_id: `stub-refund-${uuidv4()}`, amount: req.body.amount },
+  });
+});
+
+// Set the result of a transaction (stub only)
+app.post("/stub/transactions/:tx_ref", (req, res) => {
+  const transaction = transactions.get(req.params.tx_ref);
+  const { status } = req.body;
+
+  if (!transaction) {
+    return res.status(404).json({ message: "Transaction not found" });
+  }
+  if (!["success", "failed", "pending"].includes(status)) {
+    return res
+      .status(400)
+      .json({ message: "Status must be success, failed or pending" });
+  }
+
+  transaction.status = status;
+  res.json({ message: "Transaction updated", data: transaction });
+});
+
+// List transactions (stub only)
+app.get("/stub/transactions", (_req, res) => {
+  res.json({ data: [...transactions.values()] });
+});
+
+app.listen(port, () => console.log(`Chapa stub listening on port ${port}`));
@@ -0,0 +1,302 @@
+const {
+  findParticipantConversation,
+  sendMessage,
+  markMessageRead,
+} = require("../utils/conversations");
+const {
+  userRoom,
+  socketConnected,
+  socketDisconnected,
+  getPartnerIds,
+} = require("../utils/presence");
+
+/**
+ * Real-time chat over Socket.IO
+ *
+ * Sockets are authenticated by authMiddlewareSocket before they get here.
+ * Every event is checked against Conversation.participants (see
+ * utils/conversations.js, shared with the REST API): users can only join,
+ * write to and read the conversations they take part in, including group
+ * conversations with an event planner.
+ *
+ * Events take an optional acknowledgement callback, answered with
+ * `{ ok: true, ... }` or `{ ok: false, error: { code, message } }`. Without
+ * a callback, errors are emitted to the socket as `chatError`
+ * (`{ event, code, message }`). Error codes:
+ * - INVALID_PAYLOAD - missing or malformed fields
+ * - NOT_FOUND - no such conversation or message
+ * - FORBIDDEN - the user is not a participant, or sent the message they
+ *   are marking as read
+ * - RATE_LIMITED - too many events of this kind (`retryAfter` in seconds)
+ * - SERVER_ERROR - anything unexpected
+ *
+ * Each socket may send a limited number of each event per window (see
+ * CHAT_RATE_LIMITS).
+ *
+ * The server also emits:
+ * - receiveMessage - a message in a joined conversation
+ * - typing / stopTyping (`{ conversationId, userId }`) - to the rest of a
+ *   joined conversation
+ * - presence (`{ userId, isOnline, lastSeenAt }`) - to conversation partners
+ *   when a user's first socket connects or their last one disconnects
+ *   (see utils/presence.js)
+ * - messagesRead (`{ conversationId, messageIds, readBy, readAt }`) - to
+ *   the sender when their messages are read, here or through the REST API
+ */
+
+// Events allowed per socket in each window
+const CHAT_RATE_LIMITS = {
+  joinConversation: { max: 20, windowMs: 10 * 1000 },
+  leaveConversation: { max: 20, windowMs: 10 * 1000 },
+  sendMessage: { max: 10, windowMs: 10 * 1000 },
+  markAsRead: { max: 60, windowMs: 10 * 1000 },
+  typing: { max: 30, windowMs: 10 * 1000 },
+  stopTyping: { max: 30, windowMs: 10 * 1000 },
+};
+
+// Error codes for the HTTP statuses of utils/conversations.js errors
+const CHAT_ERROR_CODES = {
+  400: "INVALID_PAYLOAD",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+};
+
+// Create an error carrying the status its code is looked up by
+const chatError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Take one event from the socket's allowance; returns the seconds to wait
+// if it is used up, or 0
+const takeAllowance = (counters, event, limits) => {
+  const limit = limits[event];
+  if (!limit) return 0;
+
+  const now = Date.now();
+  let counter = counters.get(event);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + limit.windowMs };
+    counters.set(event, counter);
+  }
+  counter.count += 1;
+
+  return counter.count > limit.max
+    ? Math.ceil((counter.resetAt - now) / 1000)
+    : 0;
+};
+
+// Conversation IDs may be sent alone or as { conversationId }
+const readConversationId = (payload) => {
+  const conversationId =
+    typeof payload === "string" ? payload : payload?.conversationId;
+  if (typeof conversationId !== "string" || !conversationId) {
+    throw chatError("conversationId is required", 400);
+  }
+  return conversationId;
+};
+
+/**
+ * Tell the senders of messages that they were read
+ * @param {Object} io - Socket.IO server
+ * @param {Object} receipt
+ * @param {string} receipt.conversationId - Conversation ID
+ * @param {string} receipt.readBy - User who read the messages
+ * @param {Date} receipt.readAt - When they were read
+ * @param {Object[]} receipt.messages - The messages' `id` and `fromUserId`
+ */
+const emitReadReceipts = (io, { conversationId, readBy, readAt, messages }) => {
+  const bySender = new Map();
+  for (const { id, fromUserId } of messages) {
+    if (!bySender.has(fromUserId)) bySender.set(fromUserId, []);
+    bySender.get(fromUserId).push(id);
+  }
+
+  for (const [senderId, messageIds] of bySender) {
+    io.to(userRoom(senderId)).emit("messagesRead", {
+      conversationId,
+      messageIds,
+      readBy,
+      readAt,
+    });
+  }
+};
+
+// Tell the user's conversation partners they came online or went offline
+const broadcastPresence = async (io, userId, presence) => {
+  if (!presence) return;
+
+  const partnerIds = await getPartnerIds(userId);
+  if (partnerIds.length > 0) {
+    io.to(partnerIds.map(userRoom)).emit("presence", presence);
+  }
+};
+
+/**
+ * Register the chat events for a connected socket
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Authenticated socket (`socket.user`)
+ * @param {Object} [options]
+ * @param {Object} [options.rateLimits] - Overrides CHAT_RATE_LIMITS
+ */
+const registerChatHandlers = (io, socket, { rateLimits } = {}) => {
+  const limits = { ...CHAT_RATE_LIMITS, ...rateLimits };
+  const counters = new Map();
+  const userId = socket.user.id;
+  // Conversations this socket has said it is typing in
+  const typingIn = new Set();
+
+  // Wrap a handler with the rate limit and the acknowledgement protocol
+  const on = (event, handler) => {
+    socket.on(event, async (...args) => {
+      const ack =
+        typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+      const reply = (response) => {
+        if (ack) {
+          ack(response);
+        } else if (!response.ok) {
+          socket.emit("chatError", { event, ...response.error });
+        }
+      };
+
+      const retryAfter = takeAllowance(counters, event, limits);
+      if (retryAfter) {
+        return reply({
+          ok: false,
+          error: {
+            code: "RATE_LIMITED",
+            message: `Too many ${event} events. Please slow down.`,
+            retryAfter,
+          },
+        });
+      }
+
+      try {
+        const result = await handler(args[0]);
+        reply({ ok: true, ...result });
+      } catch (error) {
+        if (CHAT_ERROR_CODES[error.statusCode]) {
+          return reply({
+            ok: false,
+            error: {
+              code: CHAT_ERROR_CODES[error.statusCode],
+              message: error.message,
+            },
+          });
+        }
+        console.error(`Error handling ${event}:`, error.message);
+        reply({
+          ok: false,
+          error: { code: "SERVER_ERROR", message: "Something went wrong" },
+        });
+      }
+    });
+  };
+
+  // Typing indicators only go to conversations the socket has joined,
+  // which already checked that the user takes part in them
+  const readJoinedConversationId = (payload) => {
+    const conversationId = readConversationId(payload);
+    if (!socket.rooms.has(conversationId)) {
+      throw chatError("Join the conversation first", 403);
+    }
+    return conversationId;
+  };
+
+  const stopTyping = (conversationId) => {
+    if (typingIn.delete(conversationId)) {
+      socket.to(conversationId).emit("stopTyping", { conversationId, userId });
+    }
+  };
+
+  // Every socket of the user joins their own room, for presence updates and
+  // read receipts
+  socket.join(userRoom(userId));
+
+  // Mark the user online (once, however many tabs they open)
+  socketConnected(userId, socket.id)
+    .then((presence) => broadcastPresence(io, userId, presence))
+    .catch((error) => console.error("Error updating presence:", error.message));
+
+  // Join a conversation room
+  on("joinConversation", async (payload) => {
+    const conversationId = readConversationId(payload);
+    await findParticipantConversation(conversationId, userId);
+
+    socket.join(conversationId);
+    console.log(`User ${userId} joined conversation ${conversationId}`);
+    return { conversationId };
+  });
+
+  // Leave a conversation room
+  on("leaveConversation", async (payload) => {
+    const conversationId = readConversationId(payload);
+    stopTyping(conversationId);
+    socket.leave(conversationId);
+    return { conversationId };
+  });
+
+  // Send a message to the conversation
+  on("sendMessage", async (payload) => {
+    const conversationId = readConversationId(payload);
+    const message = await sendMessage(conversationId, userId, {
+      content: payload.content,
+      toUserId: payload.toUserId,
+    });
+
+    // Emit the message to the conversation room
+    stopTyping(conversationId);
+    io.to(conversationId).emit("receiveMessage", message);
+    return { message };
+  });
+
+  // Mark a message (and those before it) as read and tell the senders
+  on("markAsRead", async (payload) => {
+    const { id, conversationId, readAt, messages } = await markMessageRead(
+      payload?.messageId,
+      userId
+    );
+
+    emitReadReceipts(io, { conversationId, readBy: userId, readAt, messages });
+    return { messageId: id };
+  });
+
+  // Tell the rest of a conversation the user is typing
+  on("typing", async (payload) => {
+    const conversationId = readJoinedConversationId(payload);
+    typingIn.add(conversationId);
+    socket.to(conversationId).emit("typing", { conversationId, userId });
+    return { conversationId };
+  });
+
+  // Tell the rest of a conversation the user stopped typing
+  on("stopTyping", async (payload) => {
+    const conversationId = readJoinedConversationId(payload);
+    stopTyping(conversationId);
+    return { conversationId };
+  });
+
+  // Clear typing indicators while the socket is still in its rooms
+  socket.on("disconnecting", () => {
+    typingIn.forEach(stopTyping);
+  });
+
+  // Handle disconnection
+  socket.on("disconnect", async () => {
+    try {
+      const presence = await socketDisconnected(userId, socket.id);
+      await broadcastPresence(io, userId, presence);
+      console.log(`User disconnected: ${userId}`);
+    } catch (error) {
+      console.error("Error handling disconnection:", error.message);
+    }
+  });
+};
+
+module.exports = {
+  CHAT_RATE_LIMITS,
+  emitReadReceipts,
+  registerChatHandlers,
+};
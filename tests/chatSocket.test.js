@@ -0,0 +1,611 @@
+/**
+ * Chat Socket Test
+ *
+ * Runs the chat handlers in sockets/chat.js (and the utils/conversations.js
+ * checks they share with the REST API) on a real Socket.IO server with an
+ * in-memory stand-in for the Prisma client, and checks that:
+ * 1. Only participants can join a conversation or send messages in it
+ * 2. Messages can only be sent to another participant
+ * 3. Anyone but the sender can mark a message as read, which moves their
+ *    own read mark only
+ * 4. Errors come back as structured acknowledgements (or chatError events)
+ * 5. Each socket is rate limited per event
+ * 6. Presence counts every tab, typing indicators stay in the conversation
+ *    and senders get read receipts
+ * 7. Revoking a user's sessions disconnects their sockets
+ *
+ * Usage:
+ * - npm test
+ * - or: node --test tests/chatSocket.test.js
+ */
+
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+
+// In-memory data the handlers read and write
+const db = {
+  conversations: [],
+  messages: [],
+  readStates: new Map(),
+  users: new Map(),
+};
+
+const readStateKey = ({ conversationId, userId }) =>
+  `${conversationId}:${userId}`;
+
+const fakePrisma = {
+  user: {
+    update: async ({ where, data }) => {
+      const user = { id: where.id, ...db.users.get(where.id), ...data };
+      db.users.set(where.id, user);
+      return user;
+    },
+  },
+  conversation: {
+    findUnique: async ({ where }) => {
+      const conversation = db.conversations.find(({ id }) => id === where.id);
+      return conversation
+        ? {
+            id: conversation.id,
+            isGroup: conversation.participants.length > 2,
+            participants: conversation.participants.map((id) => ({ id })),
+          }
+        : null;
+    },
+    findMany: async ({ where }) =>
+      db.conversations
+        .filter(({ participants }) =>
+          participants.includes(where.participants.some.id)
+        )
+        .map(({ participants }) => ({
+          participants: participants.map((id) => ({ id })),
+        })),
+    update: async ({ where }) =>
+      db.conversations.find(({ id }) => id === where.id),
+  },
+  message: {
+    create: async ({ data }) => {
+      const message = {
+        id: `message-${db.messages.length + 1}`,
+        ...data,
+        createdAt: new Date(),
+      };
+      db.messages.push(message);
+      return {
+        ...message,
+        fromUser: { id: data.fromUserId },
+        toUser: { id: data.toUserId },
+        attachments: [],
+      };
+    },
+    findUnique: async ({ where }) =>
+      db.messages.find(({ id }) => id === where.id) || null,
+    findMany: async ({ where }) =>
+      db.messages
+        .filter(
+          (message) =>
+            message.conversationId === where.conversationId &&
+            message.fromUserId !== where.fromUserId.not &&
+            !(message.createdAt <= where.createdAt.gt) &&
+            message.createdAt <= where.createdAt.lte
+        )
+        .map(({ id, fromUserId }) => ({ id, fromUserId })),
+  },
+  conversationReadState: {
+    findUnique: async ({ where }) =>
+      db.readStates.get(readStateKey(where.conversationId_userId)) || null,
+    upsert: async ({ where, create, update }) => {
+      const key = readStateKey(where.conversationId_userId);
+      const state = { ...(db.readStates.get(key) || create), ...update };
+      db.readStates.set(key, state);
+      return state;
+    },
+    updateMany: async ({ where, data }) => {
+      const state = db.readStates.get(readStateKey(where));
+      if (!state || state.lastReadAt >= where.lastReadAt.lt) {
+        return { count: 0 };
+      }
+      Object.assign(state, data);
+      return { count: 1 };
+    },
+  },
+};
+
+// Load the handlers with the stand-in in place of prisma/client.js
+const prismaPath = require.resolve('../prisma/client');
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: fakePrisma,
+};
+const { registerChatHandlers } = require('../sockets/chat');
+const { setSocketServer, disconnectUserSockets } = require('../utils/presence');
+
+const SEND_LIMIT = 3;
+
+describe('chat socket handlers', () => {
+  let httpServer;
+  let io;
+  let url;
+  let clients = [];
+
+  before(async () => {
+    httpServer = createServer();
+    io = new Server(httpServer);
+
+    // Stands in for authMiddlewareSocket
+    io.use((socket, next) => {
+      socket.user = { id: socket.handshake.auth.userId };
+      socket.sessionId = socket.handshake.auth.sessionId;
+      next();
+    });
+    io.on('connection', (socket) =>
+      registerChatHandlers(io, socket, {
+        rateLimits: { sendMessage: { max: SEND_LIMIT, windowMs: 60 * 1000 } },
+      })
+    );
+
+    setSocketServer(io);
+
+    await new Promise((resolve) => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}`;
+  });
+
+  after(() => {
+    io.close();
+  });
+
+  beforeEach(() => {
+    db.conversations = [
+      { id: 'conversation-1', participants: ['client-1', 'vendor-1'] },
+      { id: 'conversation-2', participants: ['client-2', 'vendor-1'] },
+      {
+        id: 'conversation-3',
+        participants: ['client-1', 'vendor-1', 'planner-1'],
+      },
+    ];
+    db.messages = [];
+    db.readStates.clear();
+  });
+
+  afterEach(() => {
+    clients.forEach((client) => client.disconnect());
+    clients = [];
+  });
+
+  const connect = (userId, sessionId) =>
+    new Promise((resolve, reject) => {
+      const client = connectClient(url, {
+        auth: { userId, sessionId },
+        forceNew: true,
+        transports: ['websocket'],
+      });
+      clients.push(client);
+      client.on('connect', () => resolve(client));
+      client.on('connect_error', reject);
+    });
+
+  const emit = (client, event, payload) =>
+    client.timeout(2000).emitWithAck(event, payload);
+
+  // Resolves with the event's payload, or null if it does not arrive
+  const waitFor = (client, event, ms = 300) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), ms);
+      client.once(event, (payload) => {
+        clearTimeout(timer);
+        resolve(payload);
+      });
+    });
+
+  describe('joinConversation', () => {
+    it('lets a participant join', async () => {
+      const client = await connect('client-1');
+
+      const response = await emit(client, 'joinConversation', {
+        conversationId: 'conversation-1',
+      });
+
+      assert.deepEqual(response, {
+        ok: true,
+        conversationId: 'conversation-1',
+      });
+    });
+
+    it('still accepts a bare conversation id', async () => {
+      const client = await connect('client-1');
+
+      const response = await emit(client, 'joinConversation', 'conversation-1');
+
+      assert.equal(response.ok, true);
+    });
+
+    it('refuses users who are not participants', async () => {
+      const client = await connect('client-2');
+
+      const response = await emit(client, 'joinConversation', 'conversation-1');
+
+      assert.equal(response.ok, false);
+      assert.equal(response.error.code, 'FORBIDDEN');
+    });
+
+    it('reports unknown conversations and missing ids', async () => {
+      const client = await connect('client-1');
+
+      const unknown = await emit(client, 'joinConversation', 'nope');
+      const missing = await emit(client, 'joinConversation', {});
+
+      assert.equal(unknown.error.code, 'NOT_FOUND');
+      assert.equal(missing.error.code, 'INVALID_PAYLOAD');
+    });
+
+    it('keeps refused users out of the room', async () => {
+      const vendor = await connect('vendor-1');
+      const outsider = await connect('client-2');
+      await emit(outsider, 'joinConversation', 'conversation-1');
+
+      const received = waitFor(outsider, 'receiveMessage');
+      await emit(vendor, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hello',
+      });
+
+      assert.equal(await received, null);
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('delivers to the room and infers the other participant', async () => {
+      const client = await connect('client-1');
+      const vendor = await connect('vendor-1');
+      await emit(vendor, 'joinConversation', 'conversation-1');
+
+      const received = waitFor(vendor, 'receiveMessage', 1000);
+      const response = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: '  Is June 14 available?  ',
+      });
+
+      assert.equal(response.ok, true);
+      assert.equal(response.message.toUserId, 'vendor-1');
+      assert.equal(response.message.content, 'Is June 14 available?');
+      assert.equal((await received).id, response.message.id);
+    });
+
+    it('refuses senders who are not participants', async () => {
+      const outsider = await connect('client-2');
+
+      const response = await emit(outsider, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hi',
+        toUserId: 'vendor-1',
+      });
+
+      assert.equal(response.error.code, 'FORBIDDEN');
+      assert.equal(db.messages.length, 0);
+    });
+
+    it('refuses recipients outside the conversation', async () => {
+      const client = await connect('client-1');
+
+      const response = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hi',
+        toUserId: 'client-2',
+      });
+
+      assert.equal(response.error.code, 'FORBIDDEN');
+      assert.equal(db.messages.length, 0);
+    });
+
+    it('sends to everyone in group conversations', async () => {
+      const client = await connect('client-1');
+      const planner = await connect('planner-1');
+      await emit(planner, 'joinConversation', 'conversation-3');
+
+      const received = waitFor(planner, 'receiveMessage', 1000);
+      const response = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-3',
+        content: 'Hi all',
+      });
+
+      assert.equal(response.ok, true);
+      assert.equal(response.message.toUserId, null);
+      assert.equal((await received).id, response.message.id);
+    });
+
+    it('validates the content', async () => {
+      const client = await connect('client-1');
+
+      const empty = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: '   ',
+      });
+      const tooLong = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'x'.repeat(500),
+      });
+
+      assert.equal(empty.error.code, 'INVALID_PAYLOAD');
+      assert.equal(tooLong.error.code, 'INVALID_PAYLOAD');
+    });
+
+    it('rate limits each socket', async () => {
+      const client = await connect('client-1');
+      const send = () =>
+        emit(client, 'sendMessage', {
+          conversationId: 'conversation-1',
+          content: 'Hello',
+        });
+
+      for (let i = 0; i < SEND_LIMIT; i += 1) {
+        assert.equal((await send()).ok, true);
+      }
+      const limited = await send();
+
+      assert.equal(limited.error.code, 'RATE_LIMITED');
+      assert.ok(limited.error.retryAfter > 0);
+      assert.equal(db.messages.length, SEND_LIMIT);
+
+      // Another socket has its own allowance
+      const otherTab = await connect('client-1');
+      const response = await emit(otherTab, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hello',
+      });
+      assert.equal(response.ok, true);
+    });
+
+    it('emits chatError when no acknowledgement is asked for', async () => {
+      const outsider = await connect('client-2');
+
+      const chatError = waitFor(outsider, 'chatError', 1000);
+      outsider.emit('sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hi',
+      });
+
+      assert.deepEqual(await chatError, {
+        event: 'sendMessage',
+        code: 'FORBIDDEN',
+        message: 'You are not a participant in this conversation',
+      });
+    });
+  });
+
+  describe('markAsRead', () => {
+    const sendFromClient = async () => {
+      const client = await connect('client-1');
+      const { message } = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-1',
+        content: 'Hello',
+      });
+      return message;
+    };
+
+    it('lets the recipient mark a message as read', async () => {
+      const message = await sendFromClient();
+      const vendor = await connect('vendor-1');
+
+      const response = await emit(vendor, 'markAsRead', {
+        messageId: message.id,
+      });
+
+      assert.deepEqual(response, { ok: true, messageId: message.id });
+      assert.deepEqual(
+        db.readStates.get('conversation-1:vendor-1').lastReadAt,
+        db.messages[0].createdAt
+      );
+    });
+
+    it('keeps read state per participant in groups', async () => {
+      const client = await connect('client-1');
+      const vendor = await connect('vendor-1');
+      const { message } = await emit(client, 'sendMessage', {
+        conversationId: 'conversation-3',
+        content: 'Hi all',
+      });
+
+      const receipt = waitFor(client, 'messagesRead', 1000);
+      const response = await emit(vendor, 'markAsRead', {
+        messageId: message.id,
+      });
+
+      assert.equal(response.ok, true);
+      assert.equal((await receipt).readBy, 'vendor-1');
+      assert.ok(db.readStates.has('conversation-3:vendor-1'));
+      assert.ok(!db.readStates.has('conversation-3:planner-1'));
+    });
+
+    it('refuses the sender and outsiders', async () => {
+      const message = await sendFromClient();
+      const sender = clients[0];
+      const outsider = await connect('client-2');
+
+      const bySender = await emit(sender, 'markAsRead', {
+        messageId: message.id,
+      });
+      const byOutsider = await emit(outsider, 'markAsRead', {
+        messageId: message.id,
+      });
+
+      assert.equal(bySender.error.code, 'FORBIDDEN');
+      assert.equal(byOutsider.error.code, 'FORBIDDEN');
+      assert.equal(db.readStates.size, 0);
+    });
+
+    it('sends a read receipt to the sender', async () => {
+      const message = await sendFromClient();
+      const sender = clients[0];
+      const vendor = await connect('vendor-1');
+
+      const receipt = waitFor(sender, 'messagesRead', 1000);
+      await emit(vendor, 'markAsRead', { messageId: message.id });
+
+      const { readAt, ...rest } = await receipt;
+      assert.deepEqual(rest, {
+        conversationId: 'conversation-1',
+        messageIds: [message.id],
+        readBy: 'vendor-1',
+      });
+      assert.ok(readAt);
+    });
+
+    it('reports unknown messages', async () => {
+      const vendor = await connect('vendor-1');
+
+      const response = await emit(vendor, 'markAsRead', { messageId: 'nope' });
+
+      assert.equal(response.error.code, 'NOT_FOUND');
+    });
+  });
+
+  describe('typing', () => {
+    it('reaches the rest of the conversation only', async () => {
+      const client = await connect('client-1');
+      const vendor = await connect('vendor-1');
+      const outsider = await connect('client-2');
+      await emit(client, 'joinConversation', 'conversation-1');
+      await emit(vendor, 'joinConversation', 'conversation-1');
+
+      const toVendor = waitFor(vendor, 'typing', 1000);
+      const toOutsider = waitFor(outsider, 'typing');
+      const toSelf = waitFor(client, 'typing');
+      const response = await emit(client, 'typing', 'conversation-1');
+
+      assert.equal(response.ok, true);
+      assert.deepEqual(await toVendor, {
+        conversationId: 'conversation-1',
+        userId: 'client-1',
+      });
+      assert.equal(await toOutsider, null);
+      assert.equal(await toSelf, null);
+    });
+
+    it('needs the conversation to be joined first', async () => {
+      const outsider = await connect('client-2');
+
+      const response = await emit(outsider, 'typing', 'conversation-1');
+
+      assert.equal(response.error.code, 'FORBIDDEN');
+    });
+
+    it('stops when the typist disconnects', async () => {
+      const client = await connect('client-1');
+      const vendor = await connect('vendor-1');
+      await emit(client, 'joinConversation', 'conversation-1');
+      await emit(vendor, 'joinConversation', 'conversation-1');
+      await emit(client, 'typing', 'conversation-1');
+
+      const stopped = waitFor(vendor, 'stopTyping', 1000);
+      client.disconnect();
+
+      assert.deepEqual(await stopped, {
+        conversationId: 'conversation-1',
+        userId: 'client-1',
+      });
+    });
+  });
+
+  describe('presence', () => {
+    // Resolves with the next presence update about the user
+    const waitForPresence = (client, userId, ms = 1000) =>
+      new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          client.off('presence', listener);
+          resolve(null);
+        }, ms);
+        const listener = (presence) => {
+          if (presence.userId !== userId) return;
+          clearTimeout(timer);
+          client.off('presence', listener);
+          resolve(presence);
+        };
+        client.on('presence', listener);
+      });
+
+    it('tells partners when a user comes online and goes offline', async () => {
+      const vendor = await connect('vendor-1');
+
+      const online = waitForPresence(vendor, 'client-2');
+      const client = await connect('client-2');
+      assert.equal((await online).isOnline, true);
+      assert.equal(db.users.get('client-2').isOnline, true);
+
+      const offline = waitForPresence(vendor, 'client-2');
+      client.disconnect();
+      const presence = await offline;
+      assert.equal(presence.isOnline, false);
+      assert.ok(presence.lastSeenAt);
+      assert.equal(db.users.get('client-2').isOnline, false);
+    });
+
+    it('keeps a user online until their last tab closes', async () => {
+      const vendor = await connect('vendor-1');
+      const firstTab = await connect('client-2');
+      const secondTab = await connect('client-2');
+
+      const update = waitForPresence(vendor, 'client-2', 300);
+      firstTab.disconnect();
+      assert.equal(await update, null);
+      assert.equal(db.users.get('client-2').isOnline, true);
+
+      const offline = waitForPresence(vendor, 'client-2');
+      secondTab.disconnect();
+      assert.equal((await offline).isOnline, false);
+    });
+
+    it('is not shown to users without a shared conversation', async () => {
+      const outsider = await connect('client-2');
+
+      const update = waitForPresence(outsider, 'planner-1', 300);
+      await connect('planner-1');
+
+      assert.equal(await update, null);
+    });
+  });
+
+  describe('disconnectUserSockets', () => {
+    it("closes every socket of the user's revoked sessions", async () => {
+      const firstTab = await connect('client-1', 'session-1');
+      const secondTab = await connect('client-1', 'session-2');
+      const vendor = await connect('vendor-1', 'session-3');
+
+      const closed = Promise.all([
+        waitFor(firstTab, 'disconnect'),
+        waitFor(secondTab, 'disconnect'),
+      ]);
+      assert.equal(await disconnectUserSockets('client-1'), 2);
+      assert.deepEqual(await closed, [
+        'io server disconnect',
+        'io server disconnect',
+      ]);
+      assert.equal(vendor.connected, true);
+    });
+
+    it('keeps the sockets of the session making the change', async () => {
+      const current = await connect('client-1', 'session-1');
+      const other = await connect('client-1', 'session-2');
+
+      const closed = waitFor(other, 'disconnect');
+      const count = await disconnectUserSockets('client-1', {
+        exceptSessionId: 'session-1',
+      });
+
+      assert.equal(count, 1);
+      assert.equal(await closed, 'io server disconnect');
+      assert.equal(current.connected, true);
+    });
+  });
+});
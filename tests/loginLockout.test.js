@@ -0,0 +1,192 @@
+/**
+ * Login Lockout Test
+ *
+ * Signs in through the real Express app (app.js) with an in-memory
+ * stand-in for the Prisma client and emails stubbed out, and checks that:
+ * 1. Repeated wrong passwords lock the account and send one warning email
+ * 2. A locked account is refused even with the right password
+ * 3. Resetting the password lifts the lock and clears the failure count
+ *
+ * Usage:
+ * - npm test
+ * - or: node --test tests/loginLockout.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const THRESHOLD = 3;
+process.env.LOGIN_LOCKOUT_THRESHOLD = String(THRESHOLD);
+
+// In-memory data sign-in and password reset read and write
+const db = {
+  users: [],
+  authTokens: [],
+  failedLogins: [],
+};
+
+// Names of the emails sent
+const sent = [];
+
+const findUser = (where) =>
+  db.users.find((user) => user.id === where.id || user.email === where.email);
+
+const fakePrisma = {
+  // Some controllers extend the client when they load
+  $extends: () => fakePrisma,
+  user: {
+    findUnique: async ({ where }) => {
+      const user = findUser(where);
+      return user ? { ...user } : null;
+    },
+    update: async ({ where, data }) => {
+      const user = findUser(where);
+      const { failedLoginCount, ...rest } = data;
+      if (failedLoginCount?.increment) {
+        user.failedLoginCount += failedLoginCount.increment;
+      } else if (failedLoginCount !== undefined) {
+        user.failedLoginCount = failedLoginCount;
+      }
+      Object.assign(user, rest);
+      return { ...user };
+    },
+  },
+  failedLoginAttempt: {
+    create: async ({ data }) => {
+      db.failedLogins.push(data);
+      return data;
+    },
+  },
+  authToken: {
+    findUnique: async ({ where }) => {
+      const token = db.authTokens.find(
+        ({ tokenHash }) => tokenHash === where.tokenHash
+      );
+      return token ? { ...token, user: findUser({ id: token.userId }) } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      const token = db.authTokens.find(
+        ({ id, usedAt }) => id === where.id && !usedAt
+      );
+      if (!token) return { count: 0 };
+      Object.assign(token, data);
+      return { count: 1 };
+    },
+  },
+  session: {
+    updateMany: async () => ({ count: 0 }),
+  },
+};
+
+// Load a module's stand-in in place of the real file
+const stubModule = (path, exports) => {
+  const resolved = require.resolve(path);
+  require.cache[resolved] = {
+    id: resolved,
+    filename: resolved,
+    loaded: true,
+    exports,
+  };
+};
+
+stubModule('../prisma/client', fakePrisma);
+stubModule(
+  '../utils/emailService',
+  new Proxy(
+    {},
+    {
+      get: (target, name) => async () => {
+        sent.push(name);
+      },
+    }
+  )
+);
+const { hashToken } = require('../utils/authTokens');
+const app = require('../app');
+
+describe('login lockout', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    db.users = [
+      {
+        id: 'user-1',
+        email: 'client@example.com',
+        password: await bcrypt.hash('old-password', 4),
+        failedLoginCount: 0,
+        lockedUntil: null,
+        emailVerifiedAt: new Date(),
+      },
+    ];
+    db.authTokens = [
+      {
+        id: 'token-1',
+        tokenHash: hashToken('reset-token'),
+        type: 'PASSWORD_RESET',
+        userId: 'user-1',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      },
+    ];
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://localhost:${server.address().port}/api/auth`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const login = (password) =>
+    post('/login', { email: 'client@example.com', password });
+
+  it('locks the account after repeated wrong passwords', async () => {
+    for (let attempt = 1; attempt < THRESHOLD; attempt++) {
+      const response = await login('wrong-password');
+      assert.equal(response.status, 400);
+    }
+
+    const locked = await login('wrong-password');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(db.users[0].failedLoginCount, THRESHOLD);
+    assert.ok(db.users[0].lockedUntil > new Date());
+    assert.deepEqual(sent, ['sendSuspiciousSignInEmail']);
+  });
+
+  it('refuses the right password while locked', async () => {
+    const response = await login('old-password');
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(db.failedLogins.at(-1).reason, 'ACCOUNT_LOCKED');
+  });
+
+  it('lifts the lock when the password is reset', async () => {
+    const reset = await post('/reset-password', {
+      token: 'reset-token',
+      password: 'new-password',
+    });
+    assert.equal(reset.status, 200);
+    assert.equal(db.users[0].failedLoginCount, 0);
+    assert.equal(db.users[0].lockedUntil, null);
+
+    // Wrong passwords count from zero again instead of hitting the lock
+    const response = await login('wrong-password');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid credentials.');
+    assert.equal(db.users[0].failedLoginCount, 1);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Payment Status Test
+ *
+ * Runs applyPaymentStatus (utils/paymentStatus.js) against an in-memory
+ * stand-in for the Prisma client, with emails and payment documents
+ * stubbed out, and checks that:
+ * 1. Completing a payment credits the vendor ledger, applies it to the
+ *    booking and confirms the booking
+ * 2. Statuses only move forward
+ * 3. Only the request that claims the transition runs its side effects
+ * 4. A payment completing after its installment was settled queues a
+ *    refund instead of crediting the vendor
+ *
+ * Usage:
+ * - npm test
+ * - or: node --test tests/paymentStatus.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory data the helpers read and write
+const db = {
+  payments: [],
+  installments: [],
+  bookings: [],
+  ledgerEntries: [],
+  refunds: [],
+};
+
+// Names of the emails and documents sent
+const sent = [];
+
+const findBooking = (id) => db.bookings.find((booking) => booking.id === id);
+
+const fakePrisma = {
+  $transaction: async (fn) => fn(fakePrisma),
+  payment: {
+    findUnique: async ({ where, include }) => {
+      const payment = db.payments.find(({ id }) => id === where.id);
+      if (!payment) return null;
+      if (!include) return { ...payment };
+      return {
+        ...payment,
+        booking: payment.bookingId
+          ? { ...findBooking(payment.bookingId), service: { vendor: {} } }
+          : null,
+      };
+    },
+    updateMany: async ({ where, data }) => {
+      const payment = db.payments.find(
+        ({ id, status }) => id === where.id && status === where.status
+      );
+      if (!payment) return { count: 0 };
+      Object.assign(payment, data);
+      return { count: 1 };
+    },
+  },
+  paymentInstallment: {
+    updateMany: async ({ where, data }) => {
+      const installment = db.installments.find(
+        ({ id, status }) => id === where.id && status === where.status
+      );
+      if (!installment) return { count: 0 };
+      Object.assign(installment, data);
+      return { count: 1 };
+    },
+  },
+  booking: {
+    findUnique: async ({ where }) => ({
+      ...findBooking(where.id),
+      paymentSchedule: null,
+    }),
+    update: async ({ where, data }) => {
+      const booking = findBooking(where.id);
+      const { amountPaid, events, ...rest } = data;
+      if (amountPaid) booking.amountPaid += amountPaid.increment;
+      if (events) booking.events.push(events.create);
+      Object.assign(booking, rest);
+      return { ...booking, paymentSchedule: null };
+    },
+  },
+  vendorLedgerEntry: {
+    createMany: async ({ data }) => {
+      db.ledgerEntries.push(...data);
+      return { count: data.length };
+    },
+  },
+  refund: {
+    create: async ({ data }) => {
+      db.refunds.push(data);
+      return data;
+    },
+  },
+};
+
+// Load a module's stand-in in place of the real file
+const stubModule = (path, exports) => {
+  const resolved = require.resolve(path);
+  require.cache[resolved] = {
+    id: resolved,
+    filename: resolved,
+    loaded: true,
+    exports,
+  };
+};
+
+const recordCall = (name) => async () => {
+  sent.push(name);
+  return null;
+};
+
+stubModule('../prisma/client', fakePrisma);
+stubModule('../utils/emailService', {
+  sendPaymentCompletionToVendor: recordCall('sendPaymentCompletionToVendor'),
+  sendPaymentReceiptToClient: recordCall('sendPaymentReceiptToClient'),
+  sendNewBookingToVendor: recordCall('sendNewBookingToVendor'),
+  sendManualPaymentRejectedToClient: recordCall(
+    'sendManualPaymentRejectedToClient'
+  ),
+});
+stubModule('../utils/paymentDocuments', {
+  issuePaymentDocuments: recordCall('issuePaymentDocuments'),
+  documentAttachment: recordCall('documentAttachment'),
+});
+const { applyPaymentStatus } = require('../utils/paymentStatus');
+
+const source = 'PAYMENT_VERIFY';
+
+describe('applyPaymentStatus', () => {
+  beforeEach(() => {
+    db.payments = [
+      {
+        id: 'payment-1',
+        bookingId: 'booking-1',
+        installmentId: 'installment-1',
+        openInstallmentId: 'installment-1',
+        vendorId: 'vendor-1',
+        method: 'CHAPA',
+        status: 'PENDING',
+        amount: 1000,
+        adminSplit: 100,
+        vendorSplit: 900,
+      },
+    ];
+    db.installments = [{ id: 'installment-1', status: 'PENDING' }];
+    db.bookings = [
+      {
+        id: 'booking-1',
+        status: 'PENDING',
+        totalAmount: 1000,
+        amountPaid: 0,
+        events: [],
+      },
+    ];
+    db.ledgerEntries = [];
+    db.refunds = [];
+    sent.length = 0;
+  });
+
+  it('completes a pending payment and confirms its booking', async () => {
+    const result = await applyPaymentStatus(db.payments[0], 'COMPLETED', {
+      source,
+    });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.bookingConfirmed, true);
+    assert.equal(result.payment.status, 'COMPLETED');
+    assert.equal(db.payments[0].openInstallmentId, null);
+    assert.equal(db.installments[0].status, 'PAID');
+
+    const booking = db.bookings[0];
+    assert.equal(booking.status, 'CONFIRMED');
+    assert.equal(booking.amountPaid, 1000);
+    assert.equal(booking.balanceDue, 0);
+    assert.equal(booking.events[0].toStatus, 'CONFIRMED');
+    assert.equal(booking.events[0].source, source);
+
+    assert.deepEqual(
+      db.ledgerEntries.map(({ type, amount }) => ({ type, amount })),
+      [
+        { type: 'PAYMENT_CREDIT', amount: 1000 },
+        { type: 'PLATFORM_FEE', amount: -100 },
+      ]
+    );
+    assert.ok(sent.includes('sendPaymentCompletionToVendor'));
+    assert.ok(sent.includes('sendNewBookingToVendor'));
+  });
+
+  it('fails a pending payment without side effects', async () => {
+    const result = await applyPaymentStatus(db.payments[0], 'FAILED', {
+      source,
+    });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.payment.status, 'FAILED');
+    assert.equal(db.payments[0].openInstallmentId, null);
+    assert.equal(db.installments[0].status, 'PENDING');
+    assert.equal(db.bookings[0].status, 'PENDING');
+    assert.equal(db.ledgerEntries.length, 0);
+    assert.deepEqual(sent, []);
+  });
+
+  it('never moves a completed payment back', async () => {
+    db.payments[0].status = 'COMPLETED';
+
+    const result = await applyPaymentStatus(db.payments[0], 'FAILED', {
+      source,
+    });
+
+    assert.equal(result.changed, false);
+    assert.equal(db.payments[0].status, 'COMPLETED');
+    assert.equal(db.ledgerEntries.length, 0);
+  });
+
+  it('leaves the side effects to whoever claimed the transition', async () => {
+    const stale = { ...db.payments[0] };
+    db.payments[0].status = 'COMPLETED';
+
+    const result = await applyPaymentStatus(stale, 'COMPLETED', { source });
+
+    assert.equal(result.changed, false);
+    assert.equal(result.payment.status, 'COMPLETED');
+    assert.equal(db.installments[0].status, 'PENDING');
+    assert.equal(db.bookings[0].amountPaid, 0);
+    assert.equal(db.ledgerEntries.length, 0);
+    assert.deepEqual(sent, []);
+  });
+
+  it('queues a refund when the installment was already settled', async () => {
+    db.installments[0].status = 'PAID';
+
+    const result = await applyPaymentStatus(db.payments[0], 'COMPLETED', {
+      source,
+    });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.bookingConfirmed, false);
+    assert.equal(result.payment.status, 'COMPLETED');
+    assert.equal(db.bookings[0].status, 'PENDING');
+    assert.equal(db.bookings[0].amountPaid, 0);
+    assert.equal(db.ledgerEntries.length, 0);
+    assert.deepEqual(db.refunds, [
+      {
+        paymentId: 'payment-1',
+        amount: 1000,
+        reason:
+          'The installment was already paid or cancelled when this payment completed',
+        adminSplitReversal: 100,
+        vendorSplitReversal: 900,
+      },
+    ]);
+    assert.deepEqual(sent, []);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Payment Webhook Test
+ *
+ * Posts webhook deliveries to the real Express app (app.js) with an
+ * in-memory stand-in for the Prisma client, and checks that:
+ * 1. The webhook URLs are reachable without a token
+ * 2. Deliveries with a missing or wrong signature are rejected
+ * 3. A signed delivery is stored and applied to its payment
+ * 4. A repeated delivery is counted but not applied again
+ *
+ * Usage:
+ * - npm test
+ * - or: node --test tests/paymentWebhook.test.js
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const SECRET = 'test-webhook-secret';
+process.env.CHAPA_WEBHOOK_SECRET = SECRET;
+
+// In-memory data the webhook reads and writes
+const db = {
+  payments: [],
+  webhookEvents: [],
+};
+
+const fakePrisma = {
+  // Some controllers extend the client when they load
+  $extends: () => fakePrisma,
+  $transaction: async (fn) => fn(fakePrisma),
+  payment: {
+    findFirst: async ({ where }) => {
+      const payment = db.payments.find(
+        ({ transactionId, method }) =>
+          transactionId === where.transactionId && method === where.method
+      );
+      return payment ? { ...payment } : null;
+    },
+    findUnique: async ({ where }) => {
+      const payment = db.payments.find(({ id }) => id === where.id);
+      return payment ? { ...payment } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      const payment = db.payments.find(
+        ({ id, status }) => id === where.id && status === where.status
+      );
+      if (!payment) return { count: 0 };
+      Object.assign(payment, data);
+      return { count: 1 };
+    },
+  },
+  webhookEvent: {
+    findUnique: async ({ where }) =>
+      db.webhookEvents.find(
+        (event) => event.id === where.id || event.eventKey === where.eventKey
+      ) || null,
+    create: async ({ data }) => {
+      const event = {
+        id: `event-${db.webhookEvents.length + 1}`,
+        status: 'RECEIVED',
+        deliveries: 1,
+        paymentId: null,
+        ...data,
+      };
+      db.webhookEvents.push(event);
+      return event;
+    },
+    update: async ({ where, data }) => {
+      const event = db.webhookEvents.find(
+        (e) => e.id === where.id || e.eventKey === where.eventKey
+      );
+      const { deliveries, ...rest } = data;
+      if (deliveries) event.deliveries += deliveries.increment;
+      Object.assign(event, rest);
+      return event;
+    },
+  },
+};
+
+// Load the app with the stand-in in place of prisma/client.js
+const prismaPath = require.resolve('../prisma/client');
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: fakePrisma,
+};
+const app = require('../app');
+
+const sign = (body) =>
+  crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+describe('payment webhooks', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://localhost:${server.address().port}/api/client/payment`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    db.payments = [
+      {
+        id: 'payment-1',
+        transactionId: 'tx-1',
+        method: 'CHAPA',
+        status: 'PENDING',
+        amount: 1000,
+      },
+    ];
+    db.webhookEvents = [];
+  });
+
+  const deliver = async (path, payload, signature) => {
+    const body = JSON.stringify(payload);
+    const response = await fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Chapa-Signature': signature === undefined ? sign(body) : signature,
+      },
+      body,
+    });
+    return { status: response.status, text: await response.text() };
+  };
+
+  it('rejects deliveries without a valid signature', async () => {
+    const unsigned = await deliver(
+      '/webhook',
+      { tx_ref: 'tx-1', status: 'failed' },
+      ''
+    );
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.text, 'Invalid webhook signature');
+
+    const forged = await deliver(
+      '/webhook',
+      { tx_ref: 'tx-1', status: 'failed' },
+      sign('something else')
+    );
+    assert.equal(forged.status, 401);
+    assert.equal(db.webhookEvents.length, 0);
+    assert.equal(db.payments[0].status, 'PENDING');
+  });
+
+  it('applies a signed delivery to its payment', async () => {
+    const response = await deliver('/webhook', {
+      tx_ref: 'tx-1',
+      status: 'failed',
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.text, 'Webhook processed successfully');
+    assert.equal(db.payments[0].status, 'FAILED');
+    assert.equal(db.webhookEvents.length, 1);
+    assert.equal(db.webhookEvents[0].status, 'PROCESSED');
+    assert.equal(db.webhookEvents[0].paymentId, 'payment-1');
+  });
+
+  it('accepts deliveries on the provider URL', async () => {
+    const response = await deliver('/webhook/chapa', {
+      tx_ref: 'tx-1',
+      status: 'failed',
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(db.payments[0].status, 'FAILED');
+  });
+
+  it('answers 404 for an unknown provider', async () => {
+    const response = await deliver('/webhook/paypal', {
+      tx_ref: 'tx-1',
+      status: 'failed',
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('counts a repeated delivery without applying it again', async () => {
+    await deliver('/webhook', { tx_ref: 'tx-1', status: 'failed' });
+    db.payments[0].status = 'PENDING';
+
+    const response = await deliver('/webhook', {
+      tx_ref: 'tx-1',
+      status: 'failed',
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.text, 'Webhook already processed');
+    assert.equal(db.webhookEvents.length, 1);
+    assert.equal(db.webhookEvents[0].deliveries, 2);
+    assert.equal(db.payments[0].status, 'PENDING');
+  });
+
+  it('ignores deliveries for unknown payments', async () => {
+    const response = await deliver('/webhook', {
+      tx_ref: 'tx-unknown',
+      status: 'success',
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(db.webhookEvents[0].status, 'IGNORED');
+  });
+});
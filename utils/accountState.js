@@ -0,0 +1,286 @@
+const prisma = require("../prisma/client");
+const { revokeAllSessions } = require("./sessions");
+
+/**
+ * Account-state policy
+ *
+ * One place decides whether an account may sign in and use the API. Login,
+ * the REST auth middleware and the socket middleware all ask it.
+ * - Blocked users are refused everywhere. A block with `blockedUntil` is
+ *   temporary and is lifted the first time the account is checked after
+ *   that date.
+ * - SUSPENDED vendors are refused the same way, with `suspendedUntil` for
+ *   temporary suspensions.
+ * - Blocking or suspending revokes the account's sessions, which also
+ *   disconnects its open chat sockets.
+ * - Reported users are under review: they can sign in and read, but cannot
+ *   change anything or connect to chat until an admin clears the report.
+ *
+ * Refusals are 403s with a `code` (ACCOUNT_BLOCKED, ACCOUNT_SUSPENDED,
+ * ACCOUNT_UNDER_REVIEW), the `reason` and the `until` date, if any.
+ */
+
+// Create an error carrying the HTTP status the controller should respond with
+const accountError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ACCOUNT_SELECT = {
+  id: true,
+  role: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  isBlocked: true,
+  blockedReason: true,
+  blockedUntil: true,
+  isReported: true,
+  reportedReason: true,
+  vendorProfile: {
+    select: {
+      id: true,
+      status: true,
+      suspensionReason: true,
+      suspendedUntil: true,
+    },
+  },
+};
+
+const isPast = (date) => Boolean(date) && date <= new Date();
+
+/**
+ * Load the state of an account, lifting blocks and suspensions that have
+ * run out
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - User with state fields and vendorProfile
+ */
+const loadAccount = async (userId) => {
+  const account = await prisma.user.findUnique({
+    where: { id: userId },
+    select: ACCOUNT_SELECT,
+  });
+  if (!account) return null;
+
+  if (account.isBlocked && isPast(account.blockedUntil)) {
+    await prisma.user.updateMany({
+      where: { id: userId, isBlocked: true, blockedUntil: { lte: new Date() } },
+      data: {
+        isBlocked: false,
+        blockedReason: null,
+        blockedAt: null,
+        blockedUntil: null,
+        blockedById: null,
+      },
+    });
+    Object.assign(account, {
+      isBlocked: false,
+      blockedReason: null,
+      blockedUntil: null,
+    });
+  }
+
+  const vendor = account.vendorProfile;
+  if (vendor?.status === "SUSPENDED" && isPast(vendor.suspendedUntil)) {
+    await prisma.vendor.updateMany({
+      where: {
+        id: vendor.id,
+        status: "SUSPENDED",
+        suspendedUntil: { lte: new Date() },
+      },
+      data: {
+        status: "APPROVED",
+        suspensionReason: null,
+        suspendedAt: null,
+        suspendedUntil: null,
+      },
+    });
+    Object.assign(vendor, {
+      status: "APPROVED",
+      suspensionReason: null,
+      suspendedUntil: null,
+    });
+  }
+
+  return account;
+};
+
+// Readable date for refusal messages
+const formatUntil = (date) =>
+  date.toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+
+const refusal = (code, message, reason, until) => ({
+  status: 403,
+  body: {
+    message: until ? `${message} until ${formatUntil(until)}.` : `${message}.`,
+    code,
+    reason: reason || null,
+    until: until || null,
+  },
+});
+
+/**
+ * Check an account against the policy
+ * @param {Object} account - Result of loadAccount
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - Whether the request changes data
+ * @returns {Object|null} - { status, body } to refuse with, or null
+ */
+const getAccountRestriction = (account, { write = false } = {}) => {
+  if (account.isBlocked) {
+    return refusal(
+      "ACCOUNT_BLOCKED",
+      "Your account has been blocked",
+      account.blockedReason,
+      account.blockedUntil
+    );
+  }
+
+  const vendor = account.vendorProfile;
+  if (vendor?.status === "SUSPENDED") {
+    return refusal(
+      "ACCOUNT_SUSPENDED",
+      "Your vendor account has been suspended",
+      vendor.suspensionReason,
+      vendor.suspendedUntil
+    );
+  }
+
+  if (account.isReported && write) {
+    return refusal(
+      "ACCOUNT_UNDER_REVIEW",
+      "Your account has been reported and is under review. You can view your account but not make changes",
+      account.reportedReason,
+      null
+    );
+  }
+
+  return null;
+};
+
+// Parse an optional `until` date from a request body
+const parseUntil = (until) => {
+  if (until === undefined || until === null || until === "") return null;
+
+  const date = new Date(until);
+  if (Number.isNaN(date.getTime())) {
+    throw accountError("Invalid 'until' date", 400);
+  }
+  if (date <= new Date()) {
+    throw accountError("The 'until' date must be in the future", 400);
+  }
+  return date;
+};
+
+/**
+ * Block or unblock a user. Blocking signs them out everywhere.
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {boolean} options.blocked - Block (true) or unblock (false)
+ * @param {string} [options.reason] - Shown to the user when refused
+ * @param {Date|string} [options.until] - End of a temporary block
+ * @param {string} [options.blockedById] - User making the change
+ * @returns {Promise<Object>} - The updated user
+ */
+const setAccountBlock = async (
+  userId,
+  { blocked, reason, until, blockedById }
+) => {
+  const blockedUntil = blocked ? parseUntil(until) : null;
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: blocked
+      ? {
+          isBlocked: true,
+          blockedReason: reason || null,
+          blockedAt: new Date(),
+          blockedUntil,
+          blockedById: blockedById || null,
+        }
+      : {
+          isBlocked: false,
+          blockedReason: null,
+          blockedAt: null,
+          blockedUntil: null,
+          blockedById: null,
+        },
+  });
+
+  if (blocked) {
+    await revokeAllSessions(userId, "BLOCKED");
+  }
+
+  return user;
+};
+
+/**
+ * Suspend or reinstate a vendor. Suspending signs them out everywhere.
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} options
+ * @param {boolean} options.suspended - Suspend (true) or reinstate (false)
+ * @param {string} [options.reason] - Shown to the vendor when refused
+ * @param {Date|string} [options.until] - End of a temporary suspension
+ * @returns {Promise<Object>} - The updated vendor
+ */
+const setVendorSuspension = async (vendorId, { suspended, reason, until }) => {
+  const suspendedUntil = suspended ? parseUntil(until) : null;
+
+  const vendor = await prisma.vendor.update({
+    where: { id: vendorId },
+    data: suspended
+      ? {
+          status: "SUSPENDED",
+          suspensionReason: reason || null,
+          suspendedAt: new Date(),
+          suspendedUntil,
+        }
+      : {
+          status: "APPROVED",
+          suspensionReason: null,
+          suspendedAt: null,
+          suspendedUntil: null,
+        },
+  });
+
+  if (suspended) {
+    await revokeAllSessions(vendor.userId, "SUSPENDED");
+  }
+
+  return vendor;
+};
+
+/**
+ * Report a user, putting the account under review, or clear the report
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {boolean} options.reported - Report (true) or clear (false)
+ * @param {string} [options.reason] - Why the account was reported
+ * @param {string} [options.reportedById] - User making the report
+ * @returns {Promise<Object>} - The updated user
+ */
+const setAccountReport = (userId, { reported, reason, reportedById }) =>
+  prisma.user.update({
+    where: { id: userId },
+    data: reported
+      ? {
+          isReported: true,
+          reportedReason: reason || null,
+          reportedAt: new Date(),
+          reportedById: reportedById || null,
+        }
+      : {
+          isReported: false,
+          reportedReason: null,
+          reportedAt: null,
+          reportedById: null,
+        },
+  });
+
+module.exports = {
+  loadAccount,
+  getAccountRestriction,
+  setAccountBlock,
+  setVendorSuspension,
+  setAccountReport,
+};
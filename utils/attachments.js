@@ -0,0 +1,174 @@
+const sharp = require("sharp");
+const { v4: uuidv4 } = require("uuid");
+const {
+  savePrivateFile,
+  writePrivateFile,
+  deletePrivateFile,
+} = require("./privateFiles");
+
+/**
+ * Message attachments
+ *
+ * Photos and documents sent in conversations are kept in private storage
+ * (utils/privateFiles.js) rather than the public uploads folder, because
+ * only the conversation's participants may download them (see
+ * controllers/shared/attachmentController.js). Images get a JPEG thumbnail
+ * for previews.
+ */
+
+const MB = 1024 * 1024;
+
+// Accepted types and the largest file allowed for each
+const ATTACHMENT_TYPES = {
+  "image/jpeg": { image: true, maxSize: 10 * MB },
+  "image/png": { image: true, maxSize: 10 * MB },
+  "image/webp": { image: true, maxSize: 10 * MB },
+  "image/gif": { image: true, maxSize: 10 * MB },
+  "application/pdf": { image: false, maxSize: 20 * MB },
+  "application/msword": { image: false, maxSize: 20 * MB },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    image: false,
+    maxSize: 20 * MB,
+  },
+};
+
+const MAX_ATTACHMENT_SIZE = 20 * MB;
+const MAX_ATTACHMENTS = 5;
+const THUMBNAIL_SIZE = 320;
+
+// Create an error carrying the HTTP status the controller should respond with
+const attachmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Render a thumbnail and read the image's dimensions; fails on files that
+// are not really images
+const processImage = async (buffer) => {
+  const image = sharp(buffer).rotate();
+  const { width, height, orientation } = await image.metadata();
+  const thumbnail = await image
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = orientation >= 5;
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    thumbnail,
+  };
+};
+
+/**
+ * Delete the stored files of attachments that were not saved
+ * @param {Object[]} attachments - Records returned by storeAttachments
+ */
+const discardAttachments = (attachments) => {
+  for (const { storageKey, thumbnailKey } of attachments) {
+    deletePrivateFile(storageKey);
+    if (thumbnailKey) deletePrivateFile(thumbnailKey);
+  }
+};
+
+/**
+ * Check uploaded files and store them (with thumbnails for images)
+ * @param {Object[]} files - Multer files (memory storage)
+ * @returns {Promise<Object[]>} - MessageAttachment data to create
+ */
+const storeAttachments = async (files) => {
+  if (files.length > MAX_ATTACHMENTS) {
+    throw attachmentError(
+      `A message can have at most ${MAX_ATTACHMENTS} attachments`,
+      400
+    );
+  }
+
+  for (const file of files) {
+    const type = ATTACHMENT_TYPES[file.mimetype];
+    if (!type) {
+      throw attachmentError(
+        `${file.originalname} is not a supported file type`,
+        400
+      );
+    }
+    if (file.size > type.maxSize) {
+      throw attachmentError(
+        `${file.originalname} is larger than ${type.maxSize / MB}MB`,
+        413
+      );
+    }
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      const attachment = {
+        fileName: file.originalname.slice(0, 191),
+        mimeType: file.mimetype,
+        size: file.size,
+      };
+
+      let image;
+      if (ATTACHMENT_TYPES[file.mimetype].image) {
+        try {
+          image = await processImage(file.buffer);
+        } catch {
+          throw attachmentError(
+            `${file.originalname} is not a valid image`,
+            400
+          );
+        }
+        attachment.width = image.width;
+        attachment.height = image.height;
+      }
+
+      attachment.storageKey = savePrivateFile(file, "attachments");
+      stored.push(attachment);
+
+      if (image) {
+        attachment.thumbnailKey = writePrivateFile(
+          `attachments/thumbnails/${uuidv4()}.jpg`,
+          image.thumbnail
+        );
+      }
+    }
+  } catch (error) {
+    discardAttachments(stored);
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * What participants see of an attachment
+ * @param {Object} attachment - MessageAttachment
+ * @returns {Object} - Metadata with download and thumbnail URLs
+ */
+const presentAttachment = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  url: `/api/user/attachments/${attachment.id}`,
+  thumbnailUrl: attachment.thumbnailKey
+    ? `/api/user/attachments/${attachment.id}/thumbnail`
+    : null,
+});
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS,
+  storeAttachments,
+  discardAttachments,
+  presentAttachment,
+};
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const prisma = require("../prisma/client");
+const {
+  sendEmailVerification,
+  sendPasswordResetEmail,
+} = require("./emailService");
+
+/**
+ * Single-use auth tokens (email verification, password reset)
+ *
+ * The raw token is only ever sent by email; the database keeps its SHA-256
+ * hash. Issuing a new token of a type invalidates the user's earlier unused
+ * ones, and a token is marked used the moment it is consumed.
+ *
+ * Settings:
+ * - EMAIL_VERIFICATION_TOKEN_HOURS - verification link lifetime (default 24)
+ * - PASSWORD_RESET_TOKEN_MINUTES - reset link lifetime (default 60)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Minimum time between two emails of the same type to one user
+const RESEND_INTERVAL_MS = MINUTE_MS;
+
+const getTokenLifetime = (type) =>
+  type === "PASSWORD_RESET"
+    ? (parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60) * MINUTE_MS
+    : (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 10) || 24) *
+      60 *
+      MINUTE_MS;
+
+// Create an error carrying the HTTP status the controller should respond with
+const tokenError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Issue a token, invalidating the user's earlier unused tokens of the type
+ * @param {string} userId - User ID
+ * @param {string} type - EMAIL_VERIFICATION or PASSWORD_RESET
+ * @returns {Promise<string>} - Raw token to email
+ */
+const createAuthToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now },
+    }),
+    prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + getTokenLifetime(type)),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Use a token; it cannot be used again
+ * @param {string} token - Raw token from the email link
+ * @param {string} type - EMAIL_VERIFICATION or PASSWORD_RESET
+ * @returns {Promise<Object>} - The token record with its user
+ */
+const consumeAuthToken = async (token, type) => {
+  if (!token) {
+    throw tokenError("Token is required", 400);
+  }
+
+  const record = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true },
+  });
+
+  if (!record || record.type !== type || record.usedAt) {
+    throw tokenError("Invalid or already used token", 400);
+  }
+
+  if (record.expiresAt < new Date()) {
+    throw tokenError("Token has expired. Please request a new one", 400);
+  }
+
+  // Only one request can use the token
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw tokenError("Invalid or already used token", 400);
+  }
+
+  return record;
+};
+
+// Whether an email of this type was sent to the user too recently
+const recentlySent = async (userId, type) => {
+  const latest = await prisma.authToken.findFirst({
+    where: { userId, type },
+    orderBy: { createdAt: "desc" },
+  });
+  return Boolean(
+    latest && Date.now() - latest.createdAt.getTime() < RESEND_INTERVAL_MS
+  );
+};
+
+/**
+ * Email a verification link to a user
+ * @param {Object} user - User with `id`, `email`, `firstName`
+ * @param {Object} [options]
+ * @param {boolean} [options.throttle] - Skip if a link was sent within the last minute
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+const sendVerificationLink = async (user, { throttle = false } = {}) => {
+  if (throttle && (await recentlySent(user.id, "EMAIL_VERIFICATION"))) {
+    return false;
+  }
+
+  const token = await createAuthToken(user.id, "EMAIL_VERIFICATION");
+  await sendEmailVerification(user, token);
+  return true;
+};
+
+/**
+ * Email a password reset link to a user
+ * @param {Object} user - User with `id`, `email`, `firstName`
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+const sendPasswordResetLink = async (user) => {
+  if (await recentlySent(user.id, "PASSWORD_RESET")) {
+    return false;
+  }
+
+  const token = await createAuthToken(user.id, "PASSWORD_RESET");
+  await sendPasswordResetEmail(user, token);
+  return true;
+};
+
+module.exports = {
+  hashToken,
+  createAuthToken,
+  consumeAuthToken,
+  sendVerificationLink,
+  sendPasswordResetLink,
+};
@@ -0,0 +1,226 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Availability helpers for vendor calendars
+ *
+ * A day is available for a service when:
+ * - the vendor has not blocked it
+ * - the vendor has fewer bookings that day than `maxBookingsPerDay`
+ * - the service has fewer bookings that day than its `capacity` (if set)
+ *
+ * Days are bucketed in UTC so that the same calendar day is used no matter
+ * which timezone the client sent the event date in.
+ */
+
+// Create an error carrying the HTTP status the controller should respond with
+const availabilityError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Normalize a date to the start of its UTC day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the UTC day following the given date
+const nextDay = (date) => {
+  const day = startOfDay(date);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day;
+};
+
+// Format a date as YYYY-MM-DD
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Check whether a service can take another booking on a given day
+ * @param {Object} service - Service with `id`, `vendorId` and `capacity`
+ * @param {Date|string} eventDate - Requested event date
+ * @param {Object} [options]
+ * @param {string[]} [options.statuses] - Booking statuses that occupy a slot
+ * @param {string} [options.excludeBookingId] - Booking to leave out of the count
+ * @param {Object} [db] - Prisma client or transaction to read with
+ * @returns {Promise<Object>} - { available, reason, remaining }
+ */
+const checkServiceAvailability = async (
+  service,
+  eventDate,
+  { statuses = ["PENDING", "CONFIRMED"], excludeBookingId } = {},
+  db = prisma
+) => {
+  const dayStart = startOfDay(eventDate);
+  const dayEnd = nextDay(eventDate);
+
+  const vendor = await db.vendor.findUnique({
+    where: { id: service.vendorId },
+    select: { maxBookingsPerDay: true },
+  });
+
+  const blocked = await db.vendorBlockedDate.findUnique({
+    where: { vendorId_date: { vendorId: service.vendorId, date: dayStart } },
+  });
+
+  if (blocked) {
+    return {
+      available: false,
+      reason: "The vendor is not available on this date",
+      remaining: 0,
+    };
+  }
+
+  const bookingFilter = {
+    eventDate: { gte: dayStart, lt: dayEnd },
+    status: { in: statuses },
+  };
+  if (excludeBookingId) {
+    bookingFilter.id = { not: excludeBookingId };
+  }
+
+  const [vendorBookings, serviceBookings] = await Promise.all([
+    db.booking.count({
+      where: { ...bookingFilter, service: { vendorId: service.vendorId } },
+    }),
+    db.booking.count({
+      where: { ...bookingFilter, serviceId: service.id },
+    }),
+  ]);
+
+  const vendorRemaining = (vendor?.maxBookingsPerDay ?? 1) - vendorBookings;
+  if (vendorRemaining <= 0) {
+    return {
+      available: false,
+      reason: "The vendor is fully booked on this date",
+      remaining: 0,
+    };
+  }
+
+  if (service.capacity != null) {
+    const serviceRemaining = service.capacity - serviceBookings;
+    if (serviceRemaining <= 0) {
+      return {
+        available: false,
+        reason: "This service is fully booked on this date",
+        remaining: 0,
+      };
+    }
+    return {
+      available: true,
+      reason: null,
+      remaining: Math.min(vendorRemaining, serviceRemaining),
+    };
+  }
+
+  return { available: true, reason: null, remaining: vendorRemaining };
+};
+
+/**
+ * Check a day is still available from inside the transaction that books it.
+ * Call it first in the transaction: it locks the vendor's row until the
+ * transaction ends, so concurrent bookings for the vendor are checked and
+ * written one at a time.
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} service - Service with `id`, `vendorId` and `capacity`
+ * @param {Date|string} eventDate - Requested event date
+ * @param {Object} [options] - As for checkServiceAvailability
+ * @throws {Error} - 409 if the day is no longer available
+ */
+const holdServiceSlot = async (tx, service, eventDate, options) => {
+  await tx.$queryRaw`SELECT id FROM Vendor WHERE id = ${service.vendorId} FOR UPDATE`;
+
+  const availability = await checkServiceAvailability(
+    service,
+    eventDate,
+    options,
+    tx
+  );
+  if (!availability.available) {
+    throw availabilityError(availability.reason, 409);
+  }
+};
+
+/**
+ * Build the day-by-day availability of a service for one month
+ * @param {Object} service - Service with `id`, `vendorId` and `capacity`
+ * @param {number} year - Full year, e.g. 2025
+ * @param {number} month - Month number, 1-12
+ * @returns {Promise<Object[]>} - [{ date, available, remaining, blocked }]
+ */
+const getMonthlyAvailability = async (service, year, month) => {
+  const monthStart = new Date(Date.UTC(year, month - 1, 1));
+  const monthEnd = new Date(Date.UTC(year, month, 1));
+
+  const [vendor, blockedDates, bookings] = await Promise.all([
+    prisma.vendor.findUnique({
+      where: { id: service.vendorId },
+      select: { maxBookingsPerDay: true },
+    }),
+    prisma.vendorBlockedDate.findMany({
+      where: {
+        vendorId: service.vendorId,
+        date: { gte: monthStart, lt: monthEnd },
+      },
+      select: { date: true },
+    }),
+    prisma.booking.findMany({
+      where: {
+        service: { vendorId: service.vendorId },
+        eventDate: { gte: monthStart, lt: monthEnd },
+        status: { in: ["PENDING", "CONFIRMED"] },
+      },
+      select: { eventDate: true, serviceId: true },
+    }),
+  ]);
+
+  const blockedKeys = new Set(blockedDates.map((b) => toDateKey(b.date)));
+
+  // Count bookings per day for the vendor and for this service
+  const vendorCounts = {};
+  const serviceCounts = {};
+  bookings.forEach((booking) => {
+    const key = toDateKey(booking.eventDate);
+    vendorCounts[key] = (vendorCounts[key] || 0) + 1;
+    if (booking.serviceId === service.id) {
+      serviceCounts[key] = (serviceCounts[key] || 0) + 1;
+    }
+  });
+
+  const maxPerDay = vendor?.maxBookingsPerDay ?? 1;
+  const today = startOfDay(new Date());
+  const days = [];
+
+  for (
+    let day = new Date(monthStart);
+    day < monthEnd;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    const key = toDateKey(day);
+    const blocked = blockedKeys.has(key);
+
+    let remaining = maxPerDay - (vendorCounts[key] || 0);
+    if (service.capacity != null) {
+      remaining = Math.min(remaining, service.capacity - (serviceCounts[key] || 0));
+    }
+    remaining = Math.max(remaining, 0);
+
+    days.push({
+      date: key,
+      available: !blocked && remaining > 0 && day >= today,
+      remaining: blocked ? 0 : remaining,
+      blocked,
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  startOfDay,
+  toDateKey,
+  checkServiceAvailability,
+  holdServiceSlot,
+  getMonthlyAvailability,
+};
@@ -0,0 +1,65 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Booking history helpers
+ *
+ * Every booking status change is stored as a BookingEvent. Controllers
+ * write the event in the same query that changes the status, using
+ * `bookingEventData` as a nested `events: { create }`, so the status and
+ * its audit record can never get out of sync.
+ */
+
+/**
+ * Build the data for a BookingEvent
+ * @param {Object} options
+ * @param {string|null} options.fromStatus - Status before the change
+ * @param {string} options.toStatus - Status after the change
+ * @param {Object} [options.user] - Authenticated user ({ id, role }) making the change
+ * @param {string} options.source - CLIENT, VENDOR, ADMIN, PAYMENT_VERIFY, PAYMENT_WEBHOOK,
+ *   PAYMENT_RECONCILIATION or SYSTEM
+ * @param {string} [options.reason] - Why the status changed
+ * @returns {Object}
+ */
+const bookingEventData = ({ fromStatus, toStatus, user, source, reason }) => ({
+  fromStatus: fromStatus || null,
+  toStatus,
+  changedById: user?.id || null,
+  changedByRole: user?.role || null,
+  source,
+  reason: reason || null,
+});
+
+/**
+ * Get the history of a booking, oldest first
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object[]>}
+ */
+const getBookingHistory = async (bookingId) => {
+  const events = await prisma.bookingEvent.findMany({
+    where: { bookingId },
+    include: {
+      changedBy: {
+        select: { id: true, firstName: true, lastName: true, role: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return events.map((event) => ({
+    id: event.id,
+    fromStatus: event.fromStatus,
+    toStatus: event.toStatus,
+    source: event.source,
+    reason: event.reason,
+    changedBy: event.changedBy
+      ? {
+          id: event.changedBy.id,
+          name: `${event.changedBy.firstName} ${event.changedBy.lastName}`,
+          role: event.changedByRole || event.changedBy.role,
+        }
+      : null,
+    createdAt: event.createdAt,
+  }));
+};
+
+module.exports = { bookingEventData, getBookingHistory };
@@ -0,0 +1,125 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Cancellation policy helpers
+ *
+ * A policy is a list of tiers: "cancel at least `daysBefore` days before the
+ * event and get `refundPercentage` percent back". The tier with the highest
+ * `daysBefore` the cancellation still satisfies wins; cancelling later than
+ * every tier gets no refund.
+ */
+
+// Platform default: full refund 30+ days out, half refund 7-29 days out
+const DEFAULT_RULES = [
+  { daysBefore: 30, refundPercentage: 100 },
+  { daysBefore: 7, refundPercentage: 50 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create an error carrying the HTTP status the controller should respond with
+const policyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate and normalize policy tiers (sorted by `daysBefore`, descending)
+ * @param {Object[]} rules - [{ daysBefore, refundPercentage }]
+ * @returns {Object[]}
+ */
+const validateRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw policyError("Rules must be a non-empty array", 400);
+  }
+
+  const normalized = rules.map((rule) => {
+    const daysBefore = Number(rule?.daysBefore);
+    const refundPercentage = Number(rule?.refundPercentage);
+
+    if (!Number.isInteger(daysBefore) || daysBefore < 0) {
+      throw policyError("daysBefore must be a non-negative integer", 400);
+    }
+    if (isNaN(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+      throw policyError("refundPercentage must be between 0 and 100", 400);
+    }
+
+    return { daysBefore, refundPercentage };
+  });
+
+  const days = new Set(normalized.map((rule) => rule.daysBefore));
+  if (days.size !== normalized.length) {
+    throw policyError("Each tier must have a different daysBefore", 400);
+  }
+
+  return normalized.sort((a, b) => b.daysBefore - a.daysBefore);
+};
+
+// Parse stored rules, falling back to the default if they are unreadable
+const parseRules = (rules) => {
+  try {
+    return validateRules(JSON.parse(rules));
+  } catch (error) {
+    console.error("Invalid cancellation policy rules:", error.message);
+    return DEFAULT_RULES;
+  }
+};
+
+/**
+ * Resolve the policy that applies to a service
+ * @param {Object} service - Service with `id` and `vendorId`
+ * @returns {Promise<Object>} - { source: "SERVICE" | "VENDOR" | "DEFAULT", rules }
+ */
+const getCancellationPolicy = async (service) => {
+  const policies = await prisma.cancellationPolicy.findMany({
+    where: {
+      OR: [{ serviceId: service.id }, { vendorId: service.vendorId }],
+    },
+  });
+
+  const servicePolicy = policies.find((p) => p.serviceId === service.id);
+  if (servicePolicy) {
+    return { source: "SERVICE", rules: parseRules(servicePolicy.rules) };
+  }
+
+  const vendorPolicy = policies.find((p) => p.vendorId === service.vendorId);
+  if (vendorPolicy) {
+    return { source: "VENDOR", rules: parseRules(vendorPolicy.rules) };
+  }
+
+  return { source: "DEFAULT", rules: DEFAULT_RULES };
+};
+
+// Whole days left until the event (0 once the event day has arrived)
+const getDaysBeforeEvent = (eventDate, now = new Date()) =>
+  Math.max(
+    Math.floor((new Date(eventDate).getTime() - now.getTime()) / DAY_MS),
+    0
+  );
+
+/**
+ * Work out the refund percentage for cancelling now
+ * @param {Object[]} rules - Normalized policy tiers
+ * @param {Date|string} eventDate - Booking event date
+ * @param {Date} [now] - Cancellation time
+ * @returns {Object} - { daysBeforeEvent, refundPercentage }
+ */
+const getRefundPercentage = (rules, eventDate, now = new Date()) => {
+  const daysBeforeEvent = getDaysBeforeEvent(eventDate, now);
+
+  const tier = rules.find((rule) => daysBeforeEvent >= rule.daysBefore);
+
+  return {
+    daysBeforeEvent,
+    refundPercentage: tier ? tier.refundPercentage : 0,
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  validateRules,
+  getCancellationPolicy,
+  getDaysBeforeEvent,
+  getRefundPercentage,
+};
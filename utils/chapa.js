@@ -1,8 +1,10 @@
 const axios = require("axios");
 const prisma = require("../prisma/client");
+const { getGlobalPercentage } = require("./commission");
 
 const CHAPA_SECRET_KEY = process.env.CHAPA_SECRET_KEY;
-const CHAPA_BASE_URL = "https://api.chapa.co/v1"; // Test mode URL
+// Point CHAPA_BASE_URL at a local stub (scripts/chapaStub.js) for development
+const CHAPA_BASE_URL = process.env.CHAPA_BASE_URL || "https://api.chapa.co/v1";
 
 const chapa = axios.create({
   baseURL: CHAPA_BASE_URL,
@@ -27,7 +29,8 @@ const createAdminSubaccount = async () => {
         bank_code: "946", // Zemen Bank
         account_number: "1000307184478", // Test account for Zemen Bank
         split_type: "percentage",
-        split_value: "0.1", // 10% as decimal string (fixed)
+        // Default split; each payment sets its own shares from the commission rules
+        split_value: ((await getGlobalPercentage()) / 100).toString(),
       });
 
       await prisma.chapaSubaccount.create({
@@ -100,7 +103,8 @@ const createVendorSubaccount = async (vendorId) => {
       bank_code: CBE_BANK_CODE,
       account_number: accountNumber,
       split_type: "percentage",
-      split_value: "0.9", // 90% as decimal string
+      // Vendor share under the global commission (decimal string)
+      split_value: ((100 - (await getGlobalPercentage())) / 100).toString(),
     });
 
     console.log("Chapa subaccount created:", response.data);
@@ -128,4 +132,56 @@ const createVendorSubaccount = async (vendorId) => {
   }
 };
 
-module.exports = { chapa, createAdminSubaccount, createVendorSubaccount };
+// Refund a completed transaction (full or partial)
+const refundTransaction = async (txRef, { amount, reason, reference }) => {
+  try {
+    const response = await chapa.post(`/refund/${encodeURIComponent(txRef)}`, {
+      amount: amount.toString(),
+      reason: reason || "Booking cancelled",
+      reference,
+    });
+
+    const refund = response.data.data || {};
+    console.log(
+      "Chapa refund created:",
+      refund.refund_id || refund.id || reference
+    );
+    return refund;
+  } catch (error) {
+    console.error("Chapa refund error:", error.response?.data || error.message);
+
+    const chapaError =
+      error.response?.data?.message ||
+      (error.response?.data?.errors
+        ? Object.values(error.response.data.errors).join(", ")
+        : error.message);
+    throw new Error(`Chapa Error: ${chapaError}`);
+  }
+};
+
+// Look up a transaction. Chapa answers 4xx for transactions it never saw
+// completed (e.g. checkout abandoned), which is reported as NOT_FOUND.
+const verifyTransaction = async (txRef) => {
+  try {
+    const response = await chapa.get(
+      `/transaction/verify/${encodeURIComponent(txRef)}`
+    );
+    const { status, data } = response.data;
+
+    return { status: data?.status || status, data };
+  } catch (error) {
+    const httpStatus = error.response?.status;
+    if (httpStatus === 400 || httpStatus === 404) {
+      return { status: "NOT_FOUND", data: error.response.data };
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  chapa,
+  createAdminSubaccount,
+  createVendorSubaccount,
+  refundTransaction,
+  verifyTransaction,
+};
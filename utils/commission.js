@@ -0,0 +1,179 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Commission rules
+ *
+ * The platform keeps a percentage of every payment and the vendor gets the
+ * rest. Which percentage applies is decided by commission rules:
+ * - VENDOR rules beat CATEGORY rules, which beat GLOBAL rules
+ * - within a scope, a promotional rule (one with a start or end date) that
+ *   is currently running beats a permanent one
+ * - after that the most recently created rule wins
+ * If no rule matches, DEFAULT_PERCENTAGE is used.
+ */
+
+const DEFAULT_PERCENTAGE = 10;
+
+const SCOPE_PRIORITY = { VENDOR: 3, CATEGORY: 2, GLOBAL: 1 };
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Create an error carrying the HTTP status the controller should respond with
+const commissionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether a rule has a start or end date
+const isPromotional = (rule) => Boolean(rule.startsAt || rule.endsAt);
+
+// Rules that are active at a point in time
+const activeAt = (date) => ({
+  isActive: true,
+  AND: [
+    { OR: [{ startsAt: null }, { startsAt: { lte: date } }] },
+    { OR: [{ endsAt: null }, { endsAt: { gt: date } }] },
+  ],
+});
+
+/**
+ * Pick the commission rule for a vendor's service
+ * @param {Object} options
+ * @param {Object} options.vendor - Vendor with `id` and `categoryId`
+ * @param {Object} [options.service] - Service with `categoryId`
+ * @param {Date} [options.at] - Time of the payment
+ * @returns {Promise<Object>} - { rule, percentage }
+ */
+const resolveCommission = async ({ vendor, service, at = new Date() }) => {
+  const categoryIds = [service?.categoryId, vendor.categoryId].filter(Boolean);
+
+  const rules = await prisma.commissionRule.findMany({
+    where: {
+      ...activeAt(at),
+      OR: [
+        { scope: "GLOBAL" },
+        { scope: "VENDOR", vendorId: vendor.id },
+        ...(categoryIds.length
+          ? [{ scope: "CATEGORY", categoryId: { in: categoryIds } }]
+          : []),
+      ],
+    },
+  });
+
+  const rule = rules.sort(
+    (a, b) =>
+      SCOPE_PRIORITY[b.scope] - SCOPE_PRIORITY[a.scope] ||
+      // The service's own category beats the vendor's category
+      (b.categoryId === service?.categoryId) - (a.categoryId === service?.categoryId) ||
+      isPromotional(b) - isPromotional(a) ||
+      b.createdAt - a.createdAt
+  )[0];
+
+  return {
+    rule: rule || null,
+    percentage: rule ? rule.percentage : DEFAULT_PERCENTAGE,
+  };
+};
+
+/**
+ * Current global platform percentage (used for new Chapa subaccounts)
+ * @returns {Promise<number>}
+ */
+const getGlobalPercentage = async () => {
+  const rules = await prisma.commissionRule.findMany({
+    where: { scope: "GLOBAL", ...activeAt(new Date()) },
+  });
+
+  const rule = rules.sort(
+    (a, b) => isPromotional(b) - isPromotional(a) || b.createdAt - a.createdAt
+  )[0];
+
+  return rule ? rule.percentage : DEFAULT_PERCENTAGE;
+};
+
+/**
+ * Split an amount between the platform and the vendor
+ * @param {number} amount - Payment amount
+ * @param {number} percentage - Platform share (0-100)
+ * @returns {Object} - { adminSplit, vendorSplit }
+ */
+const splitAmount = (amount, percentage) => {
+  const adminSplit = roundAmount((amount * percentage) / 100);
+  return { adminSplit, vendorSplit: roundAmount(amount - adminSplit) };
+};
+
+/**
+ * Validate commission rule fields
+ * @param {Object} data - Rule fields from the request
+ * @param {Object} [existing] - Rule being updated
+ * @returns {Object} - Normalized data
+ */
+const validateRule = (data, existing) => {
+  const merged = { ...existing, ...data };
+  const rule = {};
+
+  if (data.name !== undefined || !existing) {
+    if (!merged.name || typeof merged.name !== "string") {
+      throw commissionError("Name is required", 400);
+    }
+    rule.name = merged.name;
+  }
+
+  if (!existing) {
+    if (!SCOPE_PRIORITY[merged.scope]) {
+      throw commissionError("Scope must be GLOBAL, CATEGORY or VENDOR", 400);
+    }
+    if (merged.scope === "CATEGORY" && !merged.categoryId) {
+      throw commissionError("categoryId is required for CATEGORY rules", 400);
+    }
+    if (merged.scope === "VENDOR" && !merged.vendorId) {
+      throw commissionError("vendorId is required for VENDOR rules", 400);
+    }
+    rule.scope = merged.scope;
+    rule.categoryId = merged.scope === "CATEGORY" ? merged.categoryId : null;
+    rule.vendorId = merged.scope === "VENDOR" ? merged.vendorId : null;
+  }
+
+  if (data.percentage !== undefined || !existing) {
+    const percentage = Number(merged.percentage);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      throw commissionError("Percentage must be between 0 and 100", 400);
+    }
+    rule.percentage = percentage;
+  }
+
+  for (const field of ["startsAt", "endsAt"]) {
+    if (data[field] !== undefined) {
+      const date = data[field] === null ? null : new Date(data[field]);
+      if (date && isNaN(date.getTime())) {
+        throw commissionError(`Invalid ${field} date`, 400);
+      }
+      rule[field] = date;
+    }
+  }
+
+  const startsAt = rule.startsAt !== undefined ? rule.startsAt : existing?.startsAt;
+  const endsAt = rule.endsAt !== undefined ? rule.endsAt : existing?.endsAt;
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    throw commissionError("startsAt must be before endsAt", 400);
+  }
+
+  if (data.isActive !== undefined) {
+    if (typeof data.isActive !== "boolean") {
+      throw commissionError("isActive must be a boolean", 400);
+    }
+    rule.isActive = data.isActive;
+  }
+
+  return rule;
+};
+
+module.exports = {
+  DEFAULT_PERCENTAGE,
+  resolveCommission,
+  getGlobalPercentage,
+  splitAmount,
+  validateRule,
+};
@@ -0,0 +1,232 @@
+const prisma = require("../prisma/client");
+const { publicUserSelect, participantSelect } = require("./conversations");
+
+/**
+ * Event planners joining conversations
+ *
+ * A planner can ask to join the conversation between a client and a vendor.
+ * They are only added once the client approves, which turns it into a group
+ * conversation; until then they cannot read it. Errors carry the HTTP status
+ * to respond with.
+ */
+
+const JOIN_REQUEST_STATUSES = ["PENDING", "APPROVED", "DECLINED"];
+
+const MAX_NOTE_LENGTH = 500;
+
+// What the planner sees: not the conversation itself until they are in it
+const plannerRequestInclude = {
+  client: { select: publicUserSelect },
+  conversation: { select: { id: true, isGroup: true, title: true } },
+};
+
+// What the client sees when deciding
+const clientRequestInclude = {
+  planner: { select: publicUserSelect },
+  conversation: {
+    select: {
+      id: true,
+      isGroup: true,
+      title: true,
+      participants: { select: publicUserSelect },
+    },
+  },
+};
+
+// Create an error carrying the HTTP status the controller should respond with
+const joinRequestError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const readStatus = (status) => {
+  if (status === undefined) return undefined;
+  if (!JOIN_REQUEST_STATUSES.includes(status)) {
+    throw joinRequestError(
+      `Status must be one of ${JOIN_REQUEST_STATUSES.join(", ")}`,
+      400
+    );
+  }
+  return status;
+};
+
+/**
+ * Ask a client to let a planner into their conversation with a vendor
+ * @param {string} plannerId - Signed-in event planner
+ * @param {Object} details
+ * @param {string} details.clientId - The client's user ID
+ * @param {string} details.vendorId - The vendor's user ID
+ * @param {string} [details.note] - Message to the client
+ * @returns {Promise<Object>} - The join request
+ */
+const requestToJoinConversation = async (
+  plannerId,
+  { clientId, vendorId, note }
+) => {
+  if (typeof clientId !== "string" || !clientId) {
+    throw joinRequestError("The client's user ID is required", 400);
+  }
+  if (typeof vendorId !== "string" || !vendorId) {
+    throw joinRequestError("The vendor's user ID is required", 400);
+  }
+  const text = typeof note === "string" ? note.trim() : "";
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw joinRequestError(
+      `The note can be at most ${MAX_NOTE_LENGTH} characters`,
+      400
+    );
+  }
+
+  const client = await prisma.user.findUnique({
+    where: { id: clientId },
+    select: { role: true },
+  });
+  if (client?.role !== "CLIENT") {
+    throw joinRequestError("client not found", 404);
+  }
+
+  const vendor = await prisma.user.findUnique({
+    where: { id: vendorId },
+    select: { role: true },
+  });
+  if (vendor?.role !== "VENDOR") {
+    throw joinRequestError("vendor not found", 404);
+  }
+
+  const conversation = await prisma.conversation.findFirst({
+    where: {
+      AND: [
+        { participants: { some: { id: clientId } } },
+        { participants: { some: { id: vendorId } } },
+        { participants: { none: { id: plannerId } } },
+      ],
+    },
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!conversation) {
+    throw joinRequestError(
+      "There is no conversation between this client and vendor to join",
+      404
+    );
+  }
+
+  const pending = await prisma.conversationJoinRequest.findFirst({
+    where: { conversationId: conversation.id, plannerId, status: "PENDING" },
+    select: { id: true },
+  });
+  if (pending) {
+    throw joinRequestError(
+      "You have already asked to join this conversation",
+      409
+    );
+  }
+
+  return prisma.conversationJoinRequest.create({
+    data: {
+      conversationId: conversation.id,
+      plannerId,
+      clientId,
+      note: text || null,
+    },
+    include: plannerRequestInclude,
+  });
+};
+
+/**
+ * A planner's join requests, newest first
+ * @param {string} plannerId - Signed-in event planner
+ * @param {string} [status] - Only requests with this status
+ * @returns {Promise<Object[]>}
+ */
+const listPlannerJoinRequests = async (plannerId, status) =>
+  prisma.conversationJoinRequest.findMany({
+    where: { plannerId, status: readStatus(status) },
+    include: plannerRequestInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+/**
+ * Join requests waiting for (or answered by) a client, newest first
+ * @param {string} clientId - Signed-in client
+ * @param {string} [status] - Only requests with this status
+ * @returns {Promise<Object[]>}
+ */
+const listClientJoinRequests = async (clientId, status) =>
+  prisma.conversationJoinRequest.findMany({
+    where: { clientId, status: readStatus(status) },
+    include: clientRequestInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+/**
+ * Approve or decline a join request; approving adds the planner to the
+ * conversation, with everything before it counted as read
+ * @param {string} requestId - Join request ID
+ * @param {string} clientId - Signed-in client, who must be the one asked
+ * @param {boolean} approve - Whether to let the planner in
+ * @returns {Promise<Object>} - { request, conversation } (conversation is
+ *   the updated conversation when approved, otherwise null)
+ */
+const respondToJoinRequest = async (requestId, clientId, approve) => {
+  const request = await prisma.conversationJoinRequest.findUnique({
+    where: { id: requestId },
+  });
+  if (!request || request.clientId !== clientId) {
+    throw joinRequestError("Join request not found", 404);
+  }
+  if (request.status !== "PENDING") {
+    throw joinRequestError("This request has already been answered", 409);
+  }
+
+  const now = new Date();
+  const conversation = await prisma.$transaction(async (tx) => {
+    // Only answer it once, even if two responses race
+    const { count } = await tx.conversationJoinRequest.updateMany({
+      where: { id: requestId, status: "PENDING" },
+      data: { status: approve ? "APPROVED" : "DECLINED", respondedAt: now },
+    });
+    if (count === 0) {
+      throw joinRequestError("This request has already been answered", 409);
+    }
+    if (!approve) return null;
+
+    await tx.conversationReadState.upsert({
+      where: {
+        conversationId_userId: {
+          conversationId: request.conversationId,
+          userId: request.plannerId,
+        },
+      },
+      create: {
+        conversationId: request.conversationId,
+        userId: request.plannerId,
+        lastReadAt: now,
+      },
+      update: { lastReadAt: now },
+    });
+    return tx.conversation.update({
+      where: { id: request.conversationId },
+      data: {
+        isGroup: true,
+        participants: { connect: { id: request.plannerId } },
+      },
+      include: { participants: { select: participantSelect } },
+    });
+  });
+
+  const updated = await prisma.conversationJoinRequest.findUnique({
+    where: { id: requestId },
+    include: clientRequestInclude,
+  });
+  return { request: updated, conversation };
+};
+
+module.exports = {
+  JOIN_REQUEST_STATUSES,
+  requestToJoinConversation,
+  listPlannerJoinRequests,
+  listClientJoinRequests,
+  respondToJoinRequest,
+};
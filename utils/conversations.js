@@ -0,0 +1,513 @@
+const prisma = require("../prisma/client");
+const {
+  storeAttachments,
+  discardAttachments,
+  presentAttachment,
+} = require("./attachments");
+
+/**
+ * Conversations and messages
+ *
+ * Shared by the client, vendor and event planner REST controllers and the
+ * chat socket (sockets/chat.js). Users can only read and write the
+ * conversations they take part in (Conversation.participants). Two-person
+ * conversations are between a client and a vendor; event planners open
+ * group conversations with a client and vendors, or join an existing one
+ * with the client's consent (utils/conversationJoinRequests.js).
+ *
+ * Read state is kept per participant (ConversationReadState.lastReadAt):
+ * messages from others created after it are unread. Errors carry the HTTP
+ * status to respond with.
+ */
+
+// Message.content is a VARCHAR(191)
+const MAX_MESSAGE_LENGTH = 191;
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Vendors a planner can add to a group conversation
+const MAX_GROUP_VENDORS = 10;
+
+// Public fields of conversation participants and message senders
+const publicUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+  role: true,
+};
+
+// Conversation participants also see each other's presence
+const participantSelect = {
+  ...publicUserSelect,
+  isOnline: true,
+  lastSeenAt: true,
+};
+
+const messageInclude = {
+  fromUser: { select: publicUserSelect },
+  toUser: { select: publicUserSelect },
+  attachments: { orderBy: { createdAt: "asc" } },
+};
+
+// Replace stored attachment records with what participants see of them
+const presentMessage = ({ attachments, ...message }) => ({
+  ...message,
+  attachments: attachments.map(presentAttachment),
+});
+
+// Create an error carrying the HTTP status the controller should respond with
+const conversationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Load a conversation the user takes part in
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} - Conversation with participant IDs
+ */
+const findParticipantConversation = async (conversationId, userId) => {
+  if (typeof conversationId !== "string" || !conversationId) {
+    throw conversationError("conversationId is required", 400);
+  }
+
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+    select: {
+      id: true,
+      isGroup: true,
+      participants: { select: { id: true } },
+    },
+  });
+
+  if (!conversation) {
+    throw conversationError("Conversation not found", 404);
+  }
+
+  if (!conversation.participants.some(({ id }) => id === userId)) {
+    throw conversationError(
+      "You are not a participant in this conversation",
+      403
+    );
+  }
+
+  return conversation;
+};
+
+/**
+ * Find the conversation between two users, or start one
+ * @param {string} userId - Signed-in user
+ * @param {string} otherUserId - The other user
+ * @param {string} otherRole - Role the other user must have
+ * @returns {Promise<Object>} - { conversation, created }
+ */
+const findOrStartConversation = async (userId, otherUserId, otherRole) => {
+  if (!otherUserId) {
+    throw conversationError(
+      `The ${otherRole.toLowerCase()}'s user ID is required`,
+      400
+    );
+  }
+
+  const otherUser = await prisma.user.findUnique({
+    where: { id: otherUserId },
+    select: { id: true, role: true },
+  });
+  if (!otherUser || otherUser.role !== otherRole) {
+    throw conversationError(`${otherRole.toLowerCase()} not found`, 404);
+  }
+
+  // Only the two of them, so group conversations are not reused
+  const existing = await prisma.conversation.findFirst({
+    where: {
+      isGroup: false,
+      AND: [
+        { participants: { some: { id: userId } } },
+        { participants: { some: { id: otherUserId } } },
+        { participants: { every: { id: { in: [userId, otherUserId] } } } },
+      ],
+    },
+    include: { participants: { select: participantSelect } },
+    orderBy: { createdAt: "asc" },
+  });
+  if (existing) {
+    return { conversation: existing, created: false };
+  }
+
+  const conversation = await prisma.conversation.create({
+    data: {
+      participants: {
+        connect: [{ id: userId }, { id: otherUserId }],
+      },
+    },
+    include: { participants: { select: participantSelect } },
+  });
+  return { conversation, created: true };
+};
+
+/**
+ * Open a group conversation between an event planner, a client and vendors
+ * @param {string} plannerId - Signed-in event planner
+ * @param {Object} details
+ * @param {string} details.clientId - The client's user ID
+ * @param {string[]} details.vendorIds - The vendors' user IDs
+ * @param {string} [details.title] - Name of the conversation
+ * @returns {Promise<Object>} - The conversation with its participants
+ */
+const startGroupConversation = async (
+  plannerId,
+  { clientId, vendorIds, title }
+) => {
+  if (typeof clientId !== "string" || !clientId) {
+    throw conversationError("The client's user ID is required", 400);
+  }
+  if (
+    !Array.isArray(vendorIds) ||
+    vendorIds.length === 0 ||
+    !vendorIds.every((id) => typeof id === "string" && id)
+  ) {
+    throw conversationError("At least one vendor's user ID is required", 400);
+  }
+  const uniqueVendorIds = [...new Set(vendorIds)];
+  if (uniqueVendorIds.length > MAX_GROUP_VENDORS) {
+    throw conversationError(
+      `A group conversation can have at most ${MAX_GROUP_VENDORS} vendors`,
+      400
+    );
+  }
+
+  const name = typeof title === "string" ? title.trim() : "";
+  if (name.length > 191) {
+    throw conversationError("Title can be at most 191 characters", 400);
+  }
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: [clientId, ...uniqueVendorIds] } },
+    select: { id: true, role: true },
+  });
+  const roles = new Map(users.map(({ id, role }) => [id, role]));
+  if (roles.get(clientId) !== "CLIENT") {
+    throw conversationError("client not found", 404);
+  }
+  if (uniqueVendorIds.some((id) => roles.get(id) !== "VENDOR")) {
+    throw conversationError("vendor not found", 404);
+  }
+
+  return prisma.conversation.create({
+    data: {
+      isGroup: true,
+      title: name || null,
+      createdById: plannerId,
+      participants: {
+        connect: [plannerId, clientId, ...uniqueVendorIds].map((id) => ({
+          id,
+        })),
+      },
+    },
+    include: { participants: { select: participantSelect } },
+  });
+};
+
+/**
+ * The user's conversations, most recent activity first, each with its last
+ * message and how many messages from others the user has not read
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object[]>}
+ */
+const listConversations = async (userId) => {
+  const conversations = await prisma.conversation.findMany({
+    where: { participants: { some: { id: userId } } },
+    include: {
+      participants: { select: participantSelect },
+      messages: {
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: 1,
+        include: messageInclude,
+      },
+      readStates: { where: { userId }, select: { lastReadAt: true } },
+    },
+    orderBy: { updatedAt: "desc" },
+  });
+  if (conversations.length === 0) return [];
+
+  // Messages from others after the user's read mark in each conversation
+  const unread = await prisma.message.groupBy({
+    by: ["conversationId"],
+    where: {
+      fromUserId: { not: userId },
+      OR: conversations.map(({ id, readStates }) => ({
+        conversationId: id,
+        ...(readStates[0] && {
+          createdAt: { gt: readStates[0].lastReadAt },
+        }),
+      })),
+    },
+    _count: { _all: true },
+  });
+  const unreadCounts = new Map(
+    unread.map((row) => [row.conversationId, row._count._all])
+  );
+
+  return conversations.map(({ messages, readStates, ...conversation }) => ({
+    ...conversation,
+    lastMessage: messages[0] ? presentMessage(messages[0]) : null,
+    lastReadAt: readStates[0]?.lastReadAt || null,
+    unreadCount: unreadCounts.get(conversation.id) || 0,
+  }));
+};
+
+/**
+ * A page of a conversation's messages, newest first, and each
+ * participant's read mark
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Signed-in user
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - ID of the last message of the previous page
+ * @param {number|string} [options.limit] - Page size (default 30, at most 100)
+ * @returns {Promise<Object>} - { messages, nextCursor, readStates }
+ *   (nextCursor is null on the last page)
+ */
+const getMessagePage = async (conversationId, userId, { cursor, limit }) => {
+  await findParticipantConversation(conversationId, userId);
+
+  const take = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  if (cursor) {
+    const cursorMessage = await prisma.message.findUnique({
+      where: { id: cursor },
+      select: { conversationId: true },
+    });
+    if (cursorMessage?.conversationId !== conversationId) {
+      throw conversationError("Invalid cursor", 400);
+    }
+  }
+
+  // One extra row tells whether there is another page
+  const rows = await prisma.message.findMany({
+    where: { conversationId },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: take + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    include: messageInclude,
+  });
+
+  // Lets clients show how far each participant has read
+  const readStates = await prisma.conversationReadState.findMany({
+    where: { conversationId },
+    select: { userId: true, lastReadAt: true },
+  });
+
+  const messages = rows.slice(0, take);
+  return {
+    messages: messages.map(presentMessage),
+    nextCursor: rows.length > take ? messages[messages.length - 1].id : null,
+    readStates,
+  };
+};
+
+/**
+ * Send a message to the conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Sender
+ * @param {Object} details
+ * @param {string} [details.content] - Message text; can be left out when
+ *   there are attachments
+ * @param {string} [details.toUserId] - Participant the message is for;
+ *   filled in for two-person conversations and optional in groups
+ * @param {Object[]} [details.files] - Uploaded attachments (multer files)
+ * @returns {Promise<Object>} - The message with its sender, recipient and
+ *   attachments
+ */
+const sendMessage = async (
+  conversationId,
+  userId,
+  { content, toUserId, files = [] }
+) => {
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text && files.length === 0) {
+    throw conversationError("Message content is required", 400);
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw conversationError(
+      `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`,
+      400
+    );
+  }
+
+  const conversation = await findParticipantConversation(
+    conversationId,
+    userId
+  );
+  const others = conversation.participants
+    .map(({ id }) => id)
+    .filter((id) => id !== userId);
+
+  let recipientId = toUserId || null;
+  if (!recipientId && !conversation.isGroup && others.length === 1) {
+    [recipientId] = others;
+  }
+  if (recipientId && !others.includes(recipientId)) {
+    throw conversationError(
+      "The recipient is not a participant in this conversation",
+      403
+    );
+  }
+
+  const attachments = await storeAttachments(files);
+
+  let message;
+  try {
+    message = await prisma.message.create({
+      data: {
+        content: text,
+        fromUserId: userId,
+        toUserId: recipientId,
+        conversationId,
+        ...(attachments.length > 0 && {
+          attachments: { create: attachments },
+        }),
+      },
+      include: messageInclude,
+    });
+  } catch (error) {
+    discardAttachments(attachments);
+    throw error;
+  }
+
+  // Keeps the conversation list ordered by latest activity
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { updatedAt: new Date() },
+  });
+
+  return presentMessage(message);
+};
+
+/**
+ * Load an attachment of a message in a conversation the user takes part in
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} - The MessageAttachment
+ */
+const findParticipantAttachment = async (attachmentId, userId) => {
+  const attachment = await prisma.messageAttachment.findUnique({
+    where: { id: attachmentId },
+    include: { message: { select: { conversationId: true } } },
+  });
+  if (!attachment || !attachment.message.conversationId) {
+    throw conversationError("Attachment not found", 404);
+  }
+
+  await findParticipantConversation(attachment.message.conversationId, userId);
+  return attachment;
+};
+
+// Move the user's read mark in a conversation forward to `upTo`; returns
+// the messages from others that became read
+const advanceReadState = async (conversationId, userId, upTo) => {
+  const key = { conversationId_userId: { conversationId, userId } };
+  const state = await prisma.conversationReadState.findUnique({ where: key });
+  if (state && state.lastReadAt >= upTo) return [];
+
+  const messages = await prisma.message.findMany({
+    where: {
+      conversationId,
+      fromUserId: { not: userId },
+      createdAt: { ...(state && { gt: state.lastReadAt }), lte: upTo },
+    },
+    select: { id: true, fromUserId: true },
+  });
+
+  if (state) {
+    // Never move the mark back if another request got further meanwhile
+    await prisma.conversationReadState.updateMany({
+      where: { conversationId, userId, lastReadAt: { lt: upTo } },
+      data: { lastReadAt: upTo },
+    });
+  } else {
+    await prisma.conversationReadState.upsert({
+      where: key,
+      create: { conversationId, userId, lastReadAt: upTo },
+      update: { lastReadAt: upTo },
+    });
+  }
+  return messages;
+};
+
+/**
+ * Mark a message, and everything before it, as read by the user
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Signed-in user; any participant but the sender
+ * @returns {Promise<Object>} - { id, conversationId, readAt, messages }
+ *   (messages that became read, with their senders)
+ */
+const markMessageRead = async (messageId, userId) => {
+  if (typeof messageId !== "string" || !messageId) {
+    throw conversationError("messageId is required", 400);
+  }
+
+  const message = await prisma.message.findUnique({
+    where: { id: messageId },
+    select: {
+      id: true,
+      fromUserId: true,
+      conversationId: true,
+      createdAt: true,
+    },
+  });
+  if (!message || !message.conversationId) {
+    throw conversationError("Message not found", 404);
+  }
+  await findParticipantConversation(message.conversationId, userId);
+  if (message.fromUserId === userId) {
+    throw conversationError("You cannot mark your own message as read", 403);
+  }
+
+  const messages = await advanceReadState(
+    message.conversationId,
+    userId,
+    message.createdAt
+  );
+  return {
+    id: message.id,
+    conversationId: message.conversationId,
+    readAt: new Date(),
+    messages,
+  };
+};
+
+/**
+ * Mark every message from others in a conversation as read by the user
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} - { count, readAt, messages } (the marked
+ *   messages' IDs and senders)
+ */
+const markConversationRead = async (conversationId, userId) => {
+  await findParticipantConversation(conversationId, userId);
+
+  const readAt = new Date();
+  const messages = await advanceReadState(conversationId, userId, readAt);
+  return { count: messages.length, readAt, messages };
+};
+
+module.exports = {
+  publicUserSelect,
+  participantSelect,
+  findParticipantConversation,
+  findOrStartConversation,
+  startGroupConversation,
+  listConversations,
+  getMessagePage,
+  sendMessage,
+  findParticipantAttachment,
+  markMessageRead,
+  markConversationRead,
+};
@@ -8,6 +8,9 @@ const { FRONTEND_URL } = process.env;
  * - Vendor approval
  * - Payment completion
  * - New booking notifications
+ * - Refund updates
+ * - Manual payment verification
+ * - Email verification and password reset
  */
 
 // Create a transporter object for Gmail SMTP
@@ -35,6 +38,7 @@ const createTransporter = () => {
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - Email HTML content
+ * @param {Object[]} [options.attachments] - Nodemailer attachments
  * @returns {Promise} - Promise with send info
  */
 const sendEmail = async (options) => {
@@ -49,6 +53,7 @@ const sendEmail = async (options) => {
       to: options.to,
       subject: options.subject,
       html: options.html,
+      attachments: options.attachments,
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
@@ -139,8 +144,9 @@ const sendTestEmail = async (to) => {
  * @param {Object} payment - Payment data
  * @param {Object} booking - Booking data
  * @param {Object} vendor - Vendor data
+ * @param {Object[]} [attachments] - Invoice PDF attachment
  */
-const sendPaymentCompletionToVendor = async (payment, booking, vendor) => {
+const sendPaymentCompletionToVendor = async (payment, booking, vendor, attachments) => {
   const subject = 'Payment Received for Booking';
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
@@ -154,6 +160,7 @@ const sendPaymentCompletionToVendor = async (payment, booking, vendor) => {
         <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
         <p><strong>Payment ID:</strong> ${payment.id}</p>
       </div>
+      ${attachments?.length ? '<p>The invoice for the platform fee on this payment is attached.</p>' : ''}
       <div style="text-align: center; margin: 30px 0;">
         <a href="${FRONTEND_URL}/dashboard/bookings/${booking.id}/show" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
           View Booking Details
@@ -168,6 +175,44 @@ const sendPaymentCompletionToVendor = async (payment, booking, vendor) => {
     to: vendor.user.email,
     subject,
     html,
+    attachments,
+  });
+};
+
+/**
+ * Send payment receipt to client
+ * @param {Object} payment - Payment data
+ * @param {Object} booking - Booking data (with client.user)
+ * @param {Object} receipt - PaymentDocument
+ * @param {Object[]} attachments - Receipt PDF attachment
+ */
+const sendPaymentReceiptToClient = async (payment, booking, receipt, attachments) => {
+  const subject = `Payment Receipt ${receipt.number}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Payment Received</h2>
+      <p>Hello ${booking.client.user.firstName},</p>
+      <p>Thank you for your payment. Your receipt is attached:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Receipt Number:</strong> ${receipt.number}</p>
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Amount:</strong> ETB ${payment.amount.toLocaleString()}</p>
+        <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+      </div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${FRONTEND_URL}/dashboard/my-bookings" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          View Booking Details
+        </a>
+      </div>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: booking.client.user.email,
+    subject,
+    html,
+    attachments,
   });
 };
 
@@ -309,6 +354,357 @@ const sendBookingCompletionToClient = async (booking, client) => {
   });
 };
 
+/**
+ * Send client cancellation notification to vendor
+ * @param {Object} booking - Booking data
+ * @param {Object} vendor - Vendor data
+ * @param {string} cancellationReason - Reason given by the client
+ */
+const sendBookingCancelledByClientToVendor = async (booking, vendor, cancellationReason) => {
+  const subject = 'A Booking Has Been Cancelled by the Client';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #F44336; text-align: center;">Booking Cancelled</h2>
+      <p>Hello ${vendor.user.firstName},</p>
+      <p>The client has cancelled the following booking:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+        <p><strong>Cancellation Reason:</strong> ${cancellationReason || 'Not provided'}</p>
+      </div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${FRONTEND_URL}/dashboard/bookings/${booking.id}/show" style="background-color: #F44336; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          View Booking Details
+        </a>
+      </div>
+      <p>The date is now free again on your calendar.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: vendor.user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send booking reschedule notification to vendor
+ * @param {Object} booking - Booking data (with the new event date)
+ * @param {Object} vendor - Vendor data
+ * @param {Date} previousDate - Event date before the change
+ */
+const sendBookingRescheduledToVendor = async (booking, vendor, previousDate) => {
+  const subject = 'A Booking Has Been Rescheduled';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #2196F3; text-align: center;">Booking Rescheduled</h2>
+      <p>Hello ${vendor.user.firstName},</p>
+      <p>The client has moved the following booking to a new date:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Previous Date:</strong> ${new Date(previousDate).toLocaleDateString()}</p>
+        <p><strong>New Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+        <p><strong>Location:</strong> ${booking.location}</p>
+      </div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${FRONTEND_URL}/dashboard/bookings/${booking.id}/show" style="background-color: #2196F3; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          View Booking Details
+        </a>
+      </div>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: vendor.user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send refund processed notification to client
+ * @param {Object} refund - Refund data
+ * @param {Object} booking - Booking data
+ * @param {Object} client - Client data
+ */
+const sendRefundProcessedToClient = async (refund, booking, client) => {
+  const subject = 'Your Refund Has Been Processed';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Refund Processed</h2>
+      <p>Hello ${client.user.firstName},</p>
+      <p>A refund has been issued for your booking:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+        <p><strong>Refund Amount:</strong> ETB ${refund.amount.toLocaleString()}</p>
+        <p><strong>Refund ID:</strong> ${refund.id}</p>
+      </div>
+      <p>Depending on your bank, it may take a few business days for the money to appear in your account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${FRONTEND_URL}/dashboard/my-bookings" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          View Booking Details
+        </a>
+      </div>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: client.user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send refund rejection notification to client
+ * @param {Object} refund - Refund data
+ * @param {Object} booking - Booking data
+ * @param {Object} client - Client data
+ */
+const sendRefundRejectedToClient = async (refund, booking, client) => {
+  const subject = 'Update on Your Refund Request';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #F44336; text-align: center;">Refund Not Approved</h2>
+      <p>Hello ${client.user.firstName},</p>
+      <p>We have reviewed the refund request for your booking and were unable to approve it:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+        <p><strong>Requested Amount:</strong> ETB ${refund.amount.toLocaleString()}</p>
+        ${refund.reviewNote ? `<p><strong>Reason:</strong> ${refund.reviewNote}</p>` : ''}
+      </div>
+      <p>If you have any questions, please contact our support team.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: client.user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send manual payment rejection notification to client
+ * @param {Object} payment - Payment data (with reviewNote)
+ * @param {Object} booking - Booking data
+ * @param {Object} user - Client's user data
+ */
+const sendManualPaymentRejectedToClient = async (payment, booking, user) => {
+  const subject = 'Your Payment Could Not Be Verified';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #F44336; text-align: center;">Payment Not Verified</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>We could not verify the bank transfer you recorded for your booking:</p>
+      <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Service:</strong> ${booking.service.name}</p>
+        <p><strong>Event Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
+        <p><strong>Amount:</strong> ETB ${payment.amount.toLocaleString()}</p>
+        <p><strong>Transfer Reference:</strong> ${payment.bankReference}</p>
+        ${payment.reviewNote ? `<p><strong>Reason:</strong> ${payment.reviewNote}</p>` : ''}
+      </div>
+      <p>Please check the details and record the payment again with a clear receipt.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${FRONTEND_URL}/dashboard/my-bookings" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          View Booking Details
+        </a>
+      </div>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send email address verification link
+ * @param {Object} user - User data
+ * @param {string} token - Verification token
+ */
+const sendEmailVerification = async (user, token) => {
+  const subject = 'Verify Your Email Address';
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 10) || 24;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Confirm Your Email</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>Please confirm that ${user.email} is your email address to start using your Wedding Planner account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          Verify Email
+        </a>
+      </div>
+      <p>This link expires in ${hours} hours and can only be used once. If you did not create an account, you can ignore this email.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send an invitation to create a privileged account
+ * @param {Object} invitation - Invitation with `email`, `role`, `firstName`
+ * @param {string} token - Invitation token
+ * @param {Object} invitedBy - Admin who sent it
+ */
+const sendInvitationEmail = async (invitation, token, invitedBy) => {
+  const roleNames = {
+    ADMIN: 'an administrator',
+    EVENT_PLANNER: 'an event planner',
+    STAFF: 'a staff member',
+  };
+  const roleName = roleNames[invitation.role];
+  const subject = `You're Invited to Join Wedding Planner as ${roleName}`;
+  const link = `${FRONTEND_URL}/accept-invitation?token=${encodeURIComponent(token)}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">You're Invited</h2>
+      <p>Hello ${invitation.firstName || 'there'},</p>
+      <p>${invitedBy.firstName} ${invitedBy.lastName} has invited you to join Wedding Planner as ${roleName}. Choose a password to set up your account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          Accept Invitation
+        </a>
+      </div>
+      <p>This invitation expires on ${new Date(invitation.expiresAt).toLocaleString()} and can only be used once. If you were not expecting it, you can ignore this email.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: invitation.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send password reset link
+ * @param {Object} user - User data
+ * @param {string} token - Reset token
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const subject = 'Reset Your Password';
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Password Reset</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>We received a request to reset the password for your Wedding Planner account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+          Reset Password
+        </a>
+      </div>
+      <p>This link expires in ${minutes} minutes and can only be used once. If you did not ask to reset your password, you can ignore this email; your password will not change.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send notification that the account password was changed
+ * @param {Object} user - User data
+ */
+const sendPasswordChangedEmail = async (user) => {
+  const subject = 'Your Password Has Been Changed';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Password Changed</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>The password for your Wedding Planner account was changed on ${new Date().toLocaleString()}.</p>
+      <p>If you did not make this change, please reset your password immediately and contact our support team.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Send a one-time sign-in code, the fallback for two-factor login
+ * @param {Object} user - User data
+ * @param {string} code - Six-digit code
+ * @param {number} minutes - How long the code is valid
+ */
+const sendTwoFactorCodeEmail = async (user, code, minutes) => {
+  const subject = 'Your Wedding Planner Sign-in Code';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #4CAF50; text-align: center;">Sign-in Code</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>Use this code to finish signing in:</p>
+      <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px; text-align: center;">${code}</p>
+      <p>The code expires in ${minutes} minutes. If you did not try to sign in, change your password immediately.</p>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
+/**
+ * Warn a user that their account was locked after repeated failed sign-ins
+ * @param {Object} user - User data
+ * @param {Object} details - { attempts, ipAddress, lockedUntil }
+ */
+const sendSuspiciousSignInEmail = async (user, { attempts, ipAddress, lockedUntil }) => {
+  const subject = 'Suspicious Sign-in Attempts on Your Account';
+  const link = `${FRONTEND_URL}/forgot-password`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h2 style="color: #f44336; text-align: center;">Suspicious Sign-in Attempts</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>There were ${attempts} failed attempts to sign in to your Wedding Planner account${ipAddress ? ` from IP address ${ipAddress}` : ''}.</p>
+      <p>To protect you, sign-in is paused until ${lockedUntil.toLocaleString()}.</p>
+      <p>If this was you, you can try again after that time. If it was not, we recommend changing your password:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
+      </div>
+      <p>Best regards,<br>The Wedding Planner Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: user.email,
+    subject,
+    html,
+  });
+};
+
 /**
  * Test email configuration and connectivity
  * @param {string} testEmail - Email address to send test email to
@@ -446,10 +842,22 @@ module.exports = {
   sendEmail,
   sendVendorApprovalEmail,
   sendPaymentCompletionToVendor,
+  sendPaymentReceiptToClient,
   sendNewBookingToVendor,
   sendBookingConfirmationToClient,
   sendBookingCancellationToClient,
   sendBookingCompletionToClient,
+  sendBookingCancelledByClientToVendor,
+  sendBookingRescheduledToVendor,
+  sendRefundProcessedToClient,
+  sendRefundRejectedToClient,
+  sendManualPaymentRejectedToClient,
+  sendEmailVerification,
+  sendInvitationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendTwoFactorCodeEmail,
+  sendSuspiciousSignInEmail,
   sendTestEmail,
   testEmailConfiguration
 };
@@ -0,0 +1,420 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const prisma = require("../prisma/client");
+const { hashToken } = require("./authTokens");
+const { sendInvitationEmail } = require("./emailService");
+
+/**
+ * Invitations for privileged accounts
+ *
+ * ADMIN, EVENT_PLANNER and STAFF accounts cannot be registered publicly. An
+ * admin invites the person by email; the link lets them choose their own
+ * password and creates the account, already verified. Staff are invited with
+ * the custom role they will hold. Invitations expire,
+ * can be resent (which replaces the link) or revoked, and every step is
+ * written to the InvitationEvent audit log.
+ *
+ * Settings:
+ * - INVITATION_EXPIRY_HOURS - invitation link lifetime (default 72)
+ */
+
+const INVITABLE_ROLES = ["ADMIN", "EVENT_PLANNER", "STAFF"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getInvitationLifetime = () =>
+  (parseInt(process.env.INVITATION_EXPIRY_HOURS, 10) || 72) * HOUR_MS;
+
+// Create an error carrying the HTTP status the controller should respond with
+const invitationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const newInvitationToken = () => crypto.randomBytes(32).toString("hex");
+
+// PENDING invitations past their expiry are reported as EXPIRED
+const getInvitationStatus = (invitation) =>
+  invitation.status === "PENDING" && invitation.expiresAt < new Date()
+    ? "EXPIRED"
+    : invitation.status;
+
+// Invitation as shown to admins, without the token hash
+const formatInvitation = (invitation) => {
+  const { tokenHash, events, ...rest } = invitation;
+  return {
+    ...rest,
+    status: getInvitationStatus(invitation),
+    ...(events && { events }),
+  };
+};
+
+/**
+ * Add an entry to an invitation's audit log
+ * @param {string} invitationId - Invitation ID
+ * @param {string} action - CREATED, RESENT, REVOKED, ACCEPTED or ACCEPT_FAILED
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Admin who acted
+ * @param {Object} [options.req] - Request, for the IP address
+ * @param {string} [options.note] - Details
+ */
+const recordInvitationEvent = (
+  invitationId,
+  action,
+  { actorId, req, note } = {}
+) =>
+  prisma.invitationEvent.create({
+    data: {
+      invitationId,
+      action,
+      actorId: actorId || null,
+      ipAddress: req?.ip || null,
+      note: note || null,
+    },
+  });
+
+// Email the link; a failed send is logged but the invitation stays valid
+// so it can be resent
+const deliverInvitation = async (invitation, token, invitedBy) => {
+  try {
+    await sendInvitationEmail(invitation, token, invitedBy);
+    return true;
+  } catch (emailError) {
+    console.error("Error sending invitation email:", emailError.message);
+    return false;
+  }
+};
+
+/**
+ * Invite someone to create a privileged account
+ * @param {Object} options
+ * @param {string} options.email - Invitee's email address
+ * @param {string} options.role - ADMIN, EVENT_PLANNER or STAFF
+ * @param {string} [options.firstName]
+ * @param {string} [options.lastName]
+ * @param {string} [options.phone]
+ * @param {string} [options.companyName] - For event planners
+ * @param {string} [options.staffRoleId] - Staff role, required for STAFF
+ * @param {Object} options.invitedBy - Admin user sending the invitation
+ * @param {Object} [options.req] - Request, for the audit log
+ * @returns {Promise<Object>} - { invitation, emailSent }
+ */
+const createInvitation = async ({
+  email,
+  role,
+  firstName,
+  lastName,
+  phone,
+  companyName,
+  staffRoleId,
+  invitedBy,
+  req,
+}) => {
+  if (!email) {
+    throw invitationError("Email is required", 400);
+  }
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw invitationError(
+      `Role must be one of: ${INVITABLE_ROLES.join(", ")}`,
+      400
+    );
+  }
+
+  if (role === "STAFF") {
+    const staffRole =
+      staffRoleId &&
+      (await prisma.staffRole.findUnique({ where: { id: staffRoleId } }));
+    if (!staffRole) {
+      throw invitationError("A valid staffRoleId is required for staff", 400);
+    }
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    throw invitationError("User with this email already exists", 400);
+  }
+
+  // A new invitation replaces any earlier pending one for the address
+  const superseded = await prisma.invitation.findMany({
+    where: { email, status: "PENDING" },
+    select: { id: true },
+  });
+  for (const { id } of superseded) {
+    await prisma.invitation.update({
+      where: { id },
+      data: { status: "REVOKED", revokedAt: new Date() },
+    });
+    await recordInvitationEvent(id, "REVOKED", {
+      actorId: invitedBy.id,
+      req,
+      note: "Replaced by a new invitation",
+    });
+  }
+
+  const token = newInvitationToken();
+  const invitation = await prisma.invitation.create({
+    data: {
+      email,
+      role,
+      firstName: firstName || null,
+      lastName: lastName || null,
+      phone: phone || null,
+      companyName: companyName || null,
+      staffRoleId: role === "STAFF" ? staffRoleId : null,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + getInvitationLifetime()),
+      invitedById: invitedBy.id,
+    },
+  });
+  await recordInvitationEvent(invitation.id, "CREATED", {
+    actorId: invitedBy.id,
+    req,
+  });
+
+  const emailSent = await deliverInvitation(invitation, token, invitedBy);
+
+  return { invitation: formatInvitation(invitation), emailSent };
+};
+
+/**
+ * Send a pending or expired invitation again with a new link and expiry
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} actor - Admin user resending it
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { invitation, emailSent }
+ */
+const resendInvitation = async (invitationId, actor, req) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!invitation) {
+    throw invitationError("Invitation not found", 404);
+  }
+
+  if (invitation.status !== "PENDING") {
+    throw invitationError(
+      `Invitation has been ${invitation.status.toLowerCase()}`,
+      400
+    );
+  }
+
+  const token = newInvitationToken();
+  const updated = await prisma.invitation.update({
+    where: { id: invitationId },
+    data: {
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + getInvitationLifetime()),
+    },
+  });
+  await recordInvitationEvent(invitationId, "RESENT", {
+    actorId: actor.id,
+    req,
+  });
+
+  const emailSent = await deliverInvitation(updated, token, actor);
+
+  return { invitation: formatInvitation(updated), emailSent };
+};
+
+/**
+ * Revoke a pending invitation so its link stops working
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} actor - Admin user revoking it
+ * @param {Object} [req] - Request, for the audit log
+ * @param {string} [note] - Why it was revoked
+ * @returns {Promise<Object>} - The revoked invitation
+ */
+const revokeInvitation = async (invitationId, actor, req, note) => {
+  const { count } = await prisma.invitation.updateMany({
+    where: { id: invitationId, status: "PENDING" },
+    data: { status: "REVOKED", revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    const invitation = await prisma.invitation.findUnique({
+      where: { id: invitationId },
+    });
+    if (!invitation) {
+      throw invitationError("Invitation not found", 404);
+    }
+    throw invitationError(
+      `Invitation has already been ${invitation.status.toLowerCase()}`,
+      400
+    );
+  }
+
+  await recordInvitationEvent(invitationId, "REVOKED", {
+    actorId: actor.id,
+    req,
+    note,
+  });
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+  });
+  return formatInvitation(invitation);
+};
+
+// Find the pending invitation a link belongs to, logging failed attempts
+const findUsableInvitation = async (token, req) => {
+  if (!token) {
+    throw invitationError("Invitation token is required", 400);
+  }
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!invitation) {
+    throw invitationError("Invalid invitation link", 400);
+  }
+
+  const status = getInvitationStatus(invitation);
+  if (status !== "PENDING") {
+    if (req) {
+      await recordInvitationEvent(invitation.id, "ACCEPT_FAILED", {
+        req,
+        note: `Invitation was ${status.toLowerCase()}`,
+      });
+    }
+    throw invitationError(
+      status === "EXPIRED"
+        ? "This invitation has expired. Ask an administrator to send a new one"
+        : `This invitation has been ${status.toLowerCase()}`,
+      400
+    );
+  }
+
+  return invitation;
+};
+
+/**
+ * Details of a pending invitation, for the invitee's sign-up form
+ * @param {string} token - Raw token from the invitation link
+ * @returns {Promise<Object>}
+ */
+const getInvitationPreview = async (token) => {
+  const invitation = await findUsableInvitation(token);
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    firstName: invitation.firstName,
+    lastName: invitation.lastName,
+    phone: invitation.phone,
+    companyName: invitation.companyName,
+    expiresAt: invitation.expiresAt,
+  };
+};
+
+/**
+ * Create the invited account with the password the invitee chose
+ * @param {string} token - Raw token from the invitation link
+ * @param {Object} details
+ * @param {string} details.password - New password
+ * @param {string} [details.firstName] - Overrides the name on the invitation
+ * @param {string} [details.lastName]
+ * @param {string} [details.phone]
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { user, profileId }
+ */
+const acceptInvitation = async (token, details, req) => {
+  const invitation = await findUsableInvitation(token, req);
+
+  if (!details.password || details.password.length < 6) {
+    throw invitationError("Password must be at least 6 characters long", 400);
+  }
+
+  const firstName = details.firstName || invitation.firstName;
+  if (!firstName) {
+    throw invitationError("First name is required", 400);
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invitation.email },
+  });
+  if (existingUser) {
+    throw invitationError("User with this email already exists", 400);
+  }
+
+  const hashedPassword = await bcrypt.hash(details.password, 10);
+
+  const { user, profileId } = await prisma.$transaction(async (tx) => {
+    // Only one request can accept the invitation
+    const { count } = await tx.invitation.updateMany({
+      where: { id: invitation.id, status: "PENDING" },
+      data: { status: "ACCEPTED", acceptedAt: new Date() },
+    });
+    if (count === 0) {
+      throw invitationError("This invitation has already been used", 400);
+    }
+
+    const user = await tx.user.create({
+      data: {
+        email: invitation.email,
+        password: hashedPassword,
+        firstName,
+        lastName: details.lastName || invitation.lastName || "",
+        phone: details.phone || invitation.phone || null,
+        role: invitation.role,
+        staffRoleId: invitation.staffRoleId,
+        // The invitation link proves the user owns the address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+    let profileId = null;
+    if (invitation.role === "EVENT_PLANNER") {
+      const eventPlanner = await tx.eventPlanner.create({
+        data: {
+          userId: user.id,
+          companyName: invitation.companyName || null,
+        },
+      });
+      profileId = eventPlanner.id;
+    }
+
+    await tx.invitation.update({
+      where: { id: invitation.id },
+      data: { acceptedUserId: user.id },
+    });
+    await tx.invitationEvent.create({
+      data: {
+        invitationId: invitation.id,
+        action: "ACCEPTED",
+        ipAddress: req?.ip || null,
+      },
+    });
+
+    return { user, profileId };
+  });
+
+  return { user, profileId };
+};
+
+/**
+ * An invitation with its audit log, oldest entry first
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>}
+ */
+const getInvitationWithEvents = async (invitationId) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+    include: { events: { orderBy: { createdAt: "asc" } } },
+  });
+  return invitation && formatInvitation(invitation);
+};
+
+module.exports = {
+  INVITABLE_ROLES,
+  formatInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationPreview,
+  acceptInvitation,
+  getInvitationWithEvents,
+};
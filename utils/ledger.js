@@ -0,0 +1,243 @@
+const prisma = require("../prisma/client");
+const { getProvider } = require("./paymentProviders");
+
+/**
+ * Vendor payout ledger
+ *
+ * Money the platform owes a vendor is tracked as ledger entries:
+ * - PAYMENT_CREDIT: a completed payment for one of the vendor's bookings (+)
+ * - PLATFORM_FEE:   the platform's share of that payment (-)
+ * - REFUND_DEBIT:   a completed refund of the payment (-)
+ * - FEE_REVERSAL:   the platform's share of the refund, given back (+)
+ * - PAYOUT:         money paid out to the vendor (-)
+ *
+ * Payments the vendor received directly (manual transfers) only post the
+ * PLATFORM_FEE and FEE_REVERSAL entries: the vendor already holds the
+ * money and owes the platform its share.
+ *
+ * Every entry has a unique `reference` built from its source, so posting
+ * the entries for a payment or refund twice does nothing. Balances are
+ * never stored; they are the sum of the entries up to a point in time.
+ */
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Create an error carrying the HTTP status the controller should respond with
+const ledgerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether the vendor, not the platform, received the payment
+const isPaidToVendor = (payment) =>
+  Boolean(getProvider(payment.method)?.paidToVendor);
+
+/**
+ * Ledger entries for a completed payment
+ * @param {Object} payment - Payment with `vendorId`, `amount`, `adminSplit`
+ * @param {Date} [occurredAt] - When the payment completed
+ * @returns {Object[]} - Entry data
+ */
+const paymentLedgerEntries = (payment, occurredAt = new Date()) => {
+  if (!payment.vendorId) return [];
+
+  const entries = [];
+
+  if (!isPaidToVendor(payment)) {
+    entries.push({
+      vendorId: payment.vendorId,
+      type: "PAYMENT_CREDIT",
+      amount: roundAmount(payment.amount),
+      description: `Payment ${payment.id}`,
+      reference: `payment:${payment.id}:credit`,
+      paymentId: payment.id,
+      occurredAt,
+    });
+  }
+
+  if (payment.adminSplit) {
+    entries.push({
+      vendorId: payment.vendorId,
+      type: "PLATFORM_FEE",
+      amount: -roundAmount(payment.adminSplit),
+      description: `Platform fee on payment ${payment.id}`,
+      reference: `payment:${payment.id}:fee`,
+      paymentId: payment.id,
+      occurredAt,
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Ledger entries for a completed refund
+ * @param {Object} refund - Refund with `amount` and `adminSplitReversal`
+ * @param {Object} payment - Refunded payment
+ * @param {Date} [occurredAt] - When the refund completed
+ * @returns {Object[]} - Entry data
+ */
+const refundLedgerEntries = (refund, payment, occurredAt = new Date()) => {
+  if (!payment.vendorId) return [];
+
+  const entries = [];
+
+  if (!isPaidToVendor(payment)) {
+    entries.push({
+      vendorId: payment.vendorId,
+      type: "REFUND_DEBIT",
+      amount: -roundAmount(refund.amount),
+      description: `Refund of payment ${payment.id}`,
+      reference: `refund:${refund.id}:debit`,
+      paymentId: payment.id,
+      refundId: refund.id,
+      occurredAt,
+    });
+  }
+
+  if (refund.adminSplitReversal) {
+    entries.push({
+      vendorId: payment.vendorId,
+      type: "FEE_REVERSAL",
+      amount: roundAmount(refund.adminSplitReversal),
+      description: `Platform fee returned on refund of payment ${payment.id}`,
+      reference: `refund:${refund.id}:fee-reversal`,
+      paymentId: payment.id,
+      refundId: refund.id,
+      occurredAt,
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Write ledger entries, skipping any that were already posted
+ * @param {Object[]} entries - Entry data
+ * @param {Object} [db] - Prisma client or transaction to write with
+ */
+const postLedgerEntries = (entries, db = prisma) =>
+  entries.length
+    ? db.vendorLedgerEntry.createMany({ data: entries, skipDuplicates: true })
+    : Promise.resolve({ count: 0 });
+
+/**
+ * Post entries for completed payments and refunds that are missing from a
+ * vendor's ledger (payments made before the ledger existed). Used by
+ * scripts/backfillVendorLedger.js; new payments and refunds post their own
+ * entries.
+ * @param {string} vendorId - Vendor ID
+ */
+const syncVendorLedger = async (vendorId) => {
+  const payments = await prisma.payment.findMany({
+    where: { vendorId, status: { in: ["COMPLETED", "REFUNDED"] } },
+    include: { refunds: { where: { status: "COMPLETED" } } },
+  });
+
+  const entries = payments.flatMap((payment) => [
+    ...paymentLedgerEntries(payment, payment.createdAt),
+    ...payment.refunds.flatMap((refund) =>
+      refundLedgerEntries(refund, payment, refund.processedAt || refund.updatedAt)
+    ),
+  ]);
+
+  await postLedgerEntries(entries);
+};
+
+/**
+ * Record money paid out to a vendor. The vendor row is locked while the
+ * balance is checked, so two payouts recorded at once cannot both spend it.
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount paid out
+ * @param {string} [options.reference] - Bank or transfer reference
+ * @param {string} [options.note] - Description
+ * @param {string} options.recordedById - Admin recording the payout
+ * @returns {Promise<Object>} - Created entry
+ */
+const recordPayout = async (vendorId, { amount, reference, note, recordedById }) => {
+  const payoutAmount = roundAmount(Number(amount));
+  if (isNaN(payoutAmount) || payoutAmount <= 0) {
+    throw ledgerError("Payout amount must be a positive number", 400);
+  }
+
+  const payoutReference = `payout:${vendorId}:${reference || Date.now()}`;
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM Vendor WHERE id = ${vendorId} FOR UPDATE`;
+
+    const balance = await getVendorBalance(vendorId, undefined, tx);
+    if (payoutAmount > balance) {
+      throw ledgerError(`Payout exceeds the ETB ${balance} owed to the vendor`, 400);
+    }
+
+    const existing = await tx.vendorLedgerEntry.findUnique({
+      where: { reference: payoutReference },
+    });
+    if (existing) {
+      throw ledgerError("A payout with this reference was already recorded", 409);
+    }
+
+    return tx.vendorLedgerEntry.create({
+      data: {
+        vendorId,
+        type: "PAYOUT",
+        amount: -payoutAmount,
+        description: note || "Payout to vendor",
+        reference: payoutReference,
+        recordedById,
+        occurredAt: new Date(),
+      },
+    });
+  });
+};
+
+/**
+ * Balance owed to a vendor
+ * @param {string} vendorId - Vendor ID
+ * @param {Date} [before] - Only count entries before this time
+ * @param {Object} [db] - Prisma client or transaction to read with
+ * @returns {Promise<number>}
+ */
+const getVendorBalance = async (vendorId, before, db = prisma) => {
+  const { _sum } = await db.vendorLedgerEntry.aggregate({
+    where: { vendorId, ...(before && { occurredAt: { lt: before } }) },
+    _sum: { amount: true },
+  });
+  return roundAmount(_sum.amount || 0);
+};
+
+/**
+ * Add up entries by type
+ * @param {Object[]} entries - Ledger entries
+ * @returns {Object} - { credits, platformFees, refunds, feeReversals, payouts, net }
+ */
+const summarizeEntries = (entries) => {
+  const sum = (type) =>
+    roundAmount(
+      entries
+        .filter((entry) => entry.type === type)
+        .reduce((total, entry) => total + entry.amount, 0)
+    );
+
+  return {
+    credits: sum("PAYMENT_CREDIT"),
+    platformFees: sum("PLATFORM_FEE"),
+    refunds: sum("REFUND_DEBIT"),
+    feeReversals: sum("FEE_REVERSAL"),
+    payouts: sum("PAYOUT"),
+    net: roundAmount(entries.reduce((total, entry) => total + entry.amount, 0)),
+  };
+};
+
+module.exports = {
+  paymentLedgerEntries,
+  refundLedgerEntries,
+  postLedgerEntries,
+  syncVendorLedger,
+  recordPayout,
+  getVendorBalance,
+  summarizeEntries,
+};
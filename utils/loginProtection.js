@@ -0,0 +1,145 @@
+const prisma = require("../prisma/client");
+const { sendSuspiciousSignInEmail } = require("./emailService");
+
+/**
+ * Brute-force protection for sign-in
+ *
+ * Every failed or refused sign-in is stored in FailedLoginAttempt for
+ * admins to review. After LOGIN_LOCKOUT_THRESHOLD failures in a row an
+ * account is locked for LOGIN_LOCKOUT_MINUTES; each further failure locks
+ * it again for twice as long, up to LOGIN_LOCKOUT_MAX_MINUTES. A successful
+ * sign-in resets the count, and a password reset also lifts the lock. The
+ * owner gets a "suspicious sign-in" email when the account is first locked.
+ *
+ * Request throttling per IP and per account lives in middleware/rateLimit.js.
+ *
+ * Settings:
+ * - LOGIN_LOCKOUT_THRESHOLD - failures before the first lock (default 5)
+ * - LOGIN_LOCKOUT_MINUTES - length of the first lock (default 5)
+ * - LOGIN_LOCKOUT_MAX_MINUTES - longest lock (default 1440)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const getLockoutSettings = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+  baseMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 5) * MINUTE_MS,
+  maxMs:
+    (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 1440) * MINUTE_MS,
+});
+
+/**
+ * Store a failed or refused sign-in
+ * @param {Object} options
+ * @param {string} options.email - Email that was tried
+ * @param {Object} [options.user] - Account with that email, if any
+ * @param {string} options.reason - UNKNOWN_EMAIL, BAD_PASSWORD,
+ *   BAD_TWO_FACTOR_CODE, ACCOUNT_LOCKED or RATE_LIMITED
+ * @param {Object} [options.req] - Request, for the IP address and user agent
+ */
+const recordFailedLogin = ({ email, user, reason, req }) =>
+  prisma.failedLoginAttempt.create({
+    data: {
+      email: String(email || user?.email || "").slice(0, 191),
+      userId: user?.id || null,
+      reason,
+      ipAddress: req?.ip || null,
+      userAgent: req?.headers?.["user-agent"] || null,
+    },
+  });
+
+/**
+ * When a locked account can sign in again
+ * @param {Object} user - User with `lockedUntil`
+ * @returns {Date|null} - End of the lock, or null if not locked
+ */
+const getLockedUntil = (user) =>
+  user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+
+/**
+ * Count a failed sign-in against an account, locking it once the
+ * threshold is reached
+ * @param {Object} user - User the attempt was for
+ * @param {Object} options
+ * @param {string} options.reason - BAD_PASSWORD or BAD_TWO_FACTOR_CODE
+ * @param {Object} [options.req] - Request, for the audit record and email
+ * @returns {Promise<Object>} - { lockedUntil } (null if not locked)
+ */
+const registerFailedLogin = async (user, { reason, req }) => {
+  const { threshold, baseMs, maxMs } = getLockoutSettings();
+
+  const { failedLoginCount } = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginCount: { increment: 1 },
+      lastFailedLoginAt: new Date(),
+    },
+    select: { failedLoginCount: true },
+  });
+
+  await recordFailedLogin({ email: user.email, user, reason, req });
+
+  if (failedLoginCount < threshold) {
+    return { lockedUntil: null };
+  }
+
+  // Each failure past the threshold doubles the lock
+  const lockMs = Math.min(
+    baseMs * 2 ** Math.min(failedLoginCount - threshold, 20),
+    maxMs
+  );
+  const lockedUntil = new Date(Date.now() + lockMs);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil },
+  });
+
+  if (failedLoginCount === threshold) {
+    try {
+      await sendSuspiciousSignInEmail(user, {
+        attempts: failedLoginCount,
+        ipAddress: req?.ip,
+        lockedUntil,
+      });
+    } catch (emailError) {
+      console.error(
+        "Error sending suspicious sign-in email:",
+        emailError.message
+      );
+    }
+  }
+
+  return { lockedUntil };
+};
+
+/**
+ * Reset the failure count after a successful sign-in
+ * @param {Object} user - User with `failedLoginCount` and `lockedUntil`
+ */
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginCount && !user.lockedUntil) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+};
+
+/**
+ * Lift a lock early, e.g. once an admin has confirmed the owner's identity
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - The updated user
+ */
+const unlockAccount = (userId) =>
+  prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+
+module.exports = {
+  recordFailedLogin,
+  getLockedUntil,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+};
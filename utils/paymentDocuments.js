@@ -0,0 +1,405 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const prisma = require("../prisma/client");
+const { getProvider } = require("./paymentProviders");
+const { writePrivateFile, getPrivateFilePath } = require("./privateFiles");
+
+/**
+ * Payment receipts and invoices
+ *
+ * Every completed payment gets two numbered documents:
+ * - RECEIPT (RCT-YYYY-NNNNNN) for the client: what was paid, for which
+ *   booking, with the VAT included in the amount
+ * - INVOICE (INV-YYYY-NNNNNN) for the vendor: the platform fee charged on
+ *   the payment, with its VAT, and what the vendor is owed (or owes, for
+ *   payments the vendor received directly)
+ *
+ * Numbers run per type and calendar year without gaps. Each document keeps
+ * a JSON snapshot of what it shows, so the PDF can be rendered again if the
+ * stored file is lost.
+ *
+ * Settings:
+ * - VAT_RATE - VAT percentage included in prices (default 15)
+ * - PLATFORM_NAME, PLATFORM_TIN_NUMBER, PLATFORM_ADDRESS - shown as issuer
+ */
+
+const CURRENCY = "ETB";
+
+const DOCUMENT_TYPES = {
+  RECEIPT: { prefix: "RCT", title: "Payment Receipt" },
+  INVOICE: { prefix: "INV", title: "Platform Fee Invoice" },
+};
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Create an error carrying the HTTP status the controller should respond with
+const documentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getVatRate = () => {
+  const rate = parseFloat(process.env.VAT_RATE);
+  return isNaN(rate) || rate < 0 ? 15 : rate;
+};
+
+// VAT contained in a VAT-inclusive amount
+const includedVat = (amount, rate) =>
+  roundAmount((amount * rate) / (100 + rate));
+
+const getIssuer = () => ({
+  name: process.env.PLATFORM_NAME || "Wedding Planning Platform",
+  tinNumber: process.env.PLATFORM_TIN_NUMBER || null,
+  address: process.env.PLATFORM_ADDRESS || null,
+});
+
+const paymentInclude = {
+  installment: { include: { schedule: { include: { installments: true } } } },
+  booking: {
+    include: {
+      client: {
+        include: {
+          user: {
+            select: { firstName: true, lastName: true, email: true, phone: true },
+          },
+        },
+      },
+      service: { select: { name: true } },
+    },
+  },
+  vendor: {
+    include: {
+      user: { select: { firstName: true, lastName: true, email: true, phone: true } },
+    },
+  },
+};
+
+/**
+ * Build the snapshot a document shows
+ * @param {Object} payment - Payment loaded with `paymentInclude`
+ * @param {string} type - RECEIPT or INVOICE
+ * @returns {Object}
+ */
+const buildDocumentData = (payment, type) => {
+  const vatRate = getVatRate();
+  const { booking, vendor, installment } = payment;
+  const clientUser = booking?.client?.user;
+  const platformFee = roundAmount(payment.adminSplit || 0);
+  const platformFeeVat = includedVat(platformFee, vatRate);
+  const paidToVendor = Boolean(getProvider(payment.method)?.paidToVendor);
+
+  let lines;
+  let total;
+
+  if (type === "RECEIPT") {
+    const vat = includedVat(payment.amount, vatRate);
+    const description = installment
+      ? `${booking.service.name} - ${installment.type === "DEPOSIT" ? "deposit" : "installment"} ${installment.sequence} of ${installment.schedule.installments.length}`
+      : booking?.service?.name || "Payment";
+
+    lines = [
+      { label: description, amount: roundAmount(payment.amount - vat) },
+      { label: `VAT (${vatRate}%)`, amount: vat },
+    ];
+    total = { label: "Total paid", amount: roundAmount(payment.amount) };
+  } else {
+    lines = [
+      { label: "Payment collected", amount: roundAmount(payment.amount) },
+      {
+        label: `Platform fee (${payment.commissionPercentage ?? "-"}%) excl. VAT`,
+        amount: roundAmount(platformFee - platformFeeVat),
+      },
+      { label: `VAT on platform fee (${vatRate}%)`, amount: platformFeeVat },
+      { label: "Platform fee incl. VAT", amount: platformFee },
+    ];
+    total = paidToVendor
+      ? { label: "Platform fee owed by vendor", amount: platformFee }
+      : {
+          label: "Net payable to vendor",
+          amount: roundAmount(payment.vendorSplit ?? payment.amount - platformFee),
+        };
+  }
+
+  return {
+    type,
+    title: DOCUMENT_TYPES[type].title,
+    currency: CURRENCY,
+    vatRate,
+    issuer: getIssuer(),
+    vendor: {
+      businessName: vendor?.businessName || null,
+      tinNumber: vendor?.tinNumber || null,
+      email: vendor?.user?.email || null,
+      phone: vendor?.user?.phone || null,
+    },
+    client: clientUser
+      ? {
+          name: `${clientUser.firstName} ${clientUser.lastName}`,
+          email: clientUser.email,
+          phone: clientUser.phone || null,
+        }
+      : null,
+    booking: booking
+      ? {
+          id: booking.id,
+          service: booking.service.name,
+          eventDate: booking.eventDate,
+          location: booking.location,
+          attendees: booking.attendees,
+        }
+      : null,
+    payment: {
+      id: payment.id,
+      method: payment.method,
+      transactionId: payment.transactionId || payment.bankReference,
+      paidAt: payment.paidAt || payment.updatedAt,
+    },
+    platformFee: {
+      percentage: payment.commissionPercentage,
+      amount: platformFee,
+      vat: platformFeeVat,
+    },
+    lines,
+    total,
+  };
+};
+
+/**
+ * Render a document snapshot as a PDF
+ * @param {Object} document - { number, issuedAt, data }
+ * @returns {Promise<Buffer>}
+ */
+const documentToPdf = ({ number, issuedAt, data }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (value) => `${value.toFixed(2)} ${data.currency}`;
+    const date = (value) => new Date(value).toISOString().slice(0, 10);
+
+    doc.fontSize(18).text(data.title, { align: "center" });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(10)
+      .text(`Number: ${number}`, { align: "center" })
+      .text(`Issued: ${date(issuedAt)}`, { align: "center" });
+    doc.moveDown();
+
+    // Issuer and parties
+    const top = doc.y;
+    doc
+      .font("Helvetica-Bold")
+      .text("Issued by", 50, top)
+      .font("Helvetica")
+      .text(data.issuer.name)
+      .text(`TIN: ${data.issuer.tinNumber || "-"}`);
+    if (data.issuer.address) doc.text(data.issuer.address);
+
+    doc
+      .font("Helvetica-Bold")
+      .text("Vendor", 300, top)
+      .font("Helvetica")
+      .text(data.vendor.businessName || "-", 300)
+      .text(`TIN: ${data.vendor.tinNumber || "-"}`, 300);
+    if (data.vendor.email) doc.text(data.vendor.email, 300);
+
+    doc.moveDown(2);
+    if (data.client) {
+      doc
+        .font("Helvetica-Bold")
+        .text("Client", 50)
+        .font("Helvetica")
+        .text(data.client.name)
+        .text(data.client.email);
+      if (data.client.phone) doc.text(data.client.phone);
+      doc.moveDown();
+    }
+
+    if (data.booking) {
+      doc
+        .font("Helvetica-Bold")
+        .text("Booking", 50)
+        .font("Helvetica")
+        .text(`Service: ${data.booking.service}`)
+        .text(`Event date: ${date(data.booking.eventDate)}`)
+        .text(`Location: ${data.booking.location}`)
+        .text(`Booking ID: ${data.booking.id}`);
+      if (data.booking.attendees) doc.text(`Guests: ${data.booking.attendees}`);
+      doc.moveDown();
+    }
+
+    doc
+      .font("Helvetica-Bold")
+      .text("Payment", 50)
+      .font("Helvetica")
+      .text(`Payment ID: ${data.payment.id}`)
+      .text(`Method: ${data.payment.method}`)
+      .text(`Reference: ${data.payment.transactionId || "-"}`)
+      .text(`Paid: ${date(data.payment.paidAt)}`);
+    doc.moveDown();
+
+    // Amounts
+    const writeLine = (label, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(label, 50, y, { width: 330 });
+      doc.text(money(amount), 380, y, { width: 165, align: "right" });
+      doc.moveDown(0.3);
+    };
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5);
+    data.lines.forEach((line) => writeLine(line.label, line.amount));
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5);
+    writeLine(data.total.label, data.total.amount, true);
+
+    if (data.type === "RECEIPT") {
+      doc.moveDown();
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .text(
+          `Includes a platform fee of ${money(data.platformFee.amount)} (VAT ${money(data.platformFee.vat)}) retained by ${data.issuer.name}.`,
+          50
+        );
+    }
+
+    doc.end();
+  });
+
+/**
+ * Reserve the next number for a document type
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} type - RECEIPT or INVOICE
+ * @param {Date} issuedAt - Issue date (numbers restart every year)
+ * @returns {Promise<Object>} - { sequence, number }
+ */
+const nextDocumentNumber = async (tx, type, issuedAt) => {
+  const year = issuedAt.getUTCFullYear();
+  const { lastNumber } = await tx.documentSequence.upsert({
+    where: { type_year: { type, year } },
+    create: { type, year, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return {
+    sequence: lastNumber,
+    number: `${DOCUMENT_TYPES[type].prefix}-${year}-${String(lastNumber).padStart(6, "0")}`,
+  };
+};
+
+// Render a document and write it to private storage
+const storeDocumentPdf = async (document) => {
+  const buffer = await documentToPdf({
+    number: document.number,
+    issuedAt: document.issuedAt,
+    data: JSON.parse(document.data),
+  });
+  writePrivateFile(document.filePath, buffer);
+  return buffer;
+};
+
+/**
+ * Issue a document for a completed payment, or return the one already issued
+ * @param {string} paymentId - Payment ID
+ * @param {string} type - RECEIPT or INVOICE
+ * @returns {Promise<Object>} - PaymentDocument
+ */
+const issueDocument = async (paymentId, type) => {
+  const existing = await prisma.paymentDocument.findUnique({
+    where: { paymentId_type: { paymentId, type } },
+  });
+  if (existing) return existing;
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: paymentInclude,
+  });
+
+  if (!payment) {
+    throw documentError("Payment not found", 404);
+  }
+
+  if (!["COMPLETED", "REFUNDED"].includes(payment.status)) {
+    throw documentError("Documents are only issued for completed payments", 400);
+  }
+
+  const data = buildDocumentData(payment, type);
+  const issuedAt = new Date();
+
+  let document;
+  try {
+    // The number is only used if the document is created
+    document = await prisma.$transaction(async (tx) => {
+      const { sequence, number } = await nextDocumentNumber(tx, type, issuedAt);
+      return tx.paymentDocument.create({
+        data: {
+          type,
+          number,
+          sequence,
+          paymentId,
+          filePath: `documents/${number}.pdf`,
+          data: JSON.stringify(data),
+          issuedAt,
+        },
+      });
+    });
+  } catch (error) {
+    // Issued by a concurrent request
+    if (error.code === "P2002") {
+      return prisma.paymentDocument.findUnique({
+        where: { paymentId_type: { paymentId, type } },
+      });
+    }
+    throw error;
+  }
+
+  await storeDocumentPdf(document);
+  return document;
+};
+
+/**
+ * Issue the receipt and invoice for a completed payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - { receipt, invoice }
+ */
+const issuePaymentDocuments = async (paymentId) => ({
+  receipt: await issueDocument(paymentId, "RECEIPT"),
+  invoice: await issueDocument(paymentId, "INVOICE"),
+});
+
+/**
+ * PDF content of a document, rendered again if the stored file is missing
+ * @param {Object} document - PaymentDocument
+ * @returns {Promise<Buffer>}
+ */
+const getDocumentPdf = async (document) => {
+  const filePath = getPrivateFilePath(document.filePath);
+  if (filePath) {
+    return fs.promises.readFile(filePath);
+  }
+  return storeDocumentPdf(document);
+};
+
+// Email attachment for a document
+const documentAttachment = async (document) => ({
+  filename: `${document.number}.pdf`,
+  content: await getDocumentPdf(document),
+  contentType: "application/pdf",
+});
+
+module.exports = {
+  getVatRate,
+  buildDocumentData,
+  documentToPdf,
+  issueDocument,
+  issuePaymentDocuments,
+  getDocumentPdf,
+  documentAttachment,
+};
@@ -0,0 +1,75 @@
+const { providerError } = require("./common");
+
+/**
+ * Bank transfer payment provider
+ *
+ * The client transfers the amount to the platform's bank account, quoting
+ * the payment reference. Nothing can be checked automatically: the payment
+ * stays PENDING until an admin confirms (or rejects) the transfer. Refunds
+ * are paid back by hand and only recorded here.
+ *
+ * Enabled when PLATFORM_BANK_ACCOUNT_NUMBER is set.
+ */
+
+const getBankAccount = () => ({
+  bankName: process.env.PLATFORM_BANK_NAME || "Commercial Bank of Ethiopia",
+  accountName: process.env.PLATFORM_BANK_ACCOUNT_NAME || "Wedding Planning Platform",
+  accountNumber: process.env.PLATFORM_BANK_ACCOUNT_NUMBER,
+});
+
+const isEnabled = () => Boolean(process.env.PLATFORM_BANK_ACCOUNT_NUMBER);
+
+const assertReady = async () => {
+  if (!isEnabled()) {
+    throw providerError("Bank transfer payments are not available", 400);
+  }
+};
+
+const initialize = async ({ payment, amount }) => {
+  const txRef = `BT-${payment.id.slice(0, 8).toUpperCase()}`;
+
+  return {
+    txRef,
+    instructions: {
+      ...getBankAccount(),
+      amount,
+      currency: "ETB",
+      reference: txRef,
+      note: "Include the reference in the transfer description. The payment is confirmed once the transfer is checked.",
+    },
+  };
+};
+
+// Bank transfers are confirmed by an admin; report the payment's own status
+const verify = async (payment) => ({
+  status: payment.status,
+  providerStatus: "MANUAL",
+  data: null,
+});
+
+// The money is sent back by hand; nothing to call
+const refund = async () => ({ refundId: null });
+
+const parseWebhook = () => {
+  throw providerError("Bank transfers do not send webhooks", 400);
+};
+
+const parseWebhookPayload = () => {
+  throw providerError("Bank transfers do not send webhooks", 400);
+};
+
+module.exports = {
+  name: "BANK_TRANSFER",
+  label: "Bank transfer",
+  description: "Transfer to the platform bank account; confirmed after the transfer is checked",
+  automaticVerification: false,
+  isEnabled,
+  assertReady,
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  parseWebhookPayload,
+  // Payouts for bank transfers go through the vendor ledger
+  createSubaccount: async () => null,
+};
@@ -0,0 +1,159 @@
+const { v4: uuidv4 } = require("uuid");
+const prisma = require("../../prisma/client");
+const {
+  chapa,
+  createVendorSubaccount,
+  refundTransaction,
+  verifyTransaction,
+} = require("../chapa");
+const { providerError, verifyHmacSignature } = require("./common");
+
+/**
+ * Chapa payment provider
+ *
+ * Payments go through Chapa's hosted checkout, split between the platform
+ * subaccount and the vendor's subaccount by the commission percentage.
+ */
+
+// Map a Chapa transaction status to a PaymentStatus
+const mapStatus = (status) => {
+  switch (String(status || "").toLowerCase()) {
+    case "success":
+      return "COMPLETED";
+    case "pending":
+    case "not_found": // Checkout not completed (yet)
+      return "PENDING";
+    case "failed":
+    case "fail":
+    default:
+      return "FAILED";
+  }
+};
+
+// The platform and vendor subaccounts must exist before taking payments
+const assertReady = async ({ vendor }) => {
+  const adminAccount = await prisma.chapaSubaccount.findFirst({
+    where: { type: "ADMIN" },
+  });
+
+  if (!vendor?.chapaSubaccountId || !adminAccount) {
+    throw providerError("Payment accounts not configured", 500);
+  }
+};
+
+const initialize = async ({
+  payment,
+  amount,
+  commission,
+  vendor,
+  customer,
+  title,
+  description,
+}) => {
+  const adminAccount = await prisma.chapaSubaccount.findFirst({
+    where: { type: "ADMIN" },
+  });
+  const txRef = `payment-${payment.id}-${uuidv4()}`;
+
+  // Get URLs from environment variables with fallbacks
+  const frontendBaseUrl = "https://wedding-front-end-x3cf.onrender.com";
+  const backendBaseUrl = process.env.BACKEND_URL || "http://localhost:5000";
+
+  // Ensure the return URL includes both tx_ref and payment_id for verification
+  const returnUrl = `${frontendBaseUrl}/dashboard/payment/status?tx_ref=${encodeURIComponent(
+    txRef
+  )}&payment_id=${encodeURIComponent(payment.id)}`;
+
+  try {
+    const response = await chapa.post("/transaction/initialize", {
+      amount: amount.toString(),
+      currency: "ETB",
+      email: customer.email,
+      tx_ref: txRef,
+      callback_url: `${backendBaseUrl}/api/client/payment/verify`,
+      return_url: returnUrl,
+      split: {
+        type: "percentage",
+        subaccounts: [
+          { id: adminAccount.accountId, share: commission.percentage },
+          { id: vendor.chapaSubaccountId, share: 100 - commission.percentage },
+        ],
+      },
+      first_name: customer.firstName || "",
+      last_name: customer.lastName || "",
+      phone_number: customer.phone || "",
+      title,
+      description,
+    });
+
+    return { txRef, checkoutUrl: response.data.data.checkout_url };
+  } catch (error) {
+    console.error(
+      "Chapa payment error:",
+      error.response?.data,
+      adminAccount?.accountId,
+      vendor.chapaSubaccountId
+    );
+    throw error;
+  }
+};
+
+const verify = async (payment) => {
+  const { status, data } = await verifyTransaction(payment.transactionId);
+  return { status: mapStatus(status), providerStatus: status, data };
+};
+
+const refund = async (payment, { amount, reason, reference }) => {
+  const result = await refundTransaction(payment.transactionId, {
+    amount,
+    reason,
+    reference,
+  });
+  return { refundId: result.refund_id || result.id || null };
+};
+
+// Check the signature of a webhook request and describe its event
+const parseWebhook = (req) => {
+  const signature =
+    req.headers["chapa-signature"] || req.headers["x-chapa-signature"];
+
+  if (
+    !verifyHmacSignature(req.rawBody, signature, process.env.CHAPA_WEBHOOK_SECRET)
+  ) {
+    throw providerError("Invalid webhook signature", 401);
+  }
+
+  const payload = req.body;
+  if (!payload.tx_ref) {
+    throw providerError("Missing tx_ref in webhook payload", 400);
+  }
+
+  const eventType = payload.event || payload.status || "unknown";
+  return {
+    eventKey: `${payload.tx_ref}:${String(eventType).toLowerCase()}`,
+    eventType: payload.event || null,
+    txRef: payload.tx_ref,
+  };
+};
+
+// Read the transaction result from a stored webhook payload
+const parseWebhookPayload = (payload) => ({
+  txRef: payload.tx_ref,
+  status: mapStatus(payload.status),
+});
+
+module.exports = {
+  name: "CHAPA",
+  label: "Chapa",
+  description: "Pay online with cards, telebirr, CBE Birr and other wallets via Chapa",
+  automaticVerification: true,
+  isEnabled: () => true,
+  mapStatus,
+  assertReady,
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  parseWebhookPayload,
+  createSubaccount: createVendorSubaccount,
+};
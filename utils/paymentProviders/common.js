@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+
+// Create an error carrying the HTTP status the controller should respond with
+const providerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a hex HMAC-SHA256 signature against the raw request body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Signature from the request headers
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+const verifyHmacSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const signatureBuffer = Buffer.from(String(signature), "utf8");
+
+  return (
+    expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  );
+};
+
+module.exports = { providerError, verifyHmacSignature };
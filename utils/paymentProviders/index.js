@@ -0,0 +1,72 @@
+/**
+ * Payment providers
+ *
+ * Each provider implements the same interface, so controllers never talk
+ * to a payment API directly:
+ *
+ * - name, label, description     identification (`name` is stored in Payment.method)
+ * - automaticVerification        whether `verify` asks the provider (used by reconciliation)
+ * - paidToVendor                 the vendor, not the platform, receives the money
+ * - isEnabled()                  whether clients can choose the provider
+ * - assertReady({ vendor })      throws if the provider cannot take a payment for the vendor
+ * - initialize({ payment, amount, commission, vendor, customer, title, description })
+ *                                -> { txRef, checkoutUrl?, instructions? }
+ * - verify(payment)              -> { status (PaymentStatus), providerStatus, data }
+ * - refund(payment, { amount, reason, reference }) -> { refundId }
+ * - parseWebhook(req)            checks the signature -> { eventKey, eventType, txRef }
+ * - parseWebhookPayload(payload) -> { txRef, status (PaymentStatus) }
+ * - createSubaccount(vendorId)   sets up the vendor to receive split payments
+ *
+ * Provider errors carry a `statusCode` like the other utils.
+ */
+const chapaProvider = require("./chapa");
+const bankTransferProvider = require("./bankTransfer");
+const manualProvider = require("./manual");
+
+const DEFAULT_PROVIDER = "CHAPA";
+
+const providers = {
+  [chapaProvider.name]: chapaProvider,
+  [bankTransferProvider.name]: bankTransferProvider,
+  [manualProvider.name]: manualProvider,
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} [name] - Provider name (defaults to CHAPA)
+ * @returns {Object|null}
+ */
+const getProvider = (name) =>
+  providers[String(name || DEFAULT_PROVIDER).toUpperCase()] || null;
+
+// Providers clients can currently choose
+const listProviders = () =>
+  Object.values(providers)
+    .filter((provider) => provider.isEnabled())
+    .map(({ name, label, description }) => ({ name, label, description }));
+
+// Names of providers whose payments can be verified automatically
+const getAutomaticProviderNames = () =>
+  Object.values(providers)
+    .filter((provider) => provider.automaticVerification)
+    .map((provider) => provider.name);
+
+/**
+ * Set up a vendor with every enabled provider
+ * @param {string} vendorId - Vendor ID
+ */
+const createProviderSubaccounts = async (vendorId) => {
+  for (const provider of Object.values(providers)) {
+    if (provider.isEnabled()) {
+      await provider.createSubaccount(vendorId);
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders,
+  getAutomaticProviderNames,
+  createProviderSubaccounts,
+};
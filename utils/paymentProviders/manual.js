@@ -0,0 +1,54 @@
+const { providerError } = require("./common");
+
+/**
+ * Manual (offline) payment provider
+ *
+ * For money the client has already paid straight to the vendor, usually
+ * by bank transfer. The client records the payment with a receipt image
+ * (POST /api/client/payment/manual); the vendor who received it or an admin
+ * then verifies or rejects it. Since the vendor holds the money, the vendor
+ * ledger only records the platform fee the vendor owes.
+ */
+
+const assertReady = async () => {
+  throw providerError(
+    "Manual payments are recorded with a receipt at /api/client/payment/manual",
+    400
+  );
+};
+
+const initialize = assertReady;
+
+// Manual payments are verified by a person; report the payment's own status
+const verify = async (payment) => ({
+  status: payment.status,
+  providerStatus: "MANUAL",
+  data: null,
+});
+
+// The vendor returns the money directly; nothing to call
+const refund = async () => ({ refundId: null });
+
+const parseWebhook = () => {
+  throw providerError("Manual payments do not send webhooks", 400);
+};
+
+const parseWebhookPayload = () => {
+  throw providerError("Manual payments do not send webhooks", 400);
+};
+
+module.exports = {
+  name: "MANUAL",
+  label: "Paid to vendor",
+  description: "Record a transfer already paid to the vendor and upload its receipt",
+  automaticVerification: false,
+  paidToVendor: true,
+  isEnabled: () => true,
+  assertReady,
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  parseWebhookPayload,
+  createSubaccount: async () => null,
+};
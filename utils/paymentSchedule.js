@@ -0,0 +1,348 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Payment schedule helpers
+ *
+ * Each booking is paid as a deposit followed by one or more installments.
+ * The deposit share, number of installments and how long before the event
+ * the balance is due come from the vendor's settings. A booking is only
+ * confirmed once its deposit has been paid.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Due dates of the payments after the deposit: the last one is due
+ * `balanceDueDays` before the event, the others are spread evenly between
+ * now and then
+ * @param {Object} options
+ * @param {number} options.count - Number of payments
+ * @param {Date} options.eventDate - Event date
+ * @param {number} options.balanceDueDays - Days before the event the balance is due
+ * @param {Date} options.now - Schedule start
+ * @returns {Date[]}
+ */
+const spreadDueDates = ({ count, eventDate, balanceDueDays, now }) => {
+  const finalDue = Math.max(
+    now.getTime(),
+    new Date(eventDate).getTime() - balanceDueDays * DAY_MS
+  );
+
+  return Array.from(
+    { length: count },
+    (_, index) =>
+      new Date(
+        now.getTime() + ((finalDue - now.getTime()) * (index + 1)) / count
+      )
+  );
+};
+
+/**
+ * Split a booking total into a deposit and installments
+ * @param {Object} options
+ * @param {number} options.totalAmount - Booking total
+ * @param {number} options.depositPercentage - Share due up front (0-100)
+ * @param {number} options.installmentCount - Payments after the deposit
+ * @param {number} options.balanceDueDays - Days before the event the balance is due
+ * @param {Date} options.eventDate - Event date
+ * @param {Date} [options.now] - Schedule start
+ * @returns {Object[]} - [{ sequence, type, amount, dueDate }]
+ */
+const buildInstallments = ({
+  totalAmount,
+  depositPercentage,
+  installmentCount,
+  balanceDueDays,
+  eventDate,
+  now = new Date(),
+}) => {
+  const installments = [];
+  let sequence = 1;
+
+  const deposit = roundAmount((totalAmount * depositPercentage) / 100);
+  if (deposit > 0) {
+    installments.push({
+      sequence: sequence++,
+      type: "DEPOSIT",
+      amount: deposit,
+      dueDate: now,
+    });
+  }
+
+  const remaining = roundAmount(totalAmount - deposit);
+  if (remaining <= 0) return installments;
+
+  const count = Math.max(installmentCount, 1);
+  const dueDates = spreadDueDates({ count, eventDate, balanceDueDays, now });
+  const baseAmount = Math.floor((remaining / count) * 100) / 100;
+
+  for (let i = 1; i <= count; i++) {
+    const isLast = i === count;
+    installments.push({
+      sequence: sequence++,
+      type: isLast ? "BALANCE" : "INSTALLMENT",
+      amount: isLast ? roundAmount(remaining - baseAmount * (count - 1)) : baseAmount,
+      dueDate: dueDates[i - 1],
+    });
+  }
+
+  return installments;
+};
+
+/**
+ * Build the booking fields for a new payment schedule, for use inside
+ * `prisma.booking.create` / `update`
+ * @param {Object} vendor - Vendor with deposit settings
+ * @param {number} totalAmount - Booking total
+ * @param {Date} eventDate - Event date
+ * @returns {Object}
+ */
+const paymentScheduleData = (vendor, totalAmount, eventDate) => ({
+  totalAmount,
+  balanceDue: totalAmount,
+  paymentSchedule: {
+    create: {
+      totalAmount,
+      depositPercentage: vendor.depositPercentage,
+      installments: {
+        create: buildInstallments({
+          totalAmount,
+          depositPercentage: vendor.depositPercentage,
+          installmentCount: vendor.installmentCount,
+          balanceDueDays: vendor.balanceDueDays,
+          eventDate,
+        }),
+      },
+    },
+  },
+});
+
+const scheduleInclude = {
+  installments: { orderBy: { sequence: "asc" } },
+};
+
+/**
+ * Get the payment schedule of a booking, creating it for bookings made
+ * before schedules existed
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} - Schedule with installments
+ */
+const ensurePaymentSchedule = async (bookingId) => {
+  const existing = await prisma.paymentSchedule.findUnique({
+    where: { bookingId },
+    include: scheduleInclude,
+  });
+  if (existing) return existing;
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: { service: { include: { vendor: true } } },
+  });
+
+  const totalAmount = booking.totalAmount ?? booking.service.price;
+
+  await prisma.booking.update({
+    where: { id: bookingId },
+    data: {
+      ...paymentScheduleData(
+        booking.service.vendor,
+        totalAmount,
+        booking.eventDate
+      ),
+      balanceDue: roundAmount(totalAmount - booking.amountPaid),
+    },
+  });
+
+  return prisma.paymentSchedule.findUnique({
+    where: { bookingId },
+    include: scheduleInclude,
+  });
+};
+
+// Whether the deposit (if the schedule has one) has been paid
+const isDepositPaid = (schedule) =>
+  schedule.installments
+    .filter((installment) => installment.type === "DEPOSIT")
+    .every((installment) => installment.status === "PAID");
+
+/**
+ * Pick the installment a client should pay next
+ * @param {Object} schedule - Schedule with installments
+ * @param {string} [installmentId] - Installment the client asked to pay
+ * @returns {Object|null} - Installment, or null if nothing is payable
+ */
+const getPayableInstallment = (schedule, installmentId) => {
+  const pending = schedule.installments.filter(
+    (installment) => installment.status === "PENDING"
+  );
+  if (!installmentId) return pending[0] || null;
+
+  const installment = pending.find((i) => i.id === installmentId);
+  if (!installment) return null;
+
+  // The deposit always has to be paid first
+  if (installment.type !== "DEPOSIT" && !isDepositPaid(schedule)) return null;
+
+  return installment;
+};
+
+/**
+ * Apply a completed payment to its installment and the booking balance.
+ * The installment is claimed PENDING -> PAID first, so a second payment
+ * completing for the same installment is not added to the booking again.
+ * @param {Object} payment - Payment with `amount`, `bookingId`, `installmentId`
+ * @param {Object} [db] - Prisma client or transaction to write with
+ * @returns {Promise<Object>} - { booking, depositPaid, applied }
+ */
+const applyCompletedPayment = async (payment, db = prisma) => {
+  if (!payment.bookingId) {
+    return { booking: null, depositPaid: false, applied: false };
+  }
+
+  let applied = true;
+  if (payment.installmentId) {
+    const { count } = await db.paymentInstallment.updateMany({
+      where: { id: payment.installmentId, status: "PENDING" },
+      data: { status: "PAID", paidAt: new Date() },
+    });
+    applied = count > 0;
+  }
+
+  let booking = await db.booking.findUnique({
+    where: { id: payment.bookingId },
+    include: { paymentSchedule: { include: scheduleInclude } },
+  });
+
+  if (applied) {
+    const { amountPaid } = await db.booking.update({
+      where: { id: booking.id },
+      data: { amountPaid: { increment: payment.amount } },
+      select: { amountPaid: true },
+    });
+    booking = await db.booking.update({
+      where: { id: booking.id },
+      data: {
+        balanceDue:
+          booking.totalAmount != null
+            ? Math.max(roundAmount(booking.totalAmount - amountPaid), 0)
+            : null,
+      },
+      include: { paymentSchedule: { include: scheduleInclude } },
+    });
+  }
+
+  return {
+    booking,
+    // Bookings without a schedule are confirmed by their first payment
+    depositPaid: booking.paymentSchedule
+      ? isDepositPaid(booking.paymentSchedule)
+      : true,
+    applied,
+  };
+};
+
+/**
+ * Find the payment open (PENDING) for an installment. Payment.openInstallmentId
+ * is unique, so creating a second one fails even when requests race.
+ * @param {string} installmentId - Installment ID
+ * @returns {Promise<Object|null>}
+ */
+const findPendingInstallmentPayment = (installmentId) =>
+  prisma.payment.findUnique({
+    where: { openInstallmentId: installmentId },
+  });
+
+/**
+ * Move the due dates of a booking's unpaid installments after its event date
+ * changed, spread the way a new schedule would be. The deposit keeps its
+ * date.
+ * @param {string} bookingId - Booking ID
+ * @param {Object} options
+ * @param {Date} options.eventDate - New event date
+ * @param {number} options.balanceDueDays - Vendor's balance due setting
+ * @param {Object} [db] - Prisma client or transaction to write with
+ */
+const rescheduleInstallments = async (
+  bookingId,
+  { eventDate, balanceDueDays },
+  db = prisma
+) => {
+  const installments = await db.paymentInstallment.findMany({
+    where: {
+      schedule: { bookingId },
+      status: "PENDING",
+      type: { not: "DEPOSIT" },
+    },
+    orderBy: { sequence: "asc" },
+  });
+  if (installments.length === 0) return;
+
+  const dueDates = spreadDueDates({
+    count: installments.length,
+    eventDate,
+    balanceDueDays,
+    now: new Date(),
+  });
+
+  for (const [index, installment] of installments.entries()) {
+    await db.paymentInstallment.update({
+      where: { id: installment.id },
+      data: { dueDate: dueDates[index] },
+    });
+  }
+};
+
+/**
+ * Cancel the unpaid installments of a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [db] - Prisma client or transaction to write with
+ */
+const cancelOutstandingInstallments = (bookingId, db = prisma) =>
+  db.paymentInstallment.updateMany({
+    where: { schedule: { bookingId }, status: "PENDING" },
+    data: { status: "CANCELLED" },
+  });
+
+/**
+ * Format a schedule for API responses
+ * @param {Object} schedule - Schedule with installments
+ * @param {Object} booking - Booking with `totalAmount`, `amountPaid`, `balanceDue`
+ * @returns {Object}
+ */
+const formatSchedule = (schedule, booking) => {
+  const now = new Date();
+  return {
+    id: schedule.id,
+    totalAmount: schedule.totalAmount,
+    depositPercentage: schedule.depositPercentage,
+    amountPaid: booking.amountPaid,
+    balanceDue: booking.balanceDue,
+    depositPaid: isDepositPaid(schedule),
+    installments: schedule.installments.map((installment) => ({
+      id: installment.id,
+      sequence: installment.sequence,
+      type: installment.type,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      status: installment.status,
+      paidAt: installment.paidAt,
+      overdue: installment.status === "PENDING" && installment.dueDate < now,
+    })),
+  };
+};
+
+module.exports = {
+  buildInstallments,
+  paymentScheduleData,
+  ensurePaymentSchedule,
+  isDepositPaid,
+  getPayableInstallment,
+  applyCompletedPayment,
+  findPendingInstallmentPayment,
+  rescheduleInstallments,
+  cancelOutstandingInstallments,
+  formatSchedule,
+};
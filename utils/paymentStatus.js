@@ -0,0 +1,285 @@
+const prisma = require("../prisma/client");
+const { bookingEventData } = require("./bookingHistory");
+const { applyCompletedPayment } = require("./paymentSchedule");
+const { paymentLedgerEntries, postLedgerEntries } = require("./ledger");
+const { getProvider } = require("./paymentProviders");
+const { computeSplitReversal } = require("./refunds");
+const {
+  issuePaymentDocuments,
+  documentAttachment,
+} = require("./paymentDocuments");
+const {
+  sendPaymentCompletionToVendor,
+  sendPaymentReceiptToClient,
+  sendNewBookingToVendor,
+  sendManualPaymentRejectedToClient,
+} = require("./emailService");
+
+/**
+ * Payment status helpers
+ *
+ * Payment statuses only move forward: PENDING -> FAILED -> COMPLETED ->
+ * REFUNDED. A late success can still complete a payment that was marked
+ * FAILED, but a COMPLETED payment is never moved back by a stale verify
+ * response or a retried webhook. Everything that follows a completion
+ * (ledger credit, installment, booking confirmation, receipt and invoice,
+ * emails) runs only on the transition. A payment that completes after its
+ * installment was already paid or cancelled is not applied; a refund of it
+ * is queued for an admin instead. The status change commits together
+ * with the ledger, installment and booking updates, so if one of them fails
+ * the payment stays as it was and the next verify, webhook or
+ * reconciliation run completes it.
+ */
+
+// Create an error carrying the HTTP status the controller should respond with
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const STATUS_RANK = {
+  PENDING: 0,
+  FAILED: 1,
+  COMPLETED: 2,
+  REFUNDED: 3,
+};
+
+// Whether a payment may move from one status to another
+const canTransition = (fromStatus, toStatus) =>
+  STATUS_RANK[toStatus] > STATUS_RANK[fromStatus];
+
+const notificationInclude = {
+  booking: {
+    include: {
+      client: {
+        include: {
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+      service: {
+        select: {
+          name: true,
+          price: true,
+          vendor: {
+            select: {
+              businessName: true,
+              id: true,
+              user: {
+                select: { firstName: true, lastName: true, email: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Move a payment to a new status if that is a forward transition, and run
+ * the side effects of completing it
+ * @param {Object} payment - Payment as currently stored
+ * @param {string} status - New PaymentStatus
+ * @param {Object} options
+ * @param {Object} [options.user] - User who triggered the change, if any
+ * @param {string} options.source - Booking event source (PAYMENT_VERIFY, PAYMENT_WEBHOOK, ...)
+ * @returns {Promise<Object>} - { payment, changed, bookingConfirmed }
+ */
+const applyPaymentStatus = async (payment, status, { user, source }) => {
+  if (!canTransition(payment.status, status)) {
+    return { payment, changed: false, bookingConfirmed: false };
+  }
+
+  const outcome = await prisma.$transaction(async (tx) => {
+    // Only the request that actually moves the status runs the side effects
+    // Leaving PENDING also frees the installment for another payment
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: payment.status },
+      data: { status, openInstallmentId: null },
+    });
+
+    if (count === 0) return null;
+    if (status !== "COMPLETED") {
+      return { applied: false, bookingConfirmed: false };
+    }
+
+    const { booking, depositPaid, applied } = await applyCompletedPayment(
+      payment,
+      tx
+    );
+
+    // The installment was paid by another payment or cancelled with the
+    // booking (e.g. a checkout that expired and completed late): nothing is
+    // owed to the vendor, so the whole payment goes back to the client
+    if (!applied) {
+      await tx.refund.create({
+        data: {
+          paymentId: payment.id,
+          amount: payment.amount,
+          reason: "The installment was already paid or cancelled when this payment completed",
+          ...computeSplitReversal(payment, payment.amount),
+        },
+      });
+      return { applied: false, bookingConfirmed: false };
+    }
+
+    // Credit the vendor's payout ledger
+    await postLedgerEntries(paymentLedgerEntries(payment), tx);
+
+    // Confirm the booking once the deposit is paid
+    if (!depositPaid || booking?.status !== "PENDING") {
+      return { applied: true, bookingConfirmed: false };
+    }
+
+    await tx.booking.update({
+      where: { id: booking.id },
+      data: {
+        status: "CONFIRMED",
+        events: {
+          create: bookingEventData({
+            fromStatus: booking.status,
+            toStatus: "CONFIRMED",
+            user,
+            source,
+            reason: `Payment ${payment.id} completed`,
+          }),
+        },
+      },
+    });
+    return { applied: true, bookingConfirmed: true };
+  });
+
+  if (!outcome) {
+    const current = await prisma.payment.findUnique({
+      where: { id: payment.id },
+    });
+    return { payment: current, changed: false, bookingConfirmed: false };
+  }
+
+  const { applied, bookingConfirmed } = outcome;
+
+  const updatedPayment = await prisma.payment.findUnique({
+    where: { id: payment.id },
+    include: notificationInclude,
+  });
+
+  if (status === "COMPLETED" && !applied) {
+    console.warn(`Payment ${payment.id} completed after its installment was settled; refund queued`);
+  }
+
+  if (applied && updatedPayment.booking) {
+    // Receipt for the client and platform fee invoice for the vendor. A
+    // failure here leaves the documents to be issued when first requested.
+    let documents = null;
+    try {
+      documents = await issuePaymentDocuments(payment.id);
+    } catch (documentError) {
+      console.error(`Error issuing documents for payment ${payment.id}:`, documentError);
+    }
+
+    const vendor = updatedPayment.booking.service.vendor;
+    try {
+      await sendPaymentCompletionToVendor(
+        updatedPayment,
+        updatedPayment.booking,
+        vendor,
+        documents ? [await documentAttachment(documents.invoice)] : undefined
+      );
+      if (documents) {
+        await sendPaymentReceiptToClient(
+          updatedPayment,
+          updatedPayment.booking,
+          documents.receipt,
+          [await documentAttachment(documents.receipt)]
+        );
+      }
+      if (bookingConfirmed) {
+        await sendNewBookingToVendor(updatedPayment.booking, vendor);
+      }
+      console.log(`Payment notification emails sent for payment ID: ${payment.id}`);
+    } catch (emailError) {
+      console.error("Error sending payment notification emails:", emailError);
+    }
+  }
+
+  return { payment: updatedPayment, changed: true, bookingConfirmed };
+};
+
+/**
+ * Confirm or reject a payment whose provider cannot verify it automatically
+ * (e.g. a bank transfer). Confirming completes it exactly like a verified
+ * Chapa payment.
+ * @param {string} paymentId - Payment to review
+ * @param {Object} options
+ * @param {boolean} options.approve - true to confirm, false to reject
+ * @param {Object} options.reviewer - User reviewing the payment
+ * @param {string} [options.note] - Reason or reference noted by the reviewer
+ * @param {string} [options.source] - Booking event source (ADMIN or VENDOR, defaults to ADMIN)
+ * @returns {Promise<Object>} - { payment, bookingConfirmed }
+ */
+const reviewManualPayment = async (
+  paymentId,
+  { approve, reviewer, note, source = "ADMIN" }
+) => {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+  if (!payment) {
+    throw paymentError("Payment not found", 404);
+  }
+
+  if (getProvider(payment.method)?.automaticVerification !== false) {
+    throw paymentError(
+      `${payment.method} payments are verified automatically and cannot be reviewed`,
+      400
+    );
+  }
+
+  if (payment.status !== "PENDING") {
+    throw paymentError(`Payment is already ${payment.status}`, 400);
+  }
+
+  if (!approve && !note) {
+    throw paymentError("A reason is required to reject a payment", 400);
+  }
+
+  const { changed, bookingConfirmed } = await applyPaymentStatus(
+    payment,
+    approve ? "COMPLETED" : "FAILED",
+    { user: reviewer, source }
+  );
+
+  if (!changed) {
+    throw paymentError("Payment was reviewed by someone else", 409);
+  }
+
+  const updatedPayment = await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      reviewedById: reviewer.id,
+      reviewedAt: new Date(),
+      reviewNote: note || null,
+    },
+    include: notificationInclude,
+  });
+
+  if (!approve && updatedPayment.booking?.client) {
+    try {
+      await sendManualPaymentRejectedToClient(
+        updatedPayment,
+        updatedPayment.booking,
+        updatedPayment.booking.client.user
+      );
+    } catch (emailError) {
+      console.error("Error sending payment rejection email:", emailError);
+    }
+  }
+
+  return { payment: updatedPayment, bookingConfirmed };
+};
+
+module.exports = {
+  canTransition,
+  applyPaymentStatus,
+  reviewManualPayment,
+};
@@ -0,0 +1,224 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Permission registry
+ *
+ * Every route declares the permission it needs (see `requirePermission` in
+ * middleware/authMiddleware.js). Built-in roles get a fixed set below; STAFF
+ * users get the permissions of the custom StaffRole an admin assigned them
+ * (e.g. "finance" with payments:read and payments:manage).
+ *
+ * Permissions are `<resource>:<action>`. Back-office permissions can be
+ * given to staff roles, except those marked `staffAssignable: false`, which
+ * would let a staff member grant themselves more access. Portal permissions
+ * (client:*, vendor:*, planner:*) belong to their built-in role only.
+ */
+
+const PERMISSIONS = {
+  // Back office
+  "accounts:manage": {
+    description: "Review, block and unblock accounts and clear reports",
+  },
+  "bookings:read": { description: "View booking history" },
+  "clients:read": { description: "View clients" },
+  "clients:manage": {
+    description: "Create, update and delete clients and reset their passwords",
+  },
+  "commission:read": { description: "View commission rules and previews" },
+  "commission:manage": {
+    description: "Create, update and end commission rules",
+  },
+  "dashboard:read": { description: "View the admin dashboard" },
+  "event-planners:read": { description: "View event planners" },
+  "event-planners:manage": {
+    description: "Invite, update, block and remove event planners",
+  },
+  "feedback:read": { description: "View feedback, complaints and ratings" },
+  "invitations:manage": {
+    description: "Invite admins, event planners and staff",
+    staffAssignable: false,
+  },
+  "payments:read": {
+    description:
+      "View payments, refunds, webhooks, reconciliation, balances and transfer receipts",
+  },
+  "payments:manage": {
+    description:
+      "Confirm or reject manual payments, handle refunds, replay webhooks and run reconciliation",
+  },
+  "payouts:manage": { description: "Record payouts to vendors" },
+  "roles:manage": {
+    description: "Create staff roles and assign them",
+    staffAssignable: false,
+  },
+  "security:manage": {
+    description:
+      "Set the two-factor policy, reset users' two-factor, review failed sign-ins and unlock accounts",
+    staffAssignable: false,
+  },
+  "service-categories:manage": { description: "Manage service categories" },
+  "vendors:read": { description: "View vendors and their listings" },
+  "vendors:approve": { description: "Approve and suspend vendors" },
+  "vendors:block": { description: "Block and unblock vendors" },
+  "vendors:manage": { description: "Edit and delete vendors" },
+
+  // Client portal
+  "client:account": { portal: "CLIENT", description: "Manage own account" },
+  "client:bookings": { portal: "CLIENT", description: "Book services" },
+  "client:conversations": { portal: "CLIENT", description: "Message vendors" },
+  "client:dashboard": { portal: "CLIENT", description: "View own dashboard" },
+  "client:feedback": { portal: "CLIENT", description: "Leave feedback" },
+  "client:payments": { portal: "CLIENT", description: "Pay for bookings" },
+
+  // Vendor portal
+  "vendor:account": { portal: "VENDOR", description: "Manage own account" },
+  "vendor:availability": {
+    portal: "VENDOR",
+    description: "Manage availability and blocked dates",
+  },
+  "vendor:bookings": { portal: "VENDOR", description: "Handle bookings" },
+  "vendor:conversations": { portal: "VENDOR", description: "Message clients" },
+  "vendor:dashboard": { portal: "VENDOR", description: "View own dashboard" },
+  "vendor:payments": {
+    portal: "VENDOR",
+    description: "View payments and verify transfers",
+  },
+  "vendor:pricing": {
+    portal: "VENDOR",
+    description: "Manage pricing, deposits and cancellation policy",
+  },
+  "vendor:services": { portal: "VENDOR", description: "Manage services" },
+
+  // Event planner portal
+  "planner:account": {
+    portal: "EVENT_PLANNER",
+    description: "Manage own account",
+  },
+  "planner:clients": {
+    portal: "EVENT_PLANNER",
+    description: "Manage, block and report clients",
+  },
+  "planner:conversations": {
+    portal: "EVENT_PLANNER",
+    description: "Message clients and vendors in group conversations",
+  },
+  "planner:dashboard": {
+    portal: "EVENT_PLANNER",
+    description: "View own dashboard",
+  },
+  "planner:feedback": { portal: "EVENT_PLANNER", description: "View feedback" },
+  "planner:payments": { portal: "EVENT_PLANNER", description: "View payments" },
+  "planner:vendors": {
+    portal: "EVENT_PLANNER",
+    description: "Manage, block and report vendors",
+  },
+};
+
+const BACK_OFFICE_PERMISSIONS = Object.keys(PERMISSIONS).filter(
+  (permission) => !PERMISSIONS[permission].portal
+);
+
+const portalPermissions = (role) =>
+  Object.keys(PERMISSIONS).filter(
+    (permission) => PERMISSIONS[permission].portal === role
+  );
+
+// Permissions of the built-in roles. STAFF has none of its own.
+const ROLE_PERMISSIONS = {
+  ADMIN: BACK_OFFICE_PERMISSIONS,
+  EVENT_PLANNER: [
+    ...portalPermissions("EVENT_PLANNER"),
+    // Planners help run the vendor side of the platform
+    "dashboard:read",
+    "feedback:read",
+    "vendors:read",
+    "vendors:approve",
+    "vendors:block",
+    "vendors:manage",
+  ],
+  VENDOR: portalPermissions("VENDOR"),
+  CLIENT: portalPermissions("CLIENT"),
+  STAFF: [],
+};
+
+// Create an error carrying the HTTP status the controller should respond with
+const permissionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Stored permissions of a staff role, as an array
+const parseStaffPermissions = (staffRole) => {
+  try {
+    const permissions = JSON.parse(staffRole?.permissions || "[]");
+    return Array.isArray(permissions) ? permissions : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Check a list of permissions an admin wants to give a staff role
+ * @param {string[]} permissions - Permission keys
+ * @returns {string[]} - The permissions, without duplicates
+ */
+const validateStaffPermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw permissionError("Permissions must be an array", 400);
+  }
+
+  const invalid = permissions.filter(
+    (permission) =>
+      !PERMISSIONS[permission] ||
+      PERMISSIONS[permission].portal ||
+      PERMISSIONS[permission].staffAssignable === false
+  );
+  if (invalid.length > 0) {
+    throw permissionError(
+      `These permissions cannot be given to staff roles: ${invalid.join(", ")}`,
+      400
+    );
+  }
+
+  return [...new Set(permissions)];
+};
+
+/**
+ * Permissions a user currently has. Staff permissions are read from the
+ * database so role changes apply immediately.
+ * @param {Object} user - User with `id` and `role`
+ * @returns {Promise<string[]>}
+ */
+const getUserPermissions = async (user) => {
+  if (user.role !== "STAFF") {
+    return ROLE_PERMISSIONS[user.role] || [];
+  }
+
+  const staff = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { staffRole: { select: { permissions: true } } },
+  });
+  return parseStaffPermissions(staff?.staffRole);
+};
+
+/**
+ * The registry, for admin screens
+ * @returns {Object[]} - { permission, description, portal, staffAssignable }
+ */
+const listPermissions = () =>
+  Object.entries(PERMISSIONS).map(([permission, details]) => ({
+    permission,
+    description: details.description,
+    portal: details.portal || null,
+    staffAssignable: !details.portal && details.staffAssignable !== false,
+  }));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  parseStaffPermissions,
+  validateStaffPermissions,
+  getUserPermissions,
+  listPermissions,
+};
@@ -0,0 +1,198 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Online presence
+ *
+ * A user is online while they have at least one chat socket open, so
+ * several tabs count once and closing one of them does not take the user
+ * offline. Open sockets are counted in memory; User.isOnline and
+ * User.lastSeenAt mirror the result for the REST API and for users who are
+ * not connected. Presence is only shown to the user's conversation partners.
+ */
+
+const MAX_PRESENCE_USERS = 100;
+
+// userId -> IDs of the user's open sockets
+const openSockets = new Map();
+
+// userId -> the user's latest presence write, so writes land in order
+const pendingWrites = new Map();
+
+// The Socket.IO server, once server.js has created it
+let socketServer = null;
+
+const presenceSelect = { id: true, isOnline: true, lastSeenAt: true };
+
+// Create an error carrying the HTTP status the controller should respond with
+const presenceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toPresence = (user) => ({
+  userId: user.id,
+  isOnline: user.isOnline,
+  lastSeenAt: user.lastSeenAt,
+});
+
+/**
+ * Socket.IO room every socket of a user joins, for events meant for the
+ * user wherever they are connected
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Remember the Socket.IO server, so code outside the socket handlers can
+ * reach connected users
+ * @param {Object} io - Socket.IO server
+ */
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+/**
+ * Disconnect a user's open sockets, e.g. once their sessions are revoked;
+ * does nothing when no socket server is running (scripts, tests)
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Keep sockets opened with this session
+ * @returns {Promise<number>} - How many sockets were disconnected
+ */
+const disconnectUserSockets = async (userId, { exceptSessionId } = {}) => {
+  if (!socketServer) return 0;
+  const sockets = await socketServer.in(userRoom(userId)).fetchSockets();
+  const closing = sockets.filter(
+    (socket) => !exceptSessionId || socket.sessionId !== exceptSessionId
+  );
+  closing.forEach((socket) => socket.disconnect(true));
+  return closing.length;
+};
+
+// Save a presence change after the user's earlier ones
+const savePresence = (userId, data) => {
+  const previous = pendingWrites.get(userId) || Promise.resolve();
+  const write = previous.then(() =>
+    prisma.user.update({
+      where: { id: userId },
+      data,
+      select: presenceSelect,
+    })
+  );
+
+  const settled = write.catch(() => {});
+  pendingWrites.set(userId, settled);
+  settled.then(() => {
+    if (pendingWrites.get(userId) === settled) pendingWrites.delete(userId);
+  });
+
+  return write.then(toPresence);
+};
+
+/**
+ * Record a chat socket opening
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<Object|null>} - The user's new presence if they just came
+ *   online, or null if they already were
+ */
+const socketConnected = async (userId, socketId) => {
+  let sockets = openSockets.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    openSockets.set(userId, sockets);
+  }
+  sockets.add(socketId);
+  if (sockets.size > 1) return null;
+
+  return savePresence(userId, { isOnline: true });
+};
+
+/**
+ * Record a chat socket closing
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<Object|null>} - The user's new presence if that was their
+ *   last socket, or null if they are still online
+ */
+const socketDisconnected = async (userId, socketId) => {
+  const sockets = openSockets.get(userId);
+  if (!sockets || !sockets.delete(socketId) || sockets.size > 0) return null;
+  openSockets.delete(userId);
+
+  return savePresence(userId, { isOnline: false, lastSeenAt: new Date() });
+};
+
+/**
+ * IDs of everyone the user shares a conversation with
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+const getPartnerIds = async (userId) => {
+  const conversations = await prisma.conversation.findMany({
+    where: { participants: { some: { id: userId } } },
+    select: { participants: { select: { id: true } } },
+  });
+
+  const partnerIds = new Set();
+  for (const { participants } of conversations) {
+    for (const { id } of participants) {
+      if (id !== userId) partnerIds.add(id);
+    }
+  }
+  return [...partnerIds];
+};
+
+/**
+ * Presence of the user's conversation partners
+ * @param {string} userId - Signed-in user
+ * @param {string[]} [userIds] - Only these users (others are left out);
+ *   defaults to every partner
+ * @returns {Promise<Object[]>} - [{ userId, isOnline, lastSeenAt }]
+ */
+const getPartnerPresence = async (userId, userIds) => {
+  if (userIds && userIds.length > MAX_PRESENCE_USERS) {
+    throw presenceError(
+      `Presence can be looked up for at most ${MAX_PRESENCE_USERS} users at a time`,
+      400
+    );
+  }
+
+  let partnerIds = await getPartnerIds(userId);
+  if (userIds) {
+    partnerIds = partnerIds.filter((id) => userIds.includes(id));
+  }
+  if (partnerIds.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: partnerIds } },
+    select: presenceSelect,
+  });
+  return users.map(toPresence);
+};
+
+/**
+ * Mark everyone offline; call on startup, since sockets from a previous run
+ * are gone
+ * @returns {Promise<number>} - How many users were marked offline
+ */
+const resetPresence = async () => {
+  const { count } = await prisma.user.updateMany({
+    where: { isOnline: true },
+    data: { isOnline: false, lastSeenAt: new Date() },
+  });
+  return count;
+};
+
+module.exports = {
+  userRoom,
+  setSocketServer,
+  disconnectUserSockets,
+  socketConnected,
+  socketDisconnected,
+  getPartnerIds,
+  getPartnerPresence,
+  resetPresence,
+};
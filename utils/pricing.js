@@ -0,0 +1,290 @@
+const prisma = require("../prisma/client");
+
+/**
+ * Pricing helpers
+ *
+ * The amount a client pays is always worked out here from the service
+ * price, its package tier, the number of attendees, selected add-ons and
+ * any discount code. Amounts sent by the client are never trusted.
+ *
+ * A quote is a list of line items plus totals. It is stored on the booking
+ * (`priceBreakdown`) when the booking is made, so later price changes by
+ * the vendor do not change what the client agreed to pay.
+ */
+
+const CURRENCY = "ETB";
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Create an error carrying the HTTP status the controller should respond with
+const pricingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Read a number of attendees sent by a client
+ * @param {number|string} [attendees] - Number of guests
+ * @returns {number|null} - The number, or null if none was given
+ */
+const parseAttendees = (attendees) => {
+  if (attendees == null || attendees === "") return null;
+
+  const guests = typeof attendees === "string" ? Number(attendees) : attendees;
+  if (!Number.isInteger(guests) || guests < 0) {
+    throw pricingError("attendees must be a non-negative integer", 400);
+  }
+  return guests;
+};
+
+/**
+ * Calculate a quote for a service
+ * @param {Object} options
+ * @param {Object} options.service - Service with `price`, `packageType`, `includedGuests`, `pricePerGuest`
+ * @param {number} [options.attendees] - Number of guests
+ * @param {Object[]} [options.addOns] - Selected add-ons ({ id, name, price, perGuest })
+ * @param {Object} [options.discount] - Discount ({ id, code, type, value })
+ * @returns {Object} - { currency, lineItems, subtotal, discount, total }
+ */
+const calculateQuote = ({ service, attendees, addOns = [], discount }) => {
+  const guests = parseAttendees(attendees) ?? 0;
+  const lineItems = [];
+
+  lineItems.push({
+    type: "BASE",
+    description: service.packageType
+      ? `${service.name} (${service.packageType} package)`
+      : service.name,
+    quantity: 1,
+    unitPrice: service.price,
+    amount: roundAmount(service.price),
+  });
+
+  // Guests above what the base price covers
+  if (service.pricePerGuest && service.includedGuests != null) {
+    const extraGuests = Math.max(guests - service.includedGuests, 0);
+    if (extraGuests > 0) {
+      lineItems.push({
+        type: "EXTRA_GUESTS",
+        description: `Additional guests beyond ${service.includedGuests}`,
+        quantity: extraGuests,
+        unitPrice: service.pricePerGuest,
+        amount: roundAmount(extraGuests * service.pricePerGuest),
+      });
+    }
+  }
+
+  addOns.forEach((addOn) => {
+    const quantity = addOn.perGuest ? Math.max(guests, 1) : 1;
+    lineItems.push({
+      type: "ADD_ON",
+      addOnId: addOn.id,
+      description: addOn.name,
+      quantity,
+      unitPrice: addOn.price,
+      amount: roundAmount(quantity * addOn.price),
+    });
+  });
+
+  const subtotal = roundAmount(
+    lineItems.reduce((sum, item) => sum + item.amount, 0)
+  );
+
+  let discountAmount = 0;
+  if (discount) {
+    discountAmount =
+      discount.type === "PERCENTAGE"
+        ? roundAmount((subtotal * discount.value) / 100)
+        : roundAmount(discount.value);
+    discountAmount = Math.min(discountAmount, subtotal);
+
+    lineItems.push({
+      type: "DISCOUNT",
+      discountId: discount.id,
+      description:
+        discount.type === "PERCENTAGE"
+          ? `Discount ${discount.code} (${discount.value}%)`
+          : `Discount ${discount.code}`,
+      quantity: 1,
+      unitPrice: -discountAmount,
+      amount: -discountAmount,
+    });
+  }
+
+  return {
+    currency: CURRENCY,
+    lineItems,
+    subtotal,
+    discount: discountAmount,
+    total: roundAmount(subtotal - discountAmount),
+  };
+};
+
+/**
+ * Load the add-ons a client selected, making sure they belong to the service
+ * @param {Object} service - Service with `id`
+ * @param {string[]} [addOnIds] - Selected add-on IDs
+ * @returns {Promise<Object[]>}
+ */
+const resolveAddOns = async (service, addOnIds) => {
+  if (!addOnIds || addOnIds.length === 0) return [];
+  if (!Array.isArray(addOnIds)) {
+    throw pricingError("addOnIds must be an array", 400);
+  }
+
+  const ids = [...new Set(addOnIds)];
+  const addOns = await prisma.serviceAddOn.findMany({
+    where: { id: { in: ids }, serviceId: service.id },
+  });
+
+  if (addOns.length !== ids.length) {
+    throw pricingError("One or more add-ons are not offered with this service", 400);
+  }
+
+  return addOns;
+};
+
+/**
+ * Look up a discount code and check it can be used for a service
+ * @param {string} [code] - Discount code entered by the client
+ * @param {Object} service - Service with `id` and `vendorId`
+ * @param {number} subtotal - Quote subtotal before the discount
+ * @returns {Promise<Object|null>}
+ */
+const resolveDiscount = async (code, service, subtotal) => {
+  if (!code) return null;
+
+  const discount = await prisma.discount.findUnique({
+    where: { code: String(code).trim().toUpperCase() },
+  });
+
+  const now = new Date();
+  if (
+    !discount ||
+    !discount.isActive ||
+    discount.vendorId !== service.vendorId ||
+    (discount.serviceId && discount.serviceId !== service.id)
+  ) {
+    throw pricingError("Invalid discount code", 400);
+  }
+  if (
+    (discount.validFrom && discount.validFrom > now) ||
+    (discount.validUntil && discount.validUntil < now)
+  ) {
+    throw pricingError("Discount code is not valid at this time", 400);
+  }
+  if (
+    discount.maxRedemptions != null &&
+    discount.redemptions >= discount.maxRedemptions
+  ) {
+    throw pricingError("Discount code has been fully redeemed", 400);
+  }
+  if (discount.minAmount != null && subtotal < discount.minAmount) {
+    throw pricingError(
+      `Discount code requires a minimum of ${discount.minAmount} ${CURRENCY}`,
+      400
+    );
+  }
+
+  return discount;
+};
+
+/**
+ * Count a booking against a discount code's redemptions, failing if the
+ * code was used up since it was resolved
+ * @param {Object} discount - Discount with `id` and `maxRedemptions`
+ * @param {Object} [db] - Prisma client or transaction to write with
+ */
+const claimDiscountRedemption = async (discount, db = prisma) => {
+  const { count } = await db.discount.updateMany({
+    where: {
+      id: discount.id,
+      ...(discount.maxRedemptions != null && {
+        redemptions: { lt: discount.maxRedemptions },
+      }),
+    },
+    data: { redemptions: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw pricingError("Discount code has been fully redeemed", 409);
+  }
+};
+
+/**
+ * Give back the redemption a cancelled booking used
+ * @param {string} discountId - Discount ID
+ * @param {Object} [db] - Prisma client or transaction to write with
+ */
+const releaseDiscountRedemption = (discountId, db = prisma) =>
+  db.discount.updateMany({
+    where: { id: discountId, redemptions: { gt: 0 } },
+    data: { redemptions: { decrement: 1 } },
+  });
+
+/**
+ * Price a new booking request: resolves add-ons and the discount code and
+ * calculates the quote
+ * @param {Object} service - Service being booked
+ * @param {Object} options - { attendees, addOnIds, discountCode }
+ * @returns {Promise<Object>} - { quote, addOns, discount }
+ */
+const priceBooking = async (service, { attendees, addOnIds, discountCode }) => {
+  const addOns = await resolveAddOns(service, addOnIds);
+  const { subtotal } = calculateQuote({ service, attendees, addOns });
+  const discount = await resolveDiscount(discountCode, service, subtotal);
+
+  return {
+    quote: calculateQuote({ service, attendees, addOns, discount }),
+    addOns,
+    discount,
+  };
+};
+
+/**
+ * Get the quote a booking was priced with. Bookings made before quotes were
+ * stored keep the total they were agreed at (or the service price if they
+ * have none), and the result is saved.
+ * @param {Object} booking - Booking with `service`
+ * @returns {Promise<Object>}
+ */
+const getBookingQuote = async (booking) => {
+  if (booking.priceBreakdown) {
+    try {
+      return JSON.parse(booking.priceBreakdown);
+    } catch (error) {
+      console.error("Invalid booking price breakdown:", error.message);
+    }
+  }
+
+  const quote = calculateQuote({
+    service: {
+      ...booking.service,
+      price: booking.totalAmount ?? booking.service.price,
+      pricePerGuest: null,
+    },
+    attendees: booking.attendees,
+  });
+
+  await prisma.booking.update({
+    where: { id: booking.id },
+    data: { priceBreakdown: JSON.stringify(quote) },
+  });
+
+  return quote;
+};
+
+module.exports = {
+  CURRENCY,
+  pricingError,
+  parseAttendees,
+  calculateQuote,
+  resolveAddOns,
+  resolveDiscount,
+  claimDiscountRedemption,
+  releaseDiscountRedemption,
+  priceBooking,
+  getBookingQuote,
+};
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Private file storage
+ *
+ * Files that must not be publicly reachable (e.g. transfer receipts and
+ * invoices) are kept under storage/, which is not served statically. They
+ * are stored by key ("<folder>/<file>") and streamed by controllers that
+ * check who is asking.
+ */
+
+const STORAGE_DIR = path.join(__dirname, "../storage");
+
+/**
+ * Save an uploaded file
+ * @param {Object} file - Multer file (memory storage)
+ * @param {string} folder - Folder under storage/
+ * @returns {string} - Key to store in the database
+ */
+const savePrivateFile = (file, folder) => {
+  const folderPath = path.join(STORAGE_DIR, folder);
+  if (!fs.existsSync(folderPath)) {
+    fs.mkdirSync(folderPath, { recursive: true });
+  }
+
+  const fileName = `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+  fs.writeFileSync(path.join(folderPath, fileName), file.buffer);
+
+  return `${folder}/${fileName}`;
+};
+
+/**
+ * Write generated content under a fixed key (e.g. "documents/INV-2025-000001.pdf")
+ * @param {string} key - Key of the file
+ * @param {Buffer} buffer - File content
+ * @returns {string} - The key
+ */
+const writePrivateFile = (key, buffer) => {
+  const filePath = path.resolve(STORAGE_DIR, key);
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, buffer);
+  return key;
+};
+
+/**
+ * Absolute path of a stored file, or null if the key is invalid or missing
+ * @param {string} key - Key returned by savePrivateFile
+ * @returns {string|null}
+ */
+const getPrivateFilePath = (key) => {
+  if (!key) return null;
+
+  const filePath = path.resolve(STORAGE_DIR, key);
+  if (!filePath.startsWith(STORAGE_DIR + path.sep) || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return filePath;
+};
+
+/**
+ * Delete a stored file, ignoring files that are already gone
+ * @param {string} key - Key returned by savePrivateFile
+ */
+const deletePrivateFile = (key) => {
+  const filePath = getPrivateFilePath(key);
+  if (filePath) fs.unlinkSync(filePath);
+};
+
+module.exports = {
+  savePrivateFile,
+  writePrivateFile,
+  getPrivateFilePath,
+  deletePrivateFile,
+};
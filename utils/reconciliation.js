@@ -0,0 +1,197 @@
+const prisma = require("../prisma/client");
+const { applyPaymentStatus } = require("./paymentStatus");
+const {
+  getProvider,
+  getAutomaticProviderNames,
+} = require("./paymentProviders");
+
+/**
+ * Payment reconciliation
+ *
+ * Payments normally leave PENDING when the client polls `verifyPayment` or
+ * Chapa calls the webhook. If neither happens, the worker below re-checks
+ * stale PENDING payments with their provider on a timer. Payments the
+ * provider still has no result for are marked FAILED once they are older
+ * than the expiry window. Only providers with automatic verification are
+ * checked; bank transfers wait for an admin. Each run is stored as a
+ * PaymentReconciliationRun for admins to review.
+ *
+ * Settings (minutes unless noted):
+ * - PAYMENT_RECONCILIATION_INTERVAL_MINUTES - how often the worker runs (default 10)
+ * - PAYMENT_RECONCILIATION_STALE_MINUTES - age before a PENDING payment is checked (default 15)
+ * - PAYMENT_EXPIRY_HOURS - age (hours) after which an unpaid payment is failed (default 24)
+ * - PAYMENT_RECONCILIATION_BATCH_SIZE - payments checked per run (default 50)
+ * - PAYMENT_RECONCILIATION_ENABLED - set to "false" to disable the worker
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const getSettings = () => ({
+  intervalMinutes:
+    parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES, 10) || 10,
+  staleMinutes:
+    parseInt(process.env.PAYMENT_RECONCILIATION_STALE_MINUTES, 10) || 15,
+  expiryHours: parseInt(process.env.PAYMENT_EXPIRY_HOURS, 10) || 24,
+  batchSize: parseInt(process.env.PAYMENT_RECONCILIATION_BATCH_SIZE, 10) || 50,
+});
+
+/**
+ * Check one stale payment with its provider and apply the result
+ * @param {Object} payment - PENDING payment
+ * @param {Date} expiresBefore - Payments created before this are expired
+ * @returns {Promise<Object>} - { paymentId, txRef, outcome, providerStatus?, error? }
+ */
+const reconcilePayment = async (payment, expiresBefore) => {
+  const result = { paymentId: payment.id, txRef: payment.transactionId };
+  const expired = payment.createdAt < expiresBefore;
+
+  try {
+    let paymentStatus = "PENDING";
+
+    // Initiation failed before the provider returned a tx_ref; nothing to verify
+    if (payment.transactionId) {
+      const provider = getProvider(payment.method);
+      const { status, providerStatus } = await provider.verify(payment);
+      result.providerStatus = providerStatus;
+      paymentStatus = status;
+    }
+
+    if (paymentStatus === "PENDING" && expired) {
+      await applyPaymentStatus(payment, "FAILED", {
+        source: "PAYMENT_RECONCILIATION",
+      });
+      result.outcome = "EXPIRED";
+    } else if (paymentStatus !== "PENDING") {
+      const { changed } = await applyPaymentStatus(payment, paymentStatus, {
+        source: "PAYMENT_RECONCILIATION",
+      });
+      result.outcome = changed ? paymentStatus : "UNCHANGED";
+    } else {
+      result.outcome = "PENDING";
+    }
+  } catch (error) {
+    console.error(`Reconciliation error for payment ${payment.id}:`, error.message);
+    result.outcome = "ERROR";
+    result.error = error.response?.data?.message || error.message;
+  }
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: { lastReconciledAt: new Date() },
+  });
+
+  return result;
+};
+
+/**
+ * Re-verify stale PENDING payments and store a run report
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - SCHEDULED or MANUAL
+ * @returns {Promise<Object>} - PaymentReconciliationRun
+ */
+const reconcilePendingPayments = async ({ trigger = "SCHEDULED" } = {}) => {
+  const { staleMinutes, expiryHours, batchSize } = getSettings();
+  const now = Date.now();
+
+  const run = await prisma.paymentReconciliationRun.create({
+    data: { trigger },
+  });
+
+  // Least recently checked first, so a large backlog is worked through.
+  // Checking a payment bumps its updatedAt, so it is not checked again
+  // until it is stale again.
+  const payments = await prisma.payment.findMany({
+    where: {
+      status: "PENDING",
+      method: { in: getAutomaticProviderNames() },
+      updatedAt: { lt: new Date(now - staleMinutes * MINUTE_MS) },
+    },
+    orderBy: [{ lastReconciledAt: "asc" }, { createdAt: "asc" }],
+    take: batchSize,
+  });
+
+  const expiresBefore = new Date(now - expiryHours * 60 * MINUTE_MS);
+  const results = [];
+  for (const payment of payments) {
+    results.push(await reconcilePayment(payment, expiresBefore));
+  }
+
+  const count = (outcome) =>
+    results.filter((result) => result.outcome === outcome).length;
+
+  return prisma.paymentReconciliationRun.update({
+    where: { id: run.id },
+    data: {
+      finishedAt: new Date(),
+      checked: results.length,
+      completed: count("COMPLETED"),
+      failed: count("FAILED"),
+      expired: count("EXPIRED"),
+      stillPending: count("PENDING") + count("UNCHANGED"),
+      errors: count("ERROR"),
+      details: JSON.stringify(results),
+    },
+  });
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Run once, skipping if the previous run has not finished
+ * @param {string} trigger - SCHEDULED or MANUAL
+ * @returns {Promise<Object|null>} - The run, or null if skipped or failed
+ */
+const runReconciliation = async (trigger) => {
+  if (running) return null;
+  running = true;
+  try {
+    const run = await reconcilePendingPayments({ trigger });
+    if (run.checked > 0) {
+      console.log(
+        `Payment reconciliation: checked ${run.checked}, completed ${run.completed}, failed ${run.failed}, expired ${run.expired}, errors ${run.errors}`
+      );
+    }
+    return run;
+  } catch (error) {
+    console.error("Payment reconciliation failed:", error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the background reconciliation worker
+ * @returns {boolean} - Whether the worker was started
+ */
+const startReconciliationWorker = () => {
+  if (timer || process.env.PAYMENT_RECONCILIATION_ENABLED === "false") {
+    return false;
+  }
+
+  const { intervalMinutes } = getSettings();
+  timer = setInterval(() => runReconciliation("SCHEDULED"), intervalMinutes * MINUTE_MS);
+  timer.unref();
+
+  console.log(`Payment reconciliation worker running every ${intervalMinutes} minutes`);
+  return true;
+};
+
+// Stop the background worker
+const stopReconciliationWorker = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+// Whether a run is in progress
+const isReconciliationRunning = () => running;
+
+module.exports = {
+  getSettings,
+  reconcilePendingPayments,
+  runReconciliation,
+  startReconciliationWorker,
+  stopReconciliationWorker,
+  isReconciliationRunning,
+};
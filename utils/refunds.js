@@ -0,0 +1,258 @@
+const prisma = require("../prisma/client");
+const { getProvider } = require("./paymentProviders");
+const { refundLedgerEntries } = require("./ledger");
+
+/**
+ * Refund helpers
+ *
+ * Refunds are requested against a COMPLETED payment and stay PENDING until
+ * an admin approves (sent to the payment provider) or rejects them. A payment can be
+ * refunded in several partial steps; it only moves to REFUNDED once the
+ * whole amount has been returned.
+ */
+
+// Create an error carrying the HTTP status the controller should respond with
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split a refund amount between the platform and the vendor in the same
+ * proportion the original payment was split
+ * @param {Object} payment - Payment with `amount`, `adminSplit`, `vendorSplit`
+ * @param {number} amount - Refund amount
+ * @returns {Object} - { adminSplitReversal, vendorSplitReversal }
+ */
+const computeSplitReversal = (payment, amount) => {
+  if (payment.adminSplit == null || payment.vendorSplit == null) {
+    return { adminSplitReversal: null, vendorSplitReversal: null };
+  }
+
+  const ratio = amount / payment.amount;
+  const adminSplitReversal = roundAmount(payment.adminSplit * ratio);
+  return {
+    adminSplitReversal,
+    vendorSplitReversal: roundAmount(amount - adminSplitReversal),
+  };
+};
+
+/**
+ * Amount of a payment that can still be refunded, taking completed and
+ * outstanding (pending or failed) refunds into account
+ * @param {Object} payment - Payment with `amount` and `refundedAmount`
+ * @returns {Promise<number>}
+ */
+const getRefundableAmount = async (payment) => {
+  const pending = await prisma.refund.aggregate({
+    where: {
+      paymentId: payment.id,
+      status: { in: ["PENDING", "PROCESSING", "FAILED"] },
+    },
+    _sum: { amount: true },
+  });
+
+  return roundAmount(
+    payment.amount - (payment.refundedAmount || 0) - (pending._sum.amount || 0)
+  );
+};
+
+/**
+ * Open a refund request for a payment
+ * @param {Object} payment - Payment record
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount to refund, defaults to everything refundable
+ * @param {string} [options.reason] - Why the refund is requested
+ * @param {string} [options.requestedById] - User requesting the refund
+ * @returns {Promise<Object>} - Created refund
+ */
+const requestRefund = async (payment, { amount, reason, requestedById } = {}) => {
+  if (payment.status !== "COMPLETED") {
+    throw refundError("Only completed payments can be refunded", 400);
+  }
+
+  const refundable = await getRefundableAmount(payment);
+  const refundAmount = amount === undefined ? refundable : roundAmount(amount);
+
+  if (typeof refundAmount !== "number" || isNaN(refundAmount) || refundAmount <= 0) {
+    throw refundError("Refund amount must be a positive number", 400);
+  }
+
+  if (refundAmount > refundable) {
+    throw refundError(
+      `Refund amount exceeds the refundable balance of ETB ${refundable}`,
+      400
+    );
+  }
+
+  return prisma.refund.create({
+    data: {
+      paymentId: payment.id,
+      amount: refundAmount,
+      reason: reason || null,
+      requestedById: requestedById || null,
+      ...computeSplitReversal(payment, refundAmount),
+    },
+  });
+};
+
+/**
+ * Send an approved refund to the payment provider and record the result
+ * @param {string} refundId - Refund to process
+ * @param {string} reviewerId - Admin approving the refund
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Lower the amount before approving
+ * @returns {Promise<Object>} - Updated refund
+ */
+const approveRefund = async (refundId, reviewerId, { amount } = {}) => {
+  const refund = await prisma.refund.findUnique({
+    where: { id: refundId },
+    include: { payment: true },
+  });
+
+  if (!refund) {
+    throw refundError("Refund not found", 404);
+  }
+
+  if (!["PENDING", "FAILED"].includes(refund.status)) {
+    throw refundError(`Refund is already ${refund.status.toLowerCase()}`, 400);
+  }
+
+  const { payment } = refund;
+  let refundAmount = refund.amount;
+
+  if (amount !== undefined) {
+    refundAmount = roundAmount(amount);
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refund.amount) {
+      throw refundError(
+        `Approved amount must be between 0 and the requested ETB ${refund.amount}`,
+        400
+      );
+    }
+  }
+
+  if (!payment.transactionId && payment.method !== "MANUAL") {
+    throw refundError("Payment has no provider transaction to refund", 400);
+  }
+
+  const reference = refund.reference || `refund-${refund.id}`;
+
+  // Claim the refund so a second approval cannot send it to the provider again
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refund.id, status: { in: ["PENDING", "FAILED"] } },
+    data: { status: "PROCESSING", reference, reviewedById: reviewerId },
+  });
+  if (count === 0) {
+    throw refundError("Refund is already being processed", 409);
+  }
+
+  // Bank transfers are refunded by hand; the provider only records it
+  let providerRefund;
+  try {
+    providerRefund = await getProvider(payment.method).refund(payment, {
+      amount: refundAmount,
+      reason: refund.reason,
+      reference,
+    });
+  } catch (error) {
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: "FAILED", reference, reviewedById: reviewerId },
+    });
+    throw refundError(error.message, 502);
+  }
+
+  const splitReversal = computeSplitReversal(payment, refundAmount);
+
+  return prisma.$transaction(async (tx) => {
+    const updatedRefund = await tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: "COMPLETED",
+        amount: refundAmount,
+        ...splitReversal,
+        reference,
+        chapaRefundId: providerRefund.refundId,
+        reviewedById: reviewerId,
+        processedAt: new Date(),
+      },
+    });
+
+    // Increment, so refunds of the same payment approved at the same time
+    // all count
+    const updatedPayment = await tx.payment.update({
+      where: { id: payment.id },
+      data: { refundedAmount: { increment: refundAmount } },
+    });
+    if (roundAmount(updatedPayment.refundedAmount) >= payment.amount) {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { status: "REFUNDED" },
+      });
+    }
+
+    // Debit the vendor's payout ledger, unless the payment never credited
+    // it (a payment completed after its installment was settled)
+    const credited = await tx.vendorLedgerEntry.findFirst({
+      where: { paymentId: payment.id, refundId: null },
+      select: { id: true },
+    });
+    if (credited) {
+      await tx.vendorLedgerEntry.createMany({
+        data: refundLedgerEntries(
+          { id: refund.id, amount: refundAmount, ...splitReversal },
+          payment
+        ),
+        skipDuplicates: true,
+      });
+    }
+
+    return updatedRefund;
+  });
+};
+
+/**
+ * Reject a pending refund request
+ * @param {string} refundId - Refund to reject
+ * @param {string} reviewerId - Admin rejecting the refund
+ * @param {string} [note] - Explanation shown to the client
+ * @returns {Promise<Object>} - Updated refund
+ */
+const rejectRefund = async (refundId, reviewerId, note) => {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+
+  if (!refund) {
+    throw refundError("Refund not found", 404);
+  }
+
+  if (!["PENDING", "FAILED"].includes(refund.status)) {
+    throw refundError(`Refund is already ${refund.status.toLowerCase()}`, 400);
+  }
+
+  // Only while it is not being approved at the same time
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refund.id, status: { in: ["PENDING", "FAILED"] } },
+    data: {
+      status: "REJECTED",
+      reviewedById: reviewerId,
+      reviewNote: note || null,
+    },
+  });
+  if (count === 0) {
+    throw refundError("Refund is already being processed", 409);
+  }
+
+  return prisma.refund.findUnique({ where: { id: refund.id } });
+};
+
+module.exports = {
+  computeSplitReversal,
+  getRefundableAmount,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+};
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../prisma/client");
+const { hashToken } = require("./authTokens");
+const { disconnectUserSockets } = require("./presence");
+
+/**
+ * Sessions, access tokens and refresh tokens
+ *
+ * Signing in creates a Session. The client gets a short-lived JWT access
+ * token carrying the session ID (`sid`) and an opaque refresh token whose
+ * hash is stored on the session. Each refresh swaps the refresh token for
+ * a new one; presenting a rotated-out token again means it was copied, so
+ * the whole session is revoked. Revoked sessions stop their access tokens
+ * at the next request, because the auth middleware checks the session.
+ *
+ * Settings:
+ * - JWT_EXPIRES_IN - access token lifetime (default 15m)
+ * - REFRESH_TOKEN_DAYS - session lifetime without activity (default 30)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getAccessTokenLifetime = () => process.env.JWT_EXPIRES_IN || "15m";
+
+const getRefreshTokenLifetime = () =>
+  (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * DAY_MS;
+
+// Create an error carrying the HTTP status the controller should respond with
+const sessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+// Sign an access token for a user's session
+const generateAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenLifetime() }
+  );
+
+// Device details stored with a session
+const describeClient = (req) => ({
+  userAgent: req?.headers?.["user-agent"] || null,
+  ipAddress: req?.ip || null,
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User with `id` and `role`
+ * @param {Object} [req] - Request, for the device details
+ * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + getRefreshTokenLifetime()),
+      ...describeClient(req),
+    },
+  });
+
+  return {
+    accessToken: generateAccessToken(user, session.id),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Swap a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @param {Object} [req] - Request, for the device details
+ * @returns {Promise<Object>} - { accessToken, refreshToken, session, user }
+ */
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw sessionError("Refresh token is required", 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: true },
+  });
+
+  if (!session) {
+    // A rotated-out token is being replayed; end the session it came from
+    const reused = await prisma.session.findUnique({
+      where: { previousTokenHash: tokenHash },
+    });
+    if (reused && !reused.revokedAt) {
+      await revokeSession(reused.id, "TOKEN_REUSE");
+    }
+    throw sessionError("Invalid refresh token", 401);
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw sessionError("Session has expired. Please log in again", 401);
+  }
+
+  const nextToken = newRefreshToken();
+  // Only one request can rotate a given token
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRefreshTokenLifetime()),
+      ...describeClient(req),
+    },
+  });
+
+  if (count === 0) {
+    throw sessionError("Invalid refresh token", 401);
+  }
+
+  return {
+    accessToken: generateAccessToken(session.user, session.id),
+    refreshToken: nextToken,
+    session,
+    user: session.user,
+  };
+};
+
+/**
+ * Check the session an access token belongs to
+ * @param {string} sessionId - `sid` claim of the access token
+ * @param {string} userId - `id` claim of the access token
+ * @returns {Promise<Object|null>} - Active session, or null
+ */
+const getActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await prisma.session.findUnique({ where: { id: sessionId } });
+  if (
+    !session ||
+    session.userId !== userId ||
+    session.revokedAt ||
+    session.expiresAt < new Date()
+  ) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why it was revoked
+ */
+const revokeSession = (sessionId, reason) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+/**
+ * Revoke the session a refresh token belongs to (logout). Unknown tokens
+ * are ignored so logging out twice is harmless.
+ * @param {string} refreshToken - Refresh token
+ */
+const endSession = (refreshToken) =>
+  prisma.session.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: "LOGOUT" },
+  });
+
+/**
+ * Revoke all of a user's sessions, e.g. when they are blocked or their
+ * password changes, and disconnect the chat sockets opened with them
+ * @param {string} userId - User ID
+ * @param {string} reason - Why they were revoked
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (the one making the change)
+ * @returns {Promise<Object>} - { count }
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const result = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  // A socket checks its session only when it connects
+  await disconnectUserSockets(userId, { exceptSessionId });
+  return result;
+};
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>}
+ */
+const listActiveSessions = (userId) =>
+  prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+module.exports = {
+  getAccessTokenLifetime,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  endSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,315 @@
+const PDFDocument = require("pdfkit");
+const prisma = require("../prisma/client");
+const { summarizeEntries } = require("./ledger");
+
+/**
+ * Vendor settlement statements
+ *
+ * A statement covers one calendar month (UTC) of a vendor's payout ledger:
+ * the balance carried in, every entry with the running balance after it,
+ * totals by entry type and the balance carried out. Statements can be
+ * returned as JSON or rendered as CSV or PDF downloads.
+ */
+
+// Round to 2 decimal places (ETB cents)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Create an error carrying the HTTP status the controller should respond with
+const statementError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ENTRY_LABELS = {
+  PAYMENT_CREDIT: "Payment received",
+  PLATFORM_FEE: "Platform fee",
+  REFUND_DEBIT: "Refund",
+  FEE_REVERSAL: "Platform fee returned",
+  PAYOUT: "Payout",
+};
+
+// "YYYY-MM" key of a date (UTC)
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * Parse a "YYYY-MM" month into its UTC start and end
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} - { month, start, end }
+ */
+const parseMonth = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || "");
+  const monthNum = match ? parseInt(match[2], 10) : 0;
+
+  if (!match || monthNum < 1 || monthNum > 12) {
+    throw statementError("Month must be in YYYY-MM format", 400);
+  }
+
+  const year = parseInt(match[1], 10);
+  return {
+    month,
+    start: new Date(Date.UTC(year, monthNum - 1, 1)),
+    end: new Date(Date.UTC(year, monthNum, 1)),
+  };
+};
+
+// Load a vendor
+const loadVendor = async (vendorId) => {
+  const vendor = await prisma.vendor.findUnique({
+    where: { id: vendorId },
+    include: { user: { select: { firstName: true, lastName: true, email: true } } },
+  });
+
+  if (!vendor) {
+    throw statementError("Vendor not found", 404);
+  }
+
+  return vendor;
+};
+
+/**
+ * Summaries of every month in a year that has ledger activity
+ * @param {string} vendorId - Vendor ID
+ * @param {number} year - Calendar year
+ * @returns {Promise<Object>} - { currentBalance, statements }
+ */
+const listMonthlyStatements = async (vendorId, year) => {
+  await loadVendor(vendorId);
+
+  const entries = await prisma.vendorLedgerEntry.findMany({
+    where: { vendorId },
+    orderBy: [{ occurredAt: "asc" }, { createdAt: "asc" }],
+  });
+
+  const months = new Map();
+  let balance = 0;
+
+  entries.forEach((entry) => {
+    const key = monthKey(entry.occurredAt);
+    if (key.startsWith(`${year}-`)) {
+      if (!months.has(key)) {
+        months.set(key, { openingBalance: roundAmount(balance), entries: [] });
+      }
+      months.get(key).entries.push(entry);
+    }
+    balance += entry.amount;
+  });
+
+  const statements = [...months.entries()].map(([month, data]) => {
+    const totals = summarizeEntries(data.entries);
+    return {
+      month,
+      openingBalance: data.openingBalance,
+      ...totals,
+      closingBalance: roundAmount(data.openingBalance + totals.net),
+      entryCount: data.entries.length,
+    };
+  });
+
+  return { currentBalance: roundAmount(balance), statements };
+};
+
+/**
+ * Full statement for one month
+ * @param {string} vendorId - Vendor ID
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<Object>}
+ */
+const getMonthlyStatement = async (vendorId, month) => {
+  const period = parseMonth(month);
+  const vendor = await loadVendor(vendorId);
+
+  const [opening, entries] = await Promise.all([
+    prisma.vendorLedgerEntry.aggregate({
+      where: { vendorId, occurredAt: { lt: period.start } },
+      _sum: { amount: true },
+    }),
+    prisma.vendorLedgerEntry.findMany({
+      where: { vendorId, occurredAt: { gte: period.start, lt: period.end } },
+      include: {
+        payment: {
+          select: {
+            transactionId: true,
+            bankReference: true,
+            booking: {
+              select: { id: true, eventDate: true, service: { select: { name: true } } },
+            },
+          },
+        },
+      },
+      orderBy: [{ occurredAt: "asc" }, { createdAt: "asc" }],
+    }),
+  ]);
+
+  const openingBalance = roundAmount(opening._sum.amount || 0);
+  let balance = openingBalance;
+
+  const lines = entries.map((entry) => {
+    balance = roundAmount(balance + entry.amount);
+    return {
+      id: entry.id,
+      date: entry.occurredAt,
+      type: entry.type,
+      label: ENTRY_LABELS[entry.type],
+      description: entry.description,
+      serviceName: entry.payment?.booking?.service?.name || null,
+      bookingId: entry.payment?.booking?.id || null,
+      transactionId:
+        entry.payment?.transactionId || entry.payment?.bankReference || null,
+      amount: entry.amount,
+      runningBalance: balance,
+    };
+  });
+
+  const totals = summarizeEntries(entries);
+
+  return {
+    vendor: {
+      id: vendor.id,
+      businessName: vendor.businessName,
+      tinNumber: vendor.tinNumber,
+      email: vendor.user.email,
+    },
+    period: {
+      month: period.month,
+      start: period.start,
+      end: new Date(period.end.getTime() - 1),
+    },
+    currency: "ETB",
+    openingBalance,
+    entries: lines,
+    totals,
+    closingBalance: roundAmount(openingBalance + totals.net),
+    generatedAt: new Date(),
+  };
+};
+
+// Quote a CSV field if needed
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - From `getMonthlyStatement`
+ * @returns {string}
+ */
+const statementToCsv = (statement) => {
+  const rows = [
+    ["Vendor", statement.vendor.businessName],
+    ["TIN", statement.vendor.tinNumber],
+    ["Period", statement.period.month],
+    ["Currency", statement.currency],
+    ["Opening balance", statement.openingBalance.toFixed(2)],
+    [],
+    ["Date", "Type", "Description", "Service", "Transaction", "Amount", "Balance"],
+    ...statement.entries.map((entry) => [
+      entry.date.toISOString(),
+      entry.label,
+      entry.description,
+      entry.serviceName,
+      entry.transactionId,
+      entry.amount.toFixed(2),
+      entry.runningBalance.toFixed(2),
+    ]),
+    [],
+    ["Payments received", statement.totals.credits.toFixed(2)],
+    ["Platform fees", statement.totals.platformFees.toFixed(2)],
+    ["Refunds", statement.totals.refunds.toFixed(2)],
+    ["Platform fees returned", statement.totals.feeReversals.toFixed(2)],
+    ["Payouts", statement.totals.payouts.toFixed(2)],
+    ["Closing balance", statement.closingBalance.toFixed(2)],
+  ];
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+};
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - From `getMonthlyStatement`
+ * @returns {Promise<Buffer>}
+ */
+const statementToPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (value) => `${value.toFixed(2)} ${statement.currency}`;
+
+    doc.fontSize(18).text("Settlement Statement", { align: "center" });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(10)
+      .text(`Vendor: ${statement.vendor.businessName}`)
+      .text(`TIN: ${statement.vendor.tinNumber || "-"}`)
+      .text(`Period: ${statement.period.month}`)
+      .text(`Generated: ${statement.generatedAt.toISOString().slice(0, 10)}`);
+    doc.moveDown();
+    doc.text(`Opening balance: ${money(statement.openingBalance)}`);
+    doc.moveDown();
+
+    // Entries table
+    const columns = [
+      { title: "Date", x: 40, width: 65 },
+      { title: "Type", x: 105, width: 110 },
+      { title: "Description", x: 215, width: 180 },
+      { title: "Amount", x: 395, width: 75, align: "right" },
+      { title: "Balance", x: 470, width: 85, align: "right" },
+    ];
+    const writeRow = (values, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      columns.forEach((column, i) => {
+        doc.text(values[i], column.x, y, {
+          width: column.width,
+          align: column.align || "left",
+        });
+      });
+      doc.moveDown(0.3);
+    };
+
+    writeRow(columns.map((column) => column.title), true);
+    statement.entries.forEach((entry) => {
+      if (doc.y > 760) doc.addPage();
+      writeRow([
+        entry.date.toISOString().slice(0, 10),
+        entry.label,
+        entry.serviceName
+          ? `${entry.description} (${entry.serviceName})`
+          : entry.description,
+        entry.amount.toFixed(2),
+        entry.runningBalance.toFixed(2),
+      ]);
+    });
+    if (statement.entries.length === 0) {
+      doc.text("No activity this month.", 40);
+    }
+
+    doc.moveDown();
+    doc.font("Helvetica");
+    const { totals } = statement;
+    [
+      ["Payments received", totals.credits],
+      ["Platform fees", totals.platformFees],
+      ["Refunds", totals.refunds],
+      ["Platform fees returned", totals.feeReversals],
+      ["Payouts", totals.payouts],
+    ].forEach(([label, value]) => doc.text(`${label}: ${money(value)}`, 40));
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .text(`Closing balance: ${money(statement.closingBalance)}`, 40);
+
+    doc.end();
+  });
+
+module.exports = {
+  listMonthlyStatements,
+  getMonthlyStatement,
+  statementToCsv,
+  statementToPdf,
+};
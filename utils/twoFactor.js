@@ -0,0 +1,627 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const QRCode = require("qrcode");
+const prisma = require("../prisma/client");
+const { hashToken } = require("./authTokens");
+const { sendTwoFactorCodeEmail } = require("./emailService");
+
+/**
+ * Two-factor authentication
+ *
+ * Admin, staff and vendor accounts can protect their sign-in with a TOTP
+ * authenticator app (RFC 6238: SHA-1, 6 digits, 30 second steps).
+ * - Enrollment stores a pending secret and returns it as an otpauth:// URI
+ *   and QR code; the first valid code turns 2FA on and returns ten
+ *   single-use backup codes.
+ * - Login with 2FA on is two steps: the password check returns a
+ *   short-lived challenge token, which is exchanged for a session together
+ *   with an authenticator code, a backup code or a code sent by email.
+ * - Admins can make 2FA mandatory for a role. Users of that role who have
+ *   not enrolled can only use the /api/auth routes until they do.
+ *
+ * Settings:
+ * - TWO_FACTOR_ISSUER - name shown in authenticator apps (default "Wedding Planner")
+ * - TWO_FACTOR_CHALLENGE_MINUTES - second-step lifetime (default 10)
+ */
+
+// Roles that can enroll, and that admins can make 2FA mandatory for
+const TWO_FACTOR_ROLES = ["ADMIN", "STAFF", "VENDOR"];
+
+const POLICY_KEY = "twoFactor.requiredRoles";
+
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+
+// Wrong codes allowed per login challenge
+const MAX_ATTEMPTS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Minimum time between two emailed codes for one challenge
+const EMAIL_CODE_INTERVAL_MS = MINUTE_MS;
+
+const getChallengeLifetime = () =>
+  (parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES, 10) || 10) * MINUTE_MS;
+
+// Create an error carrying the HTTP status the controller should respond with
+const twoFactorError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// RFC 4648 base32, the encoding authenticator apps expect secrets in
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.toUpperCase().replace(/=+$/, "")) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw twoFactorError("Invalid two-factor secret", 500);
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const safeEqual = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix time / 30 seconds)
+ * @returns {string} - Six-digit code
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, "0");
+};
+
+/**
+ * Find the time step a code was generated for, allowing one step of clock
+ * drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {number|null} [lastStep] - Last step used; it and earlier steps are refused
+ * @returns {number|null} - The matching step, or null
+ */
+const matchTotp = (secret, code, lastStep = null) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (safeEqual(generateTotp(secret, step), normalized)) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import from a QR code
+const getOtpauthUrl = (secret, email) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Wedding Planner";
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Backup codes are shown as "xxxxx-xxxxx"; dashes, spaces and case are ignored
+const normalizeBackupCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+const hashBackupCode = (userId, code) =>
+  hashToken(`${userId}:${normalizeBackupCode(code)}`);
+
+const newBackupCodes = () =>
+  Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+// Replace a user's backup codes, inside a transaction
+const replaceBackupCodes = async (tx, userId) => {
+  const codes = newBackupCodes();
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await tx.twoFactorBackupCode.createMany({
+    data: codes.map((code) => ({
+      userId,
+      codeHash: hashBackupCode(userId, code),
+    })),
+  });
+  return codes;
+};
+
+const loadUser = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw twoFactorError("User not found", 404);
+  }
+  return user;
+};
+
+/**
+ * Admin policy: the roles 2FA is mandatory for
+ * @returns {Promise<Object>} - { requiredRoles, updatedById, updatedAt }
+ */
+const getTwoFactorPolicy = async () => {
+  const setting = await prisma.platformSetting.findUnique({
+    where: { key: POLICY_KEY },
+  });
+
+  let requiredRoles = [];
+  try {
+    requiredRoles = JSON.parse(setting?.value || "[]");
+  } catch (error) {
+    requiredRoles = [];
+  }
+
+  return {
+    requiredRoles: Array.isArray(requiredRoles)
+      ? requiredRoles.filter((role) => TWO_FACTOR_ROLES.includes(role))
+      : [],
+    updatedById: setting?.updatedById || null,
+    updatedAt: setting?.updatedAt || null,
+  };
+};
+
+/**
+ * Change the roles 2FA is mandatory for
+ * @param {string[]} requiredRoles - Roles from TWO_FACTOR_ROLES
+ * @param {string} updatedById - Admin making the change
+ * @returns {Promise<Object>} - The new policy
+ */
+const setTwoFactorPolicy = async (requiredRoles, updatedById) => {
+  if (!Array.isArray(requiredRoles)) {
+    throw twoFactorError("requiredRoles must be an array", 400);
+  }
+
+  const invalid = requiredRoles.filter(
+    (role) => !TWO_FACTOR_ROLES.includes(role)
+  );
+  if (invalid.length > 0) {
+    throw twoFactorError(
+      `Two-factor authentication can only be required for: ${TWO_FACTOR_ROLES.join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  const value = JSON.stringify([...new Set(requiredRoles)]);
+  await prisma.platformSetting.upsert({
+    where: { key: POLICY_KEY },
+    create: { key: POLICY_KEY, value, updatedById },
+    update: { value, updatedById },
+  });
+
+  return getTwoFactorPolicy();
+};
+
+/**
+ * Whether admins have made 2FA mandatory for a role
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (role) => {
+  if (!TWO_FACTOR_ROLES.includes(role)) return false;
+  const { requiredRoles } = await getTwoFactorPolicy();
+  return requiredRoles.includes(role);
+};
+
+/**
+ * A user's 2FA state
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+const getTwoFactorStatus = async (userId) => {
+  const user = await loadUser(userId);
+  const backupCodesRemaining = await prisma.twoFactorBackupCode.count({
+    where: { userId, usedAt: null },
+  });
+
+  return {
+    available: TWO_FACTOR_ROLES.includes(user.role),
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    required: await isTwoFactorRequired(user.role),
+    enrollmentPending: Boolean(user.twoFactorPendingSecret),
+    backupCodesRemaining: user.twoFactorEnabled ? backupCodesRemaining : 0,
+  };
+};
+
+/**
+ * Start enrollment with a new secret. Starting again replaces the secret.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+const startEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw twoFactorError(
+      "Two-factor authentication is available to admin, staff and vendor accounts",
+      403
+    );
+  }
+  if (user.twoFactorEnabled) {
+    throw twoFactorError("Two-factor authentication is already enabled", 400);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorPendingSecret: secret },
+  });
+
+  const otpauthUrl = getOtpauthUrl(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Six-digit code
+ * @returns {Promise<string[]>} - Backup codes, shown to the user once
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (user.twoFactorEnabled) {
+    throw twoFactorError("Two-factor authentication is already enabled", 400);
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw twoFactorError("Start two-factor setup first", 400);
+  }
+
+  const step = matchTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    throw twoFactorError("Invalid verification code", 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+      },
+    });
+    return replaceBackupCodes(tx, userId);
+  });
+};
+
+// Check an authenticator code or backup code, using it up. Returns the
+// method that matched ("totp" or "backup_code"), or null.
+const useSecondFactor = async (user, { code, backupCode }) => {
+  if (code) {
+    const step = matchTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+    if (step !== null) {
+      // Only one request can use the step
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [
+            { twoFactorLastStep: null },
+            { twoFactorLastStep: { lt: step } },
+          ],
+        },
+        data: { twoFactorLastStep: step },
+      });
+      if (count === 1) return "totp";
+    }
+  }
+
+  if (backupCode) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashBackupCode(user.id, backupCode),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+    if (count === 1) return "backup_code";
+  }
+
+  return null;
+};
+
+/**
+ * Replace the backup codes, confirming with a current code
+ * @param {string} userId - User ID
+ * @param {Object} proof - { code } or { backupCode }
+ * @returns {Promise<string[]>} - New backup codes
+ */
+const regenerateBackupCodes = async (userId, proof) => {
+  const user = await loadUser(userId);
+
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError("Two-factor authentication is not enabled", 400);
+  }
+  if (!(await useSecondFactor(user, proof))) {
+    throw twoFactorError("Invalid verification code", 400);
+  }
+
+  return prisma.$transaction((tx) => replaceBackupCodes(tx, userId));
+};
+
+// Clear every 2FA field and code of a user
+const clearTwoFactor = (userId) =>
+  prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+      },
+    }),
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorChallenge.deleteMany({ where: { userId } }),
+  ]);
+
+/**
+ * Turn 2FA off, confirming with the password and a current code
+ * @param {string} userId - User ID
+ * @param {Object} proof - { password, code } or { password, backupCode }
+ */
+const disableTwoFactor = async (userId, { password, code, backupCode }) => {
+  const user = await loadUser(userId);
+
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError("Two-factor authentication is not enabled", 400);
+  }
+  if (await isTwoFactorRequired(user.role)) {
+    throw twoFactorError(
+      "Two-factor authentication is required for your account",
+      403
+    );
+  }
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    throw twoFactorError("Incorrect password", 400);
+  }
+  if (!(await useSecondFactor(user, { code, backupCode }))) {
+    throw twoFactorError("Invalid verification code", 400);
+  }
+
+  await clearTwoFactor(userId);
+};
+
+/**
+ * Admin reset for a user who lost their authenticator and backup codes.
+ * They can sign in with their password and enroll again.
+ * @param {string} userId - User ID
+ */
+const resetTwoFactor = async (userId) => {
+  await loadUser(userId);
+  await clearTwoFactor(userId);
+};
+
+/**
+ * Start the second step of a login
+ * @param {Object} user - User whose password was checked
+ * @param {Object} [req] - Request, for the IP address
+ * @returns {Promise<Object>} - { challengeToken, expiresAt }
+ */
+const createLoginChallenge = async (user, req) => {
+  const challengeToken = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + getChallengeLifetime());
+
+  await prisma.twoFactorChallenge.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(challengeToken),
+      ipAddress: req?.ip || null,
+      expiresAt,
+    },
+  });
+
+  return { challengeToken, expiresAt };
+};
+
+// Find a login challenge that can still be answered
+const findChallenge = async (challengeToken) => {
+  if (!challengeToken) {
+    throw twoFactorError("Challenge token is required", 400);
+  }
+
+  const challenge = await prisma.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashToken(challengeToken) },
+    include: { user: true },
+  });
+
+  if (
+    !challenge ||
+    challenge.usedAt ||
+    challenge.expiresAt < new Date() ||
+    challenge.attempts >= MAX_ATTEMPTS
+  ) {
+    throw twoFactorError(
+      "This sign-in attempt has expired. Please log in again",
+      400
+    );
+  }
+
+  return challenge;
+};
+
+const hashEmailCode = (challengeId, code) =>
+  hashToken(`${challengeId}:${String(code || "").replace(/\s/g, "")}`);
+
+// "jane@example.com" -> "j***@example.com"
+const maskEmail = (email) => {
+  const [name, domain] = email.split("@");
+  return `${name.slice(0, 1)}***@${domain}`;
+};
+
+/**
+ * Email a one-time code for a login challenge, the fallback when the
+ * authenticator app is not at hand
+ * @param {string} challengeToken - Token from the first login step
+ * @returns {Promise<Object>} - { sentTo } with the address masked
+ */
+const sendLoginEmailCode = async (challengeToken) => {
+  const challenge = await findChallenge(challengeToken);
+
+  if (
+    challenge.emailCodeSentAt &&
+    Date.now() - challenge.emailCodeSentAt.getTime() < EMAIL_CODE_INTERVAL_MS
+  ) {
+    throw twoFactorError(
+      "Please wait a minute before requesting another code",
+      429
+    );
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(
+    CODE_DIGITS,
+    "0"
+  );
+  await prisma.twoFactorChallenge.update({
+    where: { id: challenge.id },
+    data: {
+      emailCodeHash: hashEmailCode(challenge.id, code),
+      emailCodeSentAt: new Date(),
+    },
+  });
+
+  const minutes = Math.max(
+    1,
+    Math.round((challenge.expiresAt.getTime() - Date.now()) / MINUTE_MS)
+  );
+  await sendTwoFactorCodeEmail(challenge.user, code, minutes);
+
+  return { sentTo: maskEmail(challenge.user.email) };
+};
+
+/**
+ * Answer a login challenge
+ * @param {string} challengeToken - Token from the first login step
+ * @param {Object} answer - One of { code }, { backupCode } or { emailCode }
+ * @returns {Promise<Object>} - { user, method }
+ */
+const verifyLoginChallenge = async (
+  challengeToken,
+  { code, backupCode, emailCode }
+) => {
+  const challenge = await findChallenge(challengeToken);
+
+  if (!code && !backupCode && !emailCode) {
+    throw twoFactorError("A verification code is required", 400);
+  }
+
+  // Count the attempt before checking, so parallel guesses are limited too
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null, attempts: { lt: MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } },
+  });
+  if (count === 0) {
+    throw twoFactorError(
+      "This sign-in attempt has expired. Please log in again",
+      400
+    );
+  }
+
+  let method = await useSecondFactor(challenge.user, { code, backupCode });
+  if (
+    !method &&
+    emailCode &&
+    challenge.emailCodeHash &&
+    safeEqual(hashEmailCode(challenge.id, emailCode), challenge.emailCodeHash)
+  ) {
+    method = "email";
+  }
+
+  if (!method) {
+    const attemptsLeft = MAX_ATTEMPTS - challenge.attempts - 1;
+    const error = twoFactorError(
+      attemptsLeft > 0
+        ? "Invalid verification code"
+        : "Invalid verification code. Please log in again",
+      400
+    );
+    // Lets the caller count the failure against the account
+    error.user = challenge.user;
+    throw error;
+  }
+
+  const { count: used } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (used === 0) {
+    throw twoFactorError(
+      "This sign-in attempt has expired. Please log in again",
+      400
+    );
+  }
+
+  return { user: challenge.user, method };
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  generateTotp,
+  matchTotp,
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  createLoginChallenge,
+  sendLoginEmailCode,
+  verifyLoginChallenge,
+};
@@ -0,0 +1,134 @@
+const prisma = require("../prisma/client");
+const { applyPaymentStatus } = require("./paymentStatus");
+const { getProvider } = require("./paymentProviders");
+
+/**
+ * Webhook helpers
+ *
+ * Every verified delivery is stored as a WebhookEvent keyed by the event
+ * (tx_ref plus event type), so when a provider retries a delivery the retry is
+ * counted but the payment is not processed again. Stored events can be
+ * replayed by an admin; replays go through the same forward-only status
+ * rules, so replaying a processed event is harmless.
+ */
+
+/**
+ * Store a delivery, or count it against the event it repeats
+ * @param {string} provider - Payment provider name
+ * @param {Object} delivery - { eventKey, eventType, txRef } from the provider's parseWebhook
+ * @param {string} rawBody - Raw webhook body
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const recordDelivery = async (provider, { eventKey, eventType, txRef }, rawBody) => {
+
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { eventKey },
+  });
+
+  if (existing) {
+    const event = await prisma.webhookEvent.update({
+      where: { id: existing.id },
+      data: { deliveries: { increment: 1 }, lastReceivedAt: new Date() },
+    });
+    return { event, duplicate: true };
+  }
+
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventKey,
+        eventType,
+        txRef,
+        payload: rawBody,
+      },
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    // Another delivery of the same event was stored first
+    if (error.code === "P2002") {
+      const event = await prisma.webhookEvent.update({
+        where: { eventKey },
+        data: { deliveries: { increment: 1 }, lastReceivedAt: new Date() },
+      });
+      return { event, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a stored webhook event to its payment
+ * @param {Object} event - WebhookEvent
+ * @returns {Promise<Object>} - Updated WebhookEvent
+ */
+const processEvent = async (event) => {
+  let status;
+  let result;
+  let paymentId = event.paymentId;
+
+  try {
+    const provider = getProvider(event.provider);
+    if (!provider) {
+      throw new Error(`Unknown payment provider ${event.provider}`);
+    }
+
+    const { txRef, status: paymentStatus } = provider.parseWebhookPayload(
+      JSON.parse(event.payload)
+    );
+    // Only the provider's own payments; manual references are typed by
+    // clients and could match another provider's tx_ref
+    const payment = await prisma.payment.findFirst({
+      where: { transactionId: txRef, method: provider.name },
+    });
+
+    if (!payment) {
+      status = "IGNORED";
+      result = `Payment not found for tx_ref ${txRef}`;
+    } else {
+      paymentId = payment.id;
+      const { changed } = await applyPaymentStatus(payment, paymentStatus, {
+        source: "PAYMENT_WEBHOOK",
+      });
+
+      status = changed ? "PROCESSED" : "IGNORED";
+      result = changed
+        ? `Payment ${payment.id} moved from ${payment.status} to ${paymentStatus}`
+        : `Payment ${payment.id} is already ${payment.status}; ${paymentStatus} ignored`;
+    }
+  } catch (error) {
+    console.error(`Webhook event ${event.id} processing error:`, error);
+    status = "FAILED";
+    result = error.message;
+  }
+
+  return prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { status, result, paymentId, processedAt: new Date() },
+  });
+};
+
+/**
+ * Process a stored event again
+ * @param {string} eventId - WebhookEvent ID
+ * @returns {Promise<Object|null>} - Updated WebhookEvent, or null if not found
+ */
+const replayEvent = async (eventId) => {
+  const event = await prisma.webhookEvent.findUnique({
+    where: { id: eventId },
+  });
+  if (!event) return null;
+
+  await prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { replays: { increment: 1 } },
+  });
+
+  return processEvent(event);
+};
+
+module.exports = {
+  recordDelivery,
+  processEvent,
+  replayEvent,
+};